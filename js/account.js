@@ -0,0 +1,75 @@
+/**
+ * Account Page - Profile details and saved body measurements
+ * Requires a logged-in user (see requireAuth() in auth.js)
+ */
+
+/**
+ * Initialize the account page
+ */
+async function initAccountPage() {
+  const form = document.getElementById("measurements-form");
+  if (!form || !requireAuth()) return;
+
+  const user = getCurrentUser();
+  if (!user) return;
+
+  const profile = document.getElementById("account-profile");
+  if (profile) {
+    profile.innerHTML = `
+            <p class="text-lg font-semibold text-zinc-900 dark:text-white">${escapeHTML(user.name)}</p>
+            <p class="text-zinc-600 dark:text-zinc-400">${escapeHTML(user.email)}</p>
+            <p class="text-sm text-zinc-500 dark:text-zinc-500 mt-2">${t("account.memberSince", { date: formatDate(user.createdAt) })}</p>
+        `;
+  }
+
+  const data = await getSizeGuides();
+  if (!data) return;
+
+  const measurements = getUserMeasurements();
+  const fields = document.getElementById("measurement-fields");
+  if (fields) {
+    fields.innerHTML = Object.entries(data.measurements)
+      .map(
+        ([key]) => `
+            <div>
+                <label for="measurement-${key}" class="block text-sm font-medium text-zinc-700 dark:text-zinc-300 mb-2">${getMeasurementLabel(key, data)}</label>
+                <input type="number" id="measurement-${key}" name="${key}" min="0" max="250" step="0.5" value="${measurements[key] ?? ""}"
+                    class="w-full px-4 py-3 bg-white dark:bg-zinc-800 border border-zinc-300 dark:border-zinc-700 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 text-zinc-900 dark:text-white">
+            </div>
+        `,
+      )
+      .join("");
+  }
+
+  form.addEventListener("submit", handleMeasurementsSubmit);
+}
+
+/**
+ * Handle measurements form submission
+ * Empty fields are removed from the saved measurements
+ * @param {Event} e - Form submit event
+ */
+function handleMeasurementsSubmit(e) {
+  e.preventDefault();
+
+  const measurements = {};
+  const errorElement = document.getElementById("measurements-error");
+
+  for (const input of e.target.querySelectorAll("input[type='number']")) {
+    if (input.value === "") continue;
+
+    const value = parseFloat(input.value);
+    if (isNaN(value) || value <= 0 || value > 250) {
+      showAuthError(errorElement, t("account.errorMeasurements"));
+      return;
+    }
+    measurements[input.name] = value;
+  }
+
+  if (saveUserMeasurements(measurements)) {
+    showNotification(t("account.measurementsSaved"));
+  }
+}
+
+// Initialize account page when DOM is ready
+document.addEventListener("DOMContentLoaded", initAccountPage);
@@ -118,12 +118,12 @@ function handleRegister(e) {
 
   // Validation
   if (!name || !email || !password || !confirmPassword) {
-    showAuthError(errorElement, "Please fill in all fields");
+    showAuthError(errorElement, t("auth.errorFields"));
     return;
   }
 
   if (password !== confirmPassword) {
-    showAuthError(errorElement, "Passwords do not match");
+    showAuthError(errorElement, t("auth.errorPasswordMatch"));
     return;
   }
 
@@ -134,7 +134,7 @@ function handleRegister(e) {
   if (!passwordRegex.test(password)) {
     showAuthError(
       errorElement,
-      "Password must be at least 8 characters long and include an uppercase letter, a lowercase letter, a number, and a special character.",
+      t("auth.errorPasswordStrength"),
     );
     return;
   }
@@ -142,7 +142,7 @@ function handleRegister(e) {
   // Check if email already exists
   const users = getUsers();
   if (users.some((user) => user.email === email)) {
-    showAuthError(errorElement, "Email already registered");
+    showAuthError(errorElement, t("auth.errorEmailTaken"));
     return;
   }
 
@@ -188,7 +188,7 @@ function handleLogin(e) {
 
   // Validation
   if (!email || !password) {
-    showAuthError(errorElement, "Please enter email and password");
+    showAuthError(errorElement, t("auth.errorLoginFields"));
     return;
   }
 
@@ -197,7 +197,7 @@ function handleLogin(e) {
   const user = users.find((u) => u.email === email);
 
   if (!user || user.password !== password) {
-    showAuthError(errorElement, "Invalid email or password");
+    showAuthError(errorElement, t("auth.errorInvalidLogin"));
     return;
   }
 
@@ -37,6 +37,49 @@ function saveCart(cart) {
   updateCartBadge();
 }
 
+/**
+ * Set line item prices to the current catalog price (in place)
+ * Catalog prices already have the running sale rules applied, so a line
+ * added during a sale goes back to full price once the sale ends and the
+ * other way round. Products no longer in the catalog keep their price.
+ * Names are reset to the English catalog name, for lines saved while
+ * another language was selected.
+ * @param {Array} items - Line items ({ id, name, price })
+ * @returns {Promise<boolean>} Whether any price or name changed
+ */
+async function refreshItemPrices(items) {
+  const products = await Promise.all(
+    items.map((item) => getProductById(item.id)),
+  );
+  let changed = false;
+
+  items.forEach((item, index) => {
+    const product = products[index];
+    if (!product) return;
+
+    const name = getProductEnglishName(product);
+    if (item.price !== product.price || item.name !== name) {
+      item.price = product.price;
+      item.name = name;
+      changed = true;
+    }
+  });
+
+  return changed;
+}
+
+/**
+ * Get the cart with current prices, saving any price changes
+ * @returns {Promise<Array>} Array of cart items
+ */
+async function getRepricedCart() {
+  const cart = getCart();
+  if (await refreshItemPrices(cart)) {
+    saveCart(cart);
+  }
+  return cart;
+}
+
 /**
  * Add item to cart
  * @param {Object} product - Product object to add
@@ -51,6 +94,21 @@ function addToCart(product, quantity = 1, size = null, color = null) {
     return false;
   }
 
+  // Don't sell more than is in stock for this variant or past the per-item cap
+  const available = getAvailableToAdd(product, size, color);
+  if (quantity > available) {
+    const capped = getVariantStock(product, size, color) > MAX_QUANTITY_PER_ITEM;
+    showNotification(
+      available > 0
+        ? t("cart.onlyMore", { count: available, name: product.name })
+        : capped
+          ? t("cart.maxQuantity", { count: MAX_QUANTITY_PER_ITEM, name: product.name })
+          : t("product.outOfStock", { name: product.name }),
+      "error",
+    );
+    return false;
+  }
+
   const cart = getCart();
 
   // Check if item already exists in cart (same product, size, and color)
@@ -60,13 +118,15 @@ function addToCart(product, quantity = 1, size = null, color = null) {
   );
 
   if (existingItemIndex > -1) {
-    // Update quantity of existing item
+    // Update quantity of existing item and bring it to today's price
     cart[existingItemIndex].quantity += quantity;
+    cart[existingItemIndex].price = product.price;
+    cart[existingItemIndex].name = getProductEnglishName(product);
   } else {
     // Add new item
     cart.push({
       id: product.id,
-      name: product.name,
+      name: getProductEnglishName(product),
       price: product.price,
       image: product.image,
       quantity: quantity,
@@ -77,7 +137,8 @@ function addToCart(product, quantity = 1, size = null, color = null) {
   }
 
   saveCart(cart);
-  showNotification(`${product.name} added to cart!`);
+  renderCart();
+  showNotification(t("cart.added", { name: product.name }));
   return true;
 }
 
@@ -94,15 +155,16 @@ function removeFromCart(itemId) {
 
   saveCart(updatedCart);
   renderCart();
-  showNotification("Item removed from cart");
+  showNotification(t("cart.removed"));
 }
 
 /**
  * Update item quantity in cart
+ * Capped at the stock available for the item's variant
  * @param {string} itemId - Cart item ID
  * @param {number} newQuantity - New quantity
  */
-function updateCartItemQuantity(itemId, newQuantity) {
+async function updateCartItemQuantity(itemId, newQuantity) {
   if (newQuantity < 1) {
     removeFromCart(itemId);
     return;
@@ -115,6 +177,21 @@ function updateCartItemQuantity(itemId, newQuantity) {
   });
 
   if (item) {
+    const product = await getProductById(item.id);
+    const maxQuantity = product
+      ? getMaxQuantity(product, item.size, item.color)
+      : MAX_QUANTITY_PER_ITEM;
+
+    // Lowering the quantity is always allowed, even when stock has
+    // dropped below what is already in the cart
+    if (newQuantity > item.quantity && newQuantity > maxQuantity) {
+      showNotification(
+        t("cart.maxQuantity", { count: maxQuantity, name: getItemName(item) }),
+        "error",
+      );
+      return;
+    }
+
     item.quantity = newQuantity;
     saveCart(cart);
     renderCart();
@@ -168,17 +245,19 @@ function updateCartBadge() {
 
 /**
  * Render cart items on cart page
+ * Lines are re-priced from the catalog first
  */
-function renderCart() {
+async function renderCart() {
   const container = document.getElementById("cart-items-container");
   const emptyState = document.getElementById("cart-empty-state");
   const cartContent = document.getElementById("cart-content");
-  const subtotalElement = document.getElementById("cart-subtotal");
-  const totalElement = document.getElementById("cart-total");
 
   if (!container) return;
 
-  const cart = getCart();
+  const cart = await getRepricedCart();
+
+  // Refresh cross-sell suggestions for the current cart
+  renderCartRecommendations();
 
   if (cart.length === 0) {
     // Show empty state
@@ -195,27 +274,27 @@ function renderCart() {
   container.innerHTML = cart
     .map((item) => {
       const itemId = `${item.id}-${item.size || "default"}-${item.color || "default"}`;
-      const itemTotal = (item.price * item.quantity).toFixed(2);
+      const itemTotal = convertPrice(item.price) * item.quantity;
 
       return `
             <div class="flex flex-col sm:flex-row gap-4 p-4 bg-white dark:bg-zinc-900 rounded-lg shadow-sm border border-zinc-200 dark:border-zinc-800">
                 <!-- Product Image -->
                 <div class="w-full sm:w-24 h-24 flex-shrink-0 bg-zinc-100 dark:bg-zinc-800 rounded-md overflow-hidden">
-                    <img src="${item.image}" alt="${item.name}" 
+                    <img src="${item.image}" alt="${getItemName(item)}" 
                         class="w-full h-full object-cover">
                 </div>
                 
                 <!-- Product Details -->
                 <div class="flex-1 min-w-0">
                     <h3 class="text-lg font-semibold text-zinc-900 dark:text-white truncate">
-                        ${item.name}
+                        ${getItemName(item)}
                     </h3>
                     <div class="mt-1 text-sm text-zinc-500 dark:text-zinc-400">
-                        ${item.size ? `<span class="mr-3">Size: ${item.size}</span>` : ""}
-                        ${item.color ? `<span>Color: ${item.color}</span>` : ""}
+                        ${item.size ? `<span class="me-3">${t("cart.sizeValue", { size: item.size })}</span>` : ""}
+                        ${item.color ? `<span>${t("cart.colorValue", { color: translateValue("color", item.color) })}</span>` : ""}
                     </div>
                     <div class="mt-2 text-lg font-bold text-zinc-900 dark:text-white">
-                        $${item.price.toFixed(2)}
+                        ${formatPrice(item.price)}
                     </div>
                 </div>
                 
@@ -239,14 +318,14 @@ function renderCart() {
                 <!-- Item Total & Remove -->
                 <div class="flex flex-col items-end justify-between min-w-[100px]">
                     <div class="text-lg font-bold text-zinc-900 dark:text-white">
-                        $${itemTotal}
+                        ${formatCurrency(itemTotal)}
                     </div>
                     <button onclick="removeFromCart('${itemId}')"
                         class="text-red-500 hover:text-red-600 dark:hover:text-red-400 text-sm flex items-center gap-1 transition-colors">
                         <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"/>
                         </svg>
-                        Remove
+                        ${t("cart.remove")}
                     </button>
                 </div>
             </div>
@@ -254,27 +333,67 @@ function renderCart() {
     })
     .join("");
 
-  // Update totals
+  // Update totals and the promo code form
+  updateCartTotals(cart);
+  renderPromoForm(cart, () => updateCartTotals(cart));
+}
+
+/**
+ * Update the cart page order summary, including the applied promo code
+ * @param {Array} cart - Cart items
+ */
+async function updateCartTotals(cart) {
+  const subtotalElement = document.getElementById("cart-subtotal");
+  const totalElement = document.getElementById("cart-total");
+  const discountRow = document.getElementById("cart-discount-row");
+  const discountElement = document.getElementById("cart-discount");
+
   const subtotal = getCartTotal();
-  const shipping = subtotal > 0 ? 9.99 : 0;
-  const total = subtotal + shipping;
+  const promo = await getAppliedPromo(cart);
+  const discount = promo ? promo.discount : 0;
 
-  if (subtotalElement) subtotalElement.textContent = `$${subtotal.toFixed(2)}`;
-  if (totalElement) totalElement.textContent = `$${total.toFixed(2)}`;
+  // Estimate with the cheapest delivery method to the default country
+  const options = await getShippingOptions(
+    DEFAULT_SHIPPING_COUNTRY,
+    subtotal - discount,
+  );
+  const deliveryOptions = options.filter((option) => option.id !== "pickup");
+  const estimate = Math.min(...deliveryOptions.map((option) => option.price));
+  const shipping =
+    subtotal > 0 && !promo?.freeShipping && deliveryOptions.length > 0
+      ? estimate
+      : 0;
+
+  // Totals are added up in the display currency so they match the lines shown
+  const displaySubtotal = convertItemsTotal(cart);
+  const displayTotal =
+    displaySubtotal - convertPrice(discount) + convertPrice(shipping);
+
+  if (subtotalElement) subtotalElement.textContent = formatCurrency(displaySubtotal);
+  if (totalElement) totalElement.textContent = formatCurrency(displayTotal);
+
+  // Update discount display
+  if (discountRow) discountRow.classList.toggle("hidden", discount === 0);
+  if (discountElement) {
+    discountElement.textContent = promo
+      ? `-${formatPrice(discount)} (${promo.promo.code})`
+      : "";
+  }
 
   // Update shipping display
   const shippingElement = document.getElementById("cart-shipping");
   if (shippingElement) {
     shippingElement.textContent =
-      shipping > 0 ? `$${shipping.toFixed(2)}` : "Free";
+      shipping > 0 ? formatPrice(shipping) : t("summary.free");
   }
 }
 
 /**
  * Show notification toast
  * @param {string} message - Message to display
+ * @param {string} type - "success" or "error" (default: "success")
  */
-function showNotification(message) {
+function showNotification(message, type = "success") {
   // Create notification element if it doesn't exist
   let notification = document.getElementById("cart-notification");
 
@@ -282,11 +401,13 @@ function showNotification(message) {
     notification = document.createElement("div");
     notification.id = "cart-notification";
     notification.className =
-      "fixed bottom-4 right-4 bg-green-500 text-white px-6 py-3 rounded-lg shadow-lg transform translate-y-20 opacity-0 transition-all duration-300 z-50";
+      "fixed bottom-4 end-4 bg-green-500 text-white px-6 py-3 rounded-lg shadow-lg transform translate-y-20 opacity-0 transition-all duration-300 z-50";
     document.body.appendChild(notification);
   }
 
   notification.textContent = message;
+  notification.classList.toggle("bg-green-500", type !== "error");
+  notification.classList.toggle("bg-red-500", type === "error");
 
   // Show notification
   requestAnimationFrame(() => {
@@ -3,6 +3,12 @@
  * Supports both cart checkout and buy now checkout
  */
 
+// Latest summary render, so slower earlier renders don't overwrite it
+let checkoutSummaryRequest = 0;
+
+// Set while an order is being placed, so repeat submits are ignored
+let orderInProgress = false;
+
 /**
  * Initialize checkout page
  * Determines checkout mode and renders appropriate order summary
@@ -33,7 +39,7 @@ function initCheckout() {
 /**
  * Render Buy Now checkout (single product)
  */
-function renderBuyNowCheckout() {
+async function renderBuyNowCheckout() {
   const buyNowItem = JSON.parse(
     sessionStorage.getItem("buy-now-item") || "null",
   );
@@ -44,75 +50,52 @@ function renderBuyNowCheckout() {
     return;
   }
 
+  // Charge the current (sale) price
+  if (await refreshItemPrices([buyNowItem])) {
+    sessionStorage.setItem("buy-now-item", JSON.stringify(buyNowItem));
+  }
+
   const container = document.getElementById("checkout-items-container");
-  const summaryContainer = document.getElementById("checkout-summary");
   const checkoutTitle = document.getElementById("checkout-title");
 
   if (checkoutTitle) {
-    checkoutTitle.textContent = "Buy Now Checkout";
+    checkoutTitle.textContent = t("checkout.buyNowTitle");
   }
 
   // Render single item
   if (container) {
     container.innerHTML = `
             <div class="flex gap-4 p-4 bg-white dark:bg-zinc-900 rounded-lg border border-zinc-200 dark:border-zinc-800">
-                <img src="${buyNowItem.image}" alt="${buyNowItem.name}" 
+                <img src="${buyNowItem.image}" alt="${getItemName(buyNowItem)}" 
                     class="w-24 h-24 object-cover rounded-md bg-zinc-100 dark:bg-zinc-800">
                 <div class="flex-1">
-                    <h3 class="font-semibold text-zinc-900 dark:text-white">${buyNowItem.name}</h3>
+                    <h3 class="font-semibold text-zinc-900 dark:text-white">${getItemName(buyNowItem)}</h3>
                     <div class="text-sm text-zinc-500 dark:text-zinc-400 mt-1">
-                        ${buyNowItem.size ? `Size: ${buyNowItem.size}` : ""}
-                        ${buyNowItem.color ? `Color: ${buyNowItem.color}` : ""}
+                        ${buyNowItem.size ? t("cart.sizeValue", { size: buyNowItem.size }) : ""}
+                        ${buyNowItem.color ? t("cart.colorValue", { color: translateValue("color", buyNowItem.color) }) : ""}
                     </div>
                     <div class="mt-2">
-                        <span class="text-zinc-600 dark:text-zinc-400">Qty: ${buyNowItem.quantity}</span>
+                        <span class="text-zinc-600 dark:text-zinc-400">${t("cart.quantityValue", { count: buyNowItem.quantity })}</span>
                     </div>
                     <div class="mt-2 text-lg font-bold text-zinc-900 dark:text-white">
-                        $${(buyNowItem.price * buyNowItem.quantity).toFixed(2)}
+                        ${formatCurrency(convertPrice(buyNowItem.price) * buyNowItem.quantity)}
                     </div>
                 </div>
             </div>
         `;
   }
 
-  // Calculate totals
-  const subtotal = buyNowItem.price * buyNowItem.quantity;
-  const shipping = 9.99;
-  const tax = subtotal * 0.08;
-  const total = subtotal + shipping + tax;
-
-  // Render summary
-  if (summaryContainer) {
-    summaryContainer.innerHTML = `
-            <div class="space-y-3">
-                <div class="flex justify-between text-zinc-600 dark:text-zinc-400">
-                    <span>Subtotal</span>
-                    <span>$${subtotal.toFixed(2)}</span>
-                </div>
-                <div class="flex justify-between text-zinc-600 dark:text-zinc-400">
-                    <span>Shipping</span>
-                    <span>$${shipping.toFixed(2)}</span>
-                </div>
-                <div class="flex justify-between text-zinc-600 dark:text-zinc-400">
-                    <span>Tax (8%)</span>
-                    <span>$${tax.toFixed(2)}</span>
-                </div>
-                <div class="border-t border-zinc-200 dark:border-zinc-800 pt-3 mt-3">
-                    <div class="flex justify-between text-xl font-bold text-zinc-900 dark:text-white">
-                        <span>Total</span>
-                        <span>$${total.toFixed(2)}</span>
-                    </div>
-                </div>
-            </div>
-        `;
-  }
+  // Render totals and promo code form
+  const items = [buyNowItem];
+  renderCheckoutSummary(items);
+  renderPromoForm(items, () => renderCheckoutSummary(items));
 }
 
 /**
  * Render Cart checkout (all cart items)
  */
-function renderCartCheckout() {
-  const cart = getCart();
+async function renderCartCheckout() {
+  const cart = await getRepricedCart();
 
   if (cart.length === 0) {
     // Empty cart, redirect to cart page
@@ -121,11 +104,10 @@ function renderCartCheckout() {
   }
 
   const container = document.getElementById("checkout-items-container");
-  const summaryContainer = document.getElementById("checkout-summary");
   const checkoutTitle = document.getElementById("checkout-title");
 
   if (checkoutTitle) {
-    checkoutTitle.textContent = "Cart Checkout";
+    checkoutTitle.textContent = t("checkout.cartTitle");
   }
 
   // Render cart items
@@ -134,19 +116,19 @@ function renderCartCheckout() {
       .map(
         (item) => `
             <div class="flex gap-4 p-4 bg-white dark:bg-zinc-900 rounded-lg border border-zinc-200 dark:border-zinc-800">
-                <img src="${item.image}" alt="${item.name}" 
+                <img src="${item.image}" alt="${getItemName(item)}" 
                     class="w-24 h-24 object-cover rounded-md bg-zinc-100 dark:bg-zinc-800">
                 <div class="flex-1">
-                    <h3 class="font-semibold text-zinc-900 dark:text-white">${item.name}</h3>
+                    <h3 class="font-semibold text-zinc-900 dark:text-white">${getItemName(item)}</h3>
                     <div class="text-sm text-zinc-500 dark:text-zinc-400 mt-1">
-                        ${item.size ? `Size: ${item.size}` : ""}
-                        ${item.color ? `Color: ${item.color}` : ""}
+                        ${item.size ? t("cart.sizeValue", { size: item.size }) : ""}
+                        ${item.color ? t("cart.colorValue", { color: translateValue("color", item.color) }) : ""}
                     </div>
                     <div class="mt-2">
-                        <span class="text-zinc-600 dark:text-zinc-400">Qty: ${item.quantity}</span>
+                        <span class="text-zinc-600 dark:text-zinc-400">${t("cart.quantityValue", { count: item.quantity })}</span>
                     </div>
                     <div class="mt-2 text-lg font-bold text-zinc-900 dark:text-white">
-                        $${(item.price * item.quantity).toFixed(2)}
+                        ${formatCurrency(convertPrice(item.price) * item.quantity)}
                     </div>
                 </div>
             </div>
@@ -155,37 +137,203 @@ function renderCartCheckout() {
       .join("");
   }
 
-  // Calculate totals
-  const subtotal = getCartTotal();
-  const shipping = 9.99;
-  const tax = subtotal * 0.08;
-  const total = subtotal + shipping + tax;
-
-  // Render summary
-  if (summaryContainer) {
-    summaryContainer.innerHTML = `
+  // Render totals and promo code form
+  renderCheckoutSummary(cart);
+  renderPromoForm(cart, () => renderCheckoutSummary(cart));
+}
+
+/**
+ * Get the items being checked out in the current mode
+ * @returns {Array} Order line items
+ */
+function getCheckoutItems() {
+  const mode = new URLSearchParams(window.location.search).get("mode");
+
+  return mode === "buy-now"
+    ? [JSON.parse(sessionStorage.getItem("buy-now-item") || "{}")]
+    : getCart();
+}
+
+/**
+ * Get the destination and shipping method chosen on the form
+ * @returns {Object} { country, state, method }
+ */
+function getSelectedShipping() {
+  const country = document.querySelector('select[name="shipping-country"]');
+  const state = document.querySelector('input[name="shipping-state"]');
+  const method = document.querySelector('input[name="shipping-method"]:checked');
+
+  return {
+    country: country ? country.value : DEFAULT_SHIPPING_COUNTRY,
+    state: state ? state.value : "",
+    method: method ? method.value : null,
+  };
+}
+
+/**
+ * Calculate order totals, including the applied promo code, the selected
+ * shipping method (the first available one if none is selected) and the
+ * tax for the shipping address. Included tax is not added to the total.
+ * Amounts are in the base currency; `display` holds them in the shopper's
+ * currency (see getDisplayTotals()). Item prices are brought up to date
+ * with the catalog first (in place), so sales that started or ended since
+ * the items were added are charged correctly.
+ * @param {Array} items - Order line items
+ * @returns {Promise<Object>} { subtotal, discount, promo, shippingOptions, shippingMethod, shipping, tax, taxBreakdown, total, display }
+ */
+async function calculateOrderTotals(items) {
+  await refreshItemPrices(items);
+  const subtotal = items.reduce(
+    (sum, item) => sum + item.price * item.quantity,
+    0,
+  );
+  const promo = await getAppliedPromo(items);
+  const discount = promo ? promo.discount : 0;
+
+  const { country, state, method } = getSelectedShipping();
+  const shippingOptions = await getShippingOptions(country, subtotal - discount);
+  const shippingMethod =
+    shippingOptions.find((option) => option.id === method) ||
+    shippingOptions[0] ||
+    null;
+  const shipping =
+    shippingMethod && !promo?.freeShipping ? shippingMethod.price : 0;
+  const taxBreakdown = await calculateTax(items, discount, country, state);
+  const tax = taxBreakdown.amount;
+
+  const totals = {
+    subtotal,
+    discount,
+    promo,
+    shippingOptions,
+    shippingMethod,
+    shipping,
+    tax,
+    taxBreakdown,
+    total: subtotal - discount + shipping + (taxBreakdown.inclusive ? 0 : tax),
+  };
+  totals.display = getDisplayTotals(items, totals);
+  return totals;
+}
+
+/**
+ * Convert order totals to the display currency
+ * Every amount is converted and rounded on its own and the total is added
+ * up from them, so the summary always adds up in the shopper's currency
+ * @param {Array} items - Order line items
+ * @param {Object} totals - Base-currency totals
+ * @returns {Object} { currency, rate, subtotal, discount, shipping, taxLines, tax, total }
+ */
+function getDisplayTotals(items, totals) {
+  const currency = getCurrency();
+  const rate = CURRENCIES[currency].rate;
+  const subtotal = convertItemsTotal(items, currency, rate);
+  const discount = convertPrice(totals.discount, currency, rate);
+  const shipping = convertPrice(totals.shipping, currency, rate);
+  const taxLines = totals.taxBreakdown.lines.map((line) => ({
+    ...line,
+    amount: convertPrice(line.amount, currency, rate),
+  }));
+  const tax = taxLines.reduce((sum, line) => sum + line.amount, 0);
+  const total =
+    subtotal - discount + shipping + (totals.taxBreakdown.inclusive ? 0 : tax);
+  const decimals = CURRENCIES[currency].decimals;
+
+  return {
+    currency,
+    rate,
+    subtotal,
+    discount,
+    shipping,
+    taxLines,
+    tax: Number(tax.toFixed(decimals)),
+    total: Number(total.toFixed(decimals)),
+  };
+}
+
+/**
+ * Render the order totals (shared by buy now and cart checkout)
+ * @param {Array} items - Order line items
+ */
+async function renderCheckoutSummary(items) {
+  const summaryContainer = document.getElementById("checkout-summary");
+  if (!summaryContainer) return;
+
+  const request = ++checkoutSummaryRequest;
+  const { promo, shippingOptions, shippingMethod, taxBreakdown, display } =
+    await calculateOrderTotals(items);
+  if (request !== checkoutSummaryRequest) return;
+
+  // Shipping prices depend on the subtotal, so refresh the choices too
+  renderShippingMethods(shippingOptions, shippingMethod?.id);
+
+  summaryContainer.innerHTML = `
             <div class="space-y-3">
                 <div class="flex justify-between text-zinc-600 dark:text-zinc-400">
-                    <span>Subtotal</span>
-                    <span>$${subtotal.toFixed(2)}</span>
+                    <span>${t("summary.subtotal")}</span>
+                    <span>${formatCurrency(display.subtotal)}</span>
                 </div>
-                <div class="flex justify-between text-zinc-600 dark:text-zinc-400">
-                    <span>Shipping</span>
-                    <span>$${shipping.toFixed(2)}</span>
+                ${
+                  promo && display.discount > 0
+                    ? `
+                <div class="flex justify-between text-green-600 dark:text-green-400">
+                    <span>${t("summary.discountCode", { code: promo.promo.code })}</span>
+                    <span>-${formatCurrency(display.discount)}</span>
                 </div>
+                `
+                    : ""
+                }
                 <div class="flex justify-between text-zinc-600 dark:text-zinc-400">
-                    <span>Tax (8%)</span>
-                    <span>$${tax.toFixed(2)}</span>
+                    <span>${shippingMethod ? t("summary.shippingMethod", { method: getShippingMethodName(shippingMethod) }) : t("summary.shipping")}</span>
+                    <span>${display.shipping > 0 ? formatCurrency(display.shipping) : t("summary.free")}</span>
                 </div>
+                ${
+                  shippingMethod
+                    ? `
+                <p class="text-sm text-zinc-500">
+                    ${t(shippingMethod.id === "pickup" ? "summary.estimatedPickup" : "summary.estimatedDelivery", { dates: formatDeliveryEstimate(shippingMethod.estimatedDelivery) })}
+                </p>
+                `
+                    : ""
+                }
+                ${taxBreakdown.inclusive ? "" : createTaxLinesHTML(false, display.taxLines)}
                 <div class="border-t border-zinc-200 dark:border-zinc-800 pt-3 mt-3">
                     <div class="flex justify-between text-xl font-bold text-zinc-900 dark:text-white">
-                        <span>Total</span>
-                        <span>$${total.toFixed(2)}</span>
+                        <span>${t("summary.total")}</span>
+                        <span>${formatCurrency(display.total)}</span>
                     </div>
                 </div>
+                ${taxBreakdown.inclusive ? createTaxLinesHTML(true, display.taxLines) : ""}
             </div>
         `;
+}
+
+/**
+ * Create the tax lines for the order summary
+ * @param {boolean} inclusive - Whether the tax is included in the prices
+ * @param {Array} lines - Tax lines ({ label, rate, amount }) in the display currency
+ * @returns {string} HTML string
+ */
+function createTaxLinesHTML(inclusive, lines) {
+  if (lines.length === 0) {
+    return `
+                <div class="flex justify-between text-zinc-600 dark:text-zinc-400">
+                    <span>${t("summary.tax")}</span>
+                    <span>${formatCurrency(0)}</span>
+                </div>
+            `;
   }
+
+  return lines
+    .map(
+      (line) => `
+                <div class="flex justify-between ${inclusive ? "text-sm text-zinc-500" : "text-zinc-600 dark:text-zinc-400"}">
+                    <span>${t(inclusive ? "summary.taxIncluded" : "summary.taxLine", { ...line, label: translateValue("tax", line.label) })}</span>
+                    <span>${formatCurrency(line.amount)}</span>
+                </div>
+            `,
+    )
+    .join("");
 }
 
 /**
@@ -198,6 +346,18 @@ function setupCheckoutForm() {
     form.addEventListener("submit", handleCheckoutSubmit);
   }
 
+  // Refresh shipping methods, tax and totals when the address or method changes
+  const refreshSummary = () => renderCheckoutSummary(getCheckoutItems());
+  document
+    .querySelector('select[name="shipping-country"]')
+    ?.addEventListener("change", refreshSummary);
+  document
+    .querySelector('input[name="shipping-state"]')
+    ?.addEventListener("input", refreshSummary);
+  document
+    .getElementById("shipping-methods")
+    ?.addEventListener("change", refreshSummary);
+
   // Setup same-as-shipping checkbox
   const sameAsShipping = document.getElementById("same-as-shipping");
   if (sameAsShipping) {
@@ -216,6 +376,7 @@ function setupCheckoutForm() {
  */
 function handleCheckoutSubmit(e) {
   e.preventDefault();
+  if (orderInProgress) return;
 
   // Get form data
   const formData = new FormData(e.target);
@@ -239,15 +400,45 @@ function handleCheckoutSubmit(e) {
     },
   };
 
+  // Billing address (a copy of the shipping address unless it differs)
+  orderData.billing = formData.get("same-as-shipping")
+    ? { ...orderData.shipping }
+    : {
+        firstName: formData.get("billing-first-name"),
+        lastName: formData.get("billing-last-name"),
+        address: formData.get("billing-address"),
+        city: formData.get("billing-city"),
+        state: formData.get("billing-state"),
+        zip: formData.get("billing-zip"),
+        country: formData.get("billing-country"),
+      };
+
   // Validate required fields
   if (!validateCheckoutForm(orderData)) {
     return;
   }
 
   // Process order
+  setOrderInProgress(true);
   processOrder(orderData);
 }
 
+/**
+ * Mark an order as being placed and disable the submit buttons meanwhile
+ * @param {boolean} inProgress - Whether an order is being placed
+ */
+function setOrderInProgress(inProgress) {
+  orderInProgress = inProgress;
+  document
+    .querySelectorAll(
+      '#checkout-form button[type="submit"], button[form="checkout-form"]',
+    )
+    .forEach((button) => {
+      button.disabled = inProgress;
+      button.classList.toggle("opacity-50", inProgress);
+    });
+}
+
 /**
  * Validate checkout form data
  * @param {Object} data - Order data
@@ -257,31 +448,41 @@ function validateCheckoutForm(data) {
   const errors = [];
 
   if (!data.email || !isValidEmail(data.email)) {
-    errors.push("Please enter a valid email address");
+    errors.push(t("checkout.errorEmail"));
   }
 
   if (!data.shipping.firstName || !data.shipping.lastName) {
-    errors.push("Please enter your full name");
+    errors.push(t("checkout.errorName"));
   }
 
   if (!data.shipping.address || !data.shipping.city || !data.shipping.zip) {
-    errors.push("Please enter your complete address");
+    errors.push(t("checkout.errorAddress"));
   }
 
   if (!data.shipping.phone) {
-    errors.push("Please enter your phone number");
+    errors.push(t("checkout.errorPhone"));
+  }
+
+  if (
+    !data.billing.firstName ||
+    !data.billing.lastName ||
+    !data.billing.address ||
+    !data.billing.city ||
+    !data.billing.zip
+  ) {
+    errors.push(t("checkout.errorBilling"));
   }
 
   if (!data.payment.cardNumber || data.payment.cardNumber.length < 16) {
-    errors.push("Please enter a valid card number");
+    errors.push(t("checkout.errorCardNumber"));
   }
 
   if (!data.payment.cardName) {
-    errors.push("Please enter the name on your card");
+    errors.push(t("checkout.errorCardName"));
   }
 
   if (!data.payment.expiry || !data.payment.cvv) {
-    errors.push("Please enter card expiry and CVV");
+    errors.push(t("checkout.errorExpiry"));
   }
 
   if (errors.length > 0) {
@@ -318,45 +519,87 @@ function showCheckoutError(message) {
 
 /**
  * Process the order
+ * Checks stock before confirming and decrements it afterwards. The caller
+ * sets orderInProgress; it is cleared when the order can't be placed
  * @param {Object} orderData - Order data
  */
-function processOrder(orderData) {
+async function processOrder(orderData) {
   const urlParams = new URLSearchParams(window.location.search);
   const mode = urlParams.get("mode");
 
   // Create order object
+  const date = new Date().toISOString();
   const order = {
     id: generateOrderId(),
-    date: new Date().toISOString(),
-    customer: orderData,
-    items:
-      mode === "buy-now"
-        ? [JSON.parse(sessionStorage.getItem("buy-now-item") || "{}")]
-        : getCart(),
+    userId: getCurrentUser()?.id || null,
+    date,
+    // Only the card brand and last 4 digits are kept
+    customer: { ...orderData, payment: maskPaymentDetails(orderData.payment) },
+    items: getCheckoutItems(),
     mode: mode || "cart",
-    status: "confirmed",
+    status: "pending-payment",
+    statusHistory: [{ status: "pending-payment", date }],
   };
 
+  // Make sure every item is still in stock
+  const stockProblems = await validateStock(order.items);
+  if (stockProblems.length > 0) {
+    showCheckoutError(stockProblems.join("<br>"));
+    setOrderInProgress(false);
+    return;
+  }
+
   // Calculate totals
-  const subtotal = order.items.reduce(
-    (sum, item) => sum + item.price * item.quantity,
-    0,
-  );
-  order.subtotal = subtotal;
-  order.shipping = 9.99;
-  order.tax = subtotal * 0.08;
-  order.total = subtotal + order.shipping + order.tax;
+  const totals = await calculateOrderTotals(order.items);
+  if (!totals.shippingMethod) {
+    showCheckoutError(t("checkout.errorShippingMethod"));
+    setOrderInProgress(false);
+    return;
+  }
+
+  order.subtotal = totals.subtotal;
+  order.discount = totals.discount;
+  order.promo = totals.promo
+    ? {
+        code: totals.promo.promo.code,
+        description: getPromoDescription(
+          totals.promo.promo,
+          totals.promo.promo.original?.description ??
+            totals.promo.promo.description,
+        ),
+        type: totals.promo.promo.type,
+      }
+    : null;
+  order.shippingMethod = {
+    id: totals.shippingMethod.id,
+    name: totals.shippingMethod.name,
+    estimatedDelivery: totals.shippingMethod.estimatedDelivery,
+  };
+  order.shipping = totals.shipping;
+  order.tax = totals.tax;
+  order.taxBreakdown = totals.taxBreakdown;
+  order.total = totals.total;
+
+  // Display currency amounts, as shown to the shopper (base amounts above)
+  order.currency = totals.display.currency;
+  order.exchangeRate = totals.display.rate;
+  order.display = totals.display;
 
-  // Save order to localStorage (for order history)
+  // Payment is simulated and always goes through
+  transitionOrder(order, "confirmed");
+
+  // Save order to localStorage (for the My Orders page)
   saveOrder(order);
+  await recordSale(order.items);
 
   // Clear cart if it was a cart checkout
   if (mode !== "buy-now") {
     clearCart();
   }
 
-  // Clear buy now item
+  // Clear buy now item and the used promo code
   sessionStorage.removeItem("buy-now-item");
+  setAppliedPromoCode(null);
 
   // Show success message and redirect
   showOrderSuccess(order);
@@ -370,18 +613,6 @@ function generateOrderId() {
   return "ORD-" + Date.now().toString(36).toUpperCase();
 }
 
-/**
- * Save order to localStorage
- * @param {Object} order - Order object
- */
-function saveOrder(order) {
-  const orders = JSON.parse(
-    localStorage.getItem("fashion-store-orders") || "[]",
-  );
-  orders.push(order);
-  localStorage.setItem("fashion-store-orders", JSON.stringify(orders));
-}
-
 /**
  * Show order success message
  * @param {Object} order - Order object
@@ -398,34 +629,58 @@ function showOrderSuccess(order) {
                     </svg>
                 </div>
                 <h1 class="text-3xl font-bold text-gray-900 dark:text-white mb-4">
-                    Order Confirmed!
+                    ${t("checkout.confirmedTitle")}
                 </h1>
                 <p class="text-gray-600 dark:text-gray-300 mb-6">
-                    Thank you for your purchase. Your order <strong class="text-gray-900 dark:text-white">${order.id}</strong> has been confirmed.
+                    ${t("checkout.confirmedText", { id: `<strong class="text-gray-900 dark:text-white">${order.id}</strong>` })}
                 </p>
-                <div class="bg-gray-50 dark:bg-gray-800 rounded-xl p-6 mb-8 text-left">
-                    <h3 class="font-semibold text-gray-900 dark:text-white mb-4">Order Summary</h3>
+                <div class="bg-gray-50 dark:bg-gray-800 rounded-xl p-6 mb-8 text-start">
+                    <h3 class="font-semibold text-gray-900 dark:text-white mb-4">${t("summary.title")}</h3>
                     <div class="space-y-2 text-sm">
                         <div class="flex justify-between">
-                            <span class="text-gray-600 dark:text-gray-400">Order Date</span>
-                            <span class="text-gray-900 dark:text-white">${new Date(order.date).toLocaleDateString()}</span>
+                            <span class="text-gray-600 dark:text-gray-400">${t("checkout.orderDate")}</span>
+                            <span class="text-gray-900 dark:text-white">${formatDate(order.date)}</span>
                         </div>
                         <div class="flex justify-between">
-                            <span class="text-gray-600 dark:text-gray-400">Items</span>
+                            <span class="text-gray-600 dark:text-gray-400">${t("checkout.itemCount")}</span>
                             <span class="text-gray-900 dark:text-white">${order.items.length}</span>
                         </div>
+                        ${
+                          order.promo
+                            ? `
+                        <div class="flex justify-between">
+                            <span class="text-gray-600 dark:text-gray-400">${t("summary.discountCode", { code: order.promo.code })}</span>
+                            <span class="text-green-600 dark:text-green-400">-${formatCurrency(order.display.discount, order.currency)}</span>
+                        </div>
+                        `
+                            : ""
+                        }
+                        <div class="flex justify-between">
+                            <span class="text-gray-600 dark:text-gray-400">${t("checkout.shippingWith", { method: getShippingMethodName(order.shippingMethod) })}</span>
+                            <span class="text-gray-900 dark:text-white">${order.display.shipping > 0 ? formatCurrency(order.display.shipping, order.currency) : t("summary.free")}</span>
+                        </div>
+                        <div class="flex justify-between">
+                            <span class="text-gray-600 dark:text-gray-400">${t(order.shippingMethod.id === "pickup" ? "checkout.pickupDate" : "checkout.deliveryDate")}</span>
+                            <span class="text-gray-900 dark:text-white">${formatDeliveryEstimate(order.shippingMethod.estimatedDelivery)}</span>
+                        </div>
                         <div class="flex justify-between text-lg font-bold pt-2 border-t border-gray-200 dark:border-gray-700">
-                            <span class="text-gray-900 dark:text-white">Total</span>
-                            <span class="text-gray-900 dark:text-white">$${order.total.toFixed(2)}</span>
+                            <span class="text-gray-900 dark:text-white">${t("summary.total")}</span>
+                            <span class="text-gray-900 dark:text-white">${formatCurrency(order.display.total, order.currency)}</span>
                         </div>
                     </div>
                 </div>
-                <div class="flex gap-4 justify-center">
+                <div class="flex flex-wrap gap-4 justify-center">
+                    <a href="order.html?id=${encodeURIComponent(order.id)}" class="px-6 py-3 bg-indigo-600 text-white rounded-lg font-medium hover:bg-indigo-700 transition-colors">
+                        ${t("checkout.trackOrder")}
+                    </a>
+                    <a href="invoice.html?id=${encodeURIComponent(order.id)}" class="px-6 py-3 bg-indigo-600 text-white rounded-lg font-medium hover:bg-indigo-700 transition-colors">
+                        ${t("checkout.viewInvoice")}
+                    </a>
                     <a href="shop.html" class="px-6 py-3 bg-indigo-600 text-white rounded-lg font-medium hover:bg-indigo-700 transition-colors">
-                        Continue Shopping
+                        ${t("cart.continueShopping")}
                     </a>
                     <a href="../index.html" class="px-6 py-3 bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300 rounded-lg font-medium hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors">
-                        Back to Home
+                        ${t("checkout.backHome")}
                     </a>
                 </div>
             </div>
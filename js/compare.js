@@ -0,0 +1,368 @@
+/**
+ * Compare Manager - Handles side-by-side product comparison
+ * Uses localStorage so the selection is kept across page loads
+ */
+
+// Storage key and tray size
+const COMPARE_KEY = "fashion-store-compare";
+const MAX_COMPARE = 4;
+
+/**
+ * Get product IDs selected for comparison
+ * @returns {Array<number>} Product IDs
+ */
+function getCompareList() {
+  const list = localStorage.getItem(COMPARE_KEY);
+  return list ? JSON.parse(list) : [];
+}
+
+/**
+ * Save product IDs selected for comparison
+ * @param {Array<number>} productIds - Product IDs
+ */
+function saveCompareList(productIds) {
+  localStorage.setItem(COMPARE_KEY, JSON.stringify(productIds));
+  updateCompareButtons();
+  renderCompareTray();
+}
+
+/**
+ * Add or remove a product from the comparison
+ * @param {number} productId - Product ID
+ */
+function toggleCompare(productId) {
+  const list = getCompareList();
+
+  if (list.includes(productId)) {
+    saveCompareList(list.filter((id) => id !== productId));
+    return;
+  }
+
+  if (list.length >= MAX_COMPARE) {
+    showNotification(t("compare.limit", { count: MAX_COMPARE }), "error");
+    return;
+  }
+
+  saveCompareList([...list, productId]);
+}
+
+/**
+ * Remove a product from the comparison
+ * @param {number} productId - Product ID
+ */
+function removeFromCompare(productId) {
+  saveCompareList(getCompareList().filter((id) => id !== productId));
+  renderComparePage();
+}
+
+/**
+ * Clear the comparison
+ */
+function clearCompare() {
+  saveCompareList([]);
+  renderComparePage();
+}
+
+/**
+ * Create the "Compare" toggle shown on product cards
+ * @param {number} productId - Product ID
+ * @returns {string} HTML string
+ */
+function createCompareButtonHTML(productId) {
+  const selected = getCompareList().includes(productId);
+
+  return `
+        <button type="button" onclick="toggleCompare(${productId})" data-compare-id="${productId}" aria-pressed="${selected}"
+            class="compare-toggle inline-flex items-center gap-1 text-xs font-medium transition-colors ${selected ? "text-indigo-600 dark:text-indigo-400" : "text-zinc-500 dark:text-zinc-400 hover:text-indigo-600 dark:hover:text-indigo-400"}">
+            <span class="compare-check w-3.5 h-3.5 rounded border flex items-center justify-center ${selected ? "bg-indigo-600 border-indigo-600 text-white" : "border-zinc-400"}">${selected ? "✓" : ""}</span>
+            ${t("compare.toggle")}
+        </button>
+    `;
+}
+
+/**
+ * Sync every compare toggle on the page with the selection
+ */
+function updateCompareButtons() {
+  const list = getCompareList();
+
+  document.querySelectorAll(".compare-toggle").forEach((button) => {
+    const selected = list.includes(parseInt(button.dataset.compareId));
+    const check = button.querySelector(".compare-check");
+
+    button.setAttribute("aria-pressed", selected);
+    button.classList.toggle("text-indigo-600", selected);
+    button.classList.toggle("dark:text-indigo-400", selected);
+    button.classList.toggle("text-zinc-500", !selected);
+    button.classList.toggle("dark:text-zinc-400", !selected);
+
+    if (check) {
+      check.textContent = selected ? "✓" : "";
+      check.classList.toggle("bg-indigo-600", selected);
+      check.classList.toggle("border-indigo-600", selected);
+      check.classList.toggle("text-white", selected);
+      check.classList.toggle("border-zinc-400", !selected);
+    }
+  });
+}
+
+/**
+ * Render the floating compare tray (hidden when nothing is selected)
+ * Not shown on the compare page itself
+ */
+async function renderCompareTray() {
+  if (document.getElementById("compare-container")) return;
+
+  let tray = document.getElementById("compare-tray");
+  if (!tray) {
+    tray = document.createElement("div");
+    tray.id = "compare-tray";
+    tray.className =
+      "fixed bottom-0 inset-x-0 z-40 bg-white dark:bg-zinc-900 border-t border-zinc-200 dark:border-zinc-800 shadow-2xl hidden";
+    document.body.appendChild(tray);
+  }
+
+  const products = (
+    await Promise.all(getCompareList().map((id) => getProductById(id)))
+  ).filter(Boolean);
+
+  if (products.length === 0) {
+    tray.classList.add("hidden");
+    return;
+  }
+
+  const slots = Array.from({ length: MAX_COMPARE }, (_, index) => {
+    const product = products[index];
+    return product
+      ? `
+            <div class="relative w-14 h-14 flex-shrink-0 rounded-lg overflow-hidden bg-zinc-100 dark:bg-zinc-800" title="${product.name}">
+                <img src="${product.image}" alt="${product.name}" class="w-full h-full object-cover">
+                <button type="button" onclick="toggleCompare(${product.id})" aria-label="${t("compare.remove", { name: product.name })}"
+                    class="absolute top-0.5 end-0.5 w-5 h-5 rounded-full bg-black/60 text-white text-xs leading-none">×</button>
+            </div>
+        `
+      : `<div class="w-14 h-14 flex-shrink-0 rounded-lg border-2 border-dashed border-zinc-300 dark:border-zinc-700"></div>`;
+  }).join("");
+
+  tray.innerHTML = `
+        <div class="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-3 flex items-center gap-4">
+            <div class="flex gap-2 overflow-x-auto">${slots}</div>
+            <div class="ms-auto flex items-center gap-3">
+                <button type="button" onclick="clearCompare()" class="text-sm text-zinc-500 dark:text-zinc-400 hover:text-red-500 transition-colors">${t("common.clear")}</button>
+                <a href="${getBasePath()}pages/compare.html"
+                    class="px-4 py-2 rounded-lg font-medium transition-colors ${products.length > 1 ? "bg-indigo-600 text-white hover:bg-indigo-700" : "bg-zinc-200 dark:bg-zinc-800 text-zinc-500 pointer-events-none"}">
+                    ${t("compare.open", { count: products.length })}
+                </a>
+            </div>
+        </div>
+    `;
+  tray.classList.remove("hidden");
+}
+
+/**
+ * Check if a row's values are not all the same
+ * @param {Array<string>} values - One value per product
+ * @returns {boolean}
+ */
+function valuesDiffer(values) {
+  return new Set(values).size > 1;
+}
+
+/**
+ * Create a list of option chips, highlighting values not offered by every product
+ * @param {Array<string>} values - Values for one product
+ * @param {Array<Array<string>>} allValues - Values for every compared product
+ * @param {string|null} group - translateValue() group for the labels, e.g. "color"
+ * @returns {string} HTML string
+ */
+function createCompareChipsHTML(values, allValues, group = null) {
+  if (!values || values.length === 0) {
+    return `<span class="text-zinc-400">—</span>`;
+  }
+
+  return `
+        <div class="flex flex-wrap gap-1">
+            ${values
+              .map((value) => {
+                const shared = allValues.every((list) => (list || []).includes(value));
+                return `<span class="px-2 py-0.5 rounded text-xs ${shared ? "bg-zinc-100 dark:bg-zinc-800 text-zinc-700 dark:text-zinc-300" : "bg-amber-100 dark:bg-amber-900/40 text-amber-800 dark:text-amber-300 font-medium"}">${group ? translateValue(group, value) : value}</span>`;
+              })
+              .join("")}
+        </div>
+    `;
+}
+
+/**
+ * Render the comparison table on the compare page
+ * Rows whose values differ between products are highlighted
+ */
+async function renderComparePage() {
+  const container = document.getElementById("compare-container");
+  if (!container) return;
+
+  const products = (
+    await Promise.all(getCompareList().map((id) => getProductById(id)))
+  ).filter(Boolean);
+
+  if (products.length === 0) {
+    container.innerHTML = `
+            <div class="text-center py-16">
+                <h2 class="text-2xl font-bold text-zinc-900 dark:text-white mb-4">${t("compare.emptyTitle")}</h2>
+                <p class="text-zinc-600 dark:text-zinc-400 mb-8">${t("compare.emptyText", { count: MAX_COMPARE })}</p>
+                <a href="shop.html" class="inline-flex items-center gap-2 px-8 py-4 bg-indigo-600 text-white rounded-xl font-semibold hover:bg-indigo-700 transition-colors">
+                    ${t("wishlist.browse")}
+                </a>
+            </div>
+        `;
+    return;
+  }
+
+  const ratings = products.map((product) => getReviewSummary(product.id));
+  const discounts = products.map((product) =>
+    Math.round(getDiscountPercent(product)),
+  );
+
+  // Each row: label, comparable values (for highlighting), and cell HTML
+  const rows = [
+    {
+      label: t("compare.price"),
+      values: products.map((product) => product.price),
+      cells: products.map(
+        (product) =>
+          `<span class="text-lg font-bold text-zinc-900 dark:text-white">${formatPrice(product.price)}</span>
+                ${getDiscountPercent(product) ? `<span class="text-sm text-zinc-400 line-through ms-1">${formatPrice(product.originalPrice)}</span>` : ""}`,
+      ),
+    },
+    {
+      label: t("compare.discount"),
+      values: discounts,
+      cells: discounts.map((discount) =>
+        discount
+          ? `<span class="text-red-500 font-semibold">${t("compare.percentOff", { percent: discount })}</span>`
+          : `<span class="text-zinc-400">—</span>`,
+      ),
+    },
+    {
+      label: t("compare.category"),
+      values: products.map((product) => `${product.category}/${product.subcategory}`),
+      cells: products.map(
+        (product) =>
+          `<span class="capitalize">${t(`category.${product.category}`)} / ${translateValue("subcategory", product.subcategory)}</span>`,
+      ),
+    },
+    {
+      label: t("compare.sizes"),
+      values: products.map((product) => (product.sizes || []).join()),
+      cells: products.map((product) =>
+        createCompareChipsHTML(
+          product.sizes,
+          products.map((p) => p.sizes),
+        ),
+      ),
+    },
+    {
+      label: t("compare.colors"),
+      values: products.map((product) => (product.colors || []).join()),
+      cells: products.map((product) =>
+        createCompareChipsHTML(
+          product.colors,
+          products.map((p) => p.colors),
+          "color",
+        ),
+      ),
+    },
+    {
+      label: t("compare.rating"),
+      values: ratings.map((rating) => rating.average.toFixed(1)),
+      cells: ratings.map((rating) =>
+        rating.count
+          ? `<div class="flex items-center gap-1">${createStarsHTML(rating.average)}<span class="text-sm">${rating.average.toFixed(1)} (${rating.count})</span></div>`
+          : `<span class="text-sm text-zinc-400">${t("product.noReviews")}</span>`,
+      ),
+    },
+    {
+      label: t("compare.availability"),
+      values: products.map((product) => isSoldOut(product)),
+      cells: products.map((product) =>
+        isSoldOut(product)
+          ? `<span class="text-red-500 font-medium">${t("product.stockSoldOut")}</span>`
+          : `<span class="text-green-600 dark:text-green-400 font-medium">${t("product.inStock")}</span>`,
+      ),
+    },
+  ];
+
+  const headerCells = products
+    .map(
+      (product) => `
+            <th class="p-4 align-top text-start font-normal min-w-[200px]">
+                <div class="relative">
+                    <button type="button" onclick="removeFromCompare(${product.id})" aria-label="${t("compare.remove", { name: product.name })}"
+                        class="absolute top-2 end-2 w-7 h-7 rounded-full bg-white/90 dark:bg-zinc-900/90 text-zinc-600 dark:text-zinc-300 shadow hover:text-red-500">×</button>
+                    <a href="${getProductUrl(product.id)}" class="block aspect-[3/4] rounded-lg overflow-hidden bg-zinc-100 dark:bg-zinc-800 mb-3">
+                        <img src="${product.image}" alt="${product.name}" class="w-full h-full object-cover">
+                    </a>
+                    <a href="${getProductUrl(product.id)}" class="font-semibold text-zinc-900 dark:text-white hover:text-indigo-600 dark:hover:text-indigo-400">${product.name}</a>
+                </div>
+            </th>
+        `,
+    )
+    .join("");
+
+  const bodyRows = rows
+    .map((row) => {
+      const differs = products.length > 1 && valuesDiffer(row.values.map(String));
+      return `
+            <tr class="border-t border-zinc-200 dark:border-zinc-800 ${differs ? "bg-amber-50 dark:bg-amber-900/10" : ""}">
+                <th scope="row" class="p-4 text-start text-sm font-semibold text-zinc-700 dark:text-zinc-300 whitespace-nowrap">
+                    ${row.label}
+                    ${differs ? `<span class="block text-xs font-normal text-amber-600 dark:text-amber-400">${t("compare.differs")}</span>` : ""}
+                </th>
+                ${row.cells.map((cell) => `<td class="p-4 align-top text-zinc-700 dark:text-zinc-300">${cell}</td>`).join("")}
+            </tr>
+        `;
+    })
+    .join("");
+
+  const actionCells = products
+    .map(
+      (product) => `
+            <td class="p-4">
+                <button type="button" onclick="viewProduct(${product.id})" ${isSoldOut(product) ? "disabled" : ""}
+                    class="w-full px-4 py-2 bg-indigo-600 text-white rounded-lg font-medium hover:bg-indigo-700 transition-colors disabled:bg-zinc-400 disabled:cursor-not-allowed">
+                    ${isSoldOut(product) ? t("product.soldOut") : t("compare.chooseOptions")}
+                </button>
+            </td>
+        `,
+    )
+    .join("");
+
+  container.innerHTML = `
+        <div class="flex items-center justify-between mb-6">
+            <p class="text-zinc-600 dark:text-zinc-400">${t("compare.summary", { count: products.length, max: MAX_COMPARE })}</p>
+            <button type="button" onclick="clearCompare()" class="text-sm text-zinc-500 dark:text-zinc-400 hover:text-red-500 transition-colors">${t("shop.clearAll")}</button>
+        </div>
+        <div class="overflow-x-auto bg-white dark:bg-zinc-900 rounded-xl shadow-sm border border-zinc-200 dark:border-zinc-800">
+            <table class="w-full">
+                <thead>
+                    <tr>
+                        <th class="p-4"></th>
+                        ${headerCells}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${bodyRows}
+                    <tr class="border-t border-zinc-200 dark:border-zinc-800">
+                        <th></th>
+                        ${actionCells}
+                    </tr>
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+// Initialize compare tray and page when DOM is ready
+document.addEventListener("DOMContentLoaded", () => {
+  renderCompareTray();
+  renderComparePage();
+});
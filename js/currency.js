@@ -0,0 +1,129 @@
+/**
+ * Currency - Display prices in the shopper's chosen currency
+ * Product data, carts and order math stay in the base currency (USD);
+ * amounts are converted with the local rate table below only when shown.
+ * Each currency rounds converted amounts to its own step.
+ */
+
+// Storage key
+const CURRENCY_KEY = "fashion-store-currency";
+
+// Currency every stored price is in
+const BASE_CURRENCY = "USD";
+
+// Exchange rates from USD, formatting locale and rounding step per currency
+const CURRENCIES = {
+  USD: { name: "US Dollar", rate: 1, locale: "en-US", decimals: 2, rounding: 0.01 },
+  EUR: { name: "Euro", rate: 0.92, locale: "de-DE", decimals: 2, rounding: 0.01 },
+  GBP: { name: "British Pound", rate: 0.79, locale: "en-GB", decimals: 2, rounding: 0.01 },
+  CAD: { name: "Canadian Dollar", rate: 1.36, locale: "en-CA", decimals: 2, rounding: 0.01 },
+  AUD: { name: "Australian Dollar", rate: 1.52, locale: "en-AU", decimals: 2, rounding: 0.01 },
+  EGP: { name: "Egyptian Pound", rate: 48.5, locale: "en-EG", decimals: 0, rounding: 1 },
+  JPY: { name: "Japanese Yen", rate: 149.5, locale: "ja-JP", decimals: 0, rounding: 1 },
+};
+
+/**
+ * Get the selected display currency
+ * @returns {string} Currency code
+ */
+function getCurrency() {
+  const code = localStorage.getItem(CURRENCY_KEY);
+  return CURRENCIES[code] ? code : BASE_CURRENCY;
+}
+
+/**
+ * Save the display currency and reload so every price is re-rendered
+ * @param {string} code - Currency code
+ */
+function setCurrency(code) {
+  if (!CURRENCIES[code] || code === getCurrency()) return;
+
+  localStorage.setItem(CURRENCY_KEY, code);
+  window.location.reload();
+}
+
+/**
+ * Convert a base-currency amount and round it for the target currency
+ * @param {number} amount - Amount in USD
+ * @param {string} currency - Currency code (defaults to the selected one)
+ * @param {number} rate - Exchange rate (defaults to the rate table; orders pass their saved rate)
+ * @returns {number} Converted amount
+ */
+function convertPrice(amount, currency = getCurrency(), rate = CURRENCIES[currency].rate) {
+  const { rounding } = CURRENCIES[currency];
+  const steps = Math.round((amount * rate) / rounding);
+  return Number((steps * rounding).toFixed(CURRENCIES[currency].decimals));
+}
+
+/**
+ * Format an amount that is already in the target currency
+ * @param {number} value - Amount in the target currency
+ * @param {string} currency - Currency code (defaults to the selected one)
+ * @returns {string} e.g. "$1,234.50", "1.135,74 €", "EGP 1,940"
+ */
+function formatCurrency(value, currency = getCurrency()) {
+  const { locale, decimals } = CURRENCIES[currency];
+
+  return new Intl.NumberFormat(locale, {
+    style: "currency",
+    currency,
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals,
+  }).format(value);
+}
+
+/**
+ * Convert and format a base-currency amount
+ * @param {number} amount - Amount in USD
+ * @param {string} currency - Currency code (defaults to the selected one)
+ * @returns {string} Formatted price
+ */
+function formatPrice(amount, currency = getCurrency()) {
+  return formatCurrency(convertPrice(amount, currency), currency);
+}
+
+/**
+ * Total line items in the display currency
+ * Unit prices are converted first, so the total matches the line prices shown
+ * @param {Array} items - Line items ({ price, quantity })
+ * @param {string} currency - Currency code (defaults to the selected one)
+ * @param {number} rate - Exchange rate
+ * @returns {number} Converted subtotal
+ */
+function convertItemsTotal(items, currency = getCurrency(), rate = CURRENCIES[currency].rate) {
+  const total = items.reduce(
+    (sum, item) => sum + convertPrice(item.price, currency, rate) * item.quantity,
+    0,
+  );
+  return Number(total.toFixed(CURRENCIES[currency].decimals));
+}
+
+/**
+ * Fill the header currency switchers (desktop and mobile menu)
+ */
+function initCurrencySwitcher() {
+  const current = getCurrency();
+
+  document.querySelectorAll(".currency-select").forEach((select) => {
+    if (select.options.length > 0) return;
+
+    select.innerHTML = Object.keys(CURRENCIES)
+      .map(
+        (code) =>
+          `<option value="${code}" ${code === current ? "selected" : ""}>${code}</option>`,
+      )
+      .join("");
+    select.title = translateValue("currency", current, CURRENCIES[current].name);
+    select.addEventListener("change", () => setCurrency(select.value));
+  });
+}
+
+// Fill the switchers once the header component has loaded
+document.addEventListener("componentLoaded", (e) => {
+  if (e.detail.id === "header") {
+    initCurrencySwitcher();
+  }
+});
+
+// Pages without the header component (login, register) fill theirs directly
+document.addEventListener("DOMContentLoaded", initCurrencySwitcher);
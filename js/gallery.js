@@ -0,0 +1,234 @@
+/**
+ * Gallery Manager - Handles multi-image product galleries
+ * Products may define "images" (array) and "colorImages" (color -> array)
+ * in products.json; the single "image" is used as a fallback. Supports
+ * thumbnails, arrows, swipe on touch screens, hover zoom and pinch zoom.
+ */
+
+// Zoom settings
+const HOVER_ZOOM_SCALE = 2;
+const MAX_PINCH_SCALE = 3;
+const SWIPE_THRESHOLD = 50;
+
+// Current gallery state
+let galleryImages = [];
+let galleryIndex = 0;
+let galleryAlt = "";
+
+/**
+ * Get the images for a product, optionally for a specific color
+ * @param {Object} product - Product object
+ * @param {string|null} color - Selected color
+ * @returns {Array<string>} Image URLs
+ */
+function getProductImages(product, color = null) {
+  if (color && product.colorImages && product.colorImages[color]?.length) {
+    return product.colorImages[color];
+  }
+  if (product.images && product.images.length) {
+    return product.images;
+  }
+  return [product.image];
+}
+
+/**
+ * Create gallery HTML (main image, arrows and thumbnail strip)
+ * @param {Object} product - Product object
+ * @returns {string} HTML string
+ */
+function createGalleryHTML(product) {
+  const images = getProductImages(product);
+
+  return `
+        <div class="product-gallery">
+            <div id="gallery-main" class="relative aspect-[3/4] rounded-xl overflow-hidden bg-zinc-100 dark:bg-zinc-800 cursor-zoom-in select-none" style="touch-action: pan-y">
+                <img id="gallery-image" src="${images[0]}" alt="${product.name}" class="w-full h-full object-cover transition-transform duration-200" draggable="false">
+                <button type="button" id="gallery-prev" onclick="showGalleryImage(galleryIndex - 1)" aria-label="${t("gallery.previous")}"
+                    class="${images.length > 1 ? "" : "hidden"} absolute start-3 top-1/2 -translate-y-1/2 w-10 h-10 rounded-full bg-white/80 dark:bg-zinc-900/80 text-zinc-900 dark:text-white flex items-center justify-center shadow hover:bg-white dark:hover:bg-zinc-900">
+                    <svg class="w-5 h-5 rtl:-scale-x-100" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15 19l-7-7 7-7"/></svg>
+                </button>
+                <button type="button" id="gallery-next" onclick="showGalleryImage(galleryIndex + 1)" aria-label="${t("gallery.next")}"
+                    class="${images.length > 1 ? "" : "hidden"} absolute end-3 top-1/2 -translate-y-1/2 w-10 h-10 rounded-full bg-white/80 dark:bg-zinc-900/80 text-zinc-900 dark:text-white flex items-center justify-center shadow hover:bg-white dark:hover:bg-zinc-900">
+                    <svg class="w-5 h-5 rtl:-scale-x-100" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 5l7 7-7 7"/></svg>
+                </button>
+            </div>
+            <div id="gallery-thumbnails" class="flex gap-2 mt-3 overflow-x-auto"></div>
+        </div>
+    `;
+}
+
+/**
+ * Initialize the gallery for a product
+ * Call after the gallery HTML has been inserted into the page
+ * @param {Object} product - Product object
+ */
+function initGallery(product) {
+  const main = document.getElementById("gallery-main");
+  if (!main) return;
+
+  galleryAlt = product.name;
+  setGalleryImages(getProductImages(product));
+  setupGalleryZoom(main);
+  setupGallerySwipe(main);
+}
+
+/**
+ * Replace the gallery images (e.g. when a color is selected)
+ * @param {Array<string>} images - Image URLs
+ */
+function setGalleryImages(images) {
+  galleryImages = images;
+  galleryIndex = 0;
+
+  const thumbnails = document.getElementById("gallery-thumbnails");
+  if (thumbnails) {
+    thumbnails.innerHTML =
+      images.length > 1
+        ? images
+            .map(
+              (src, index) => `
+                <button type="button" onclick="showGalleryImage(${index})" data-index="${index}" aria-label="${t("gallery.show", { number: index + 1 })}"
+                    class="gallery-thumb flex-shrink-0 w-16 h-20 rounded-lg overflow-hidden border-2 border-transparent bg-zinc-100 dark:bg-zinc-800">
+                    <img src="${src}" alt="" class="w-full h-full object-cover">
+                </button>
+            `,
+            )
+            .join("")
+        : "";
+  }
+
+  ["gallery-prev", "gallery-next"].forEach((id) => {
+    document.getElementById(id)?.classList.toggle("hidden", images.length < 2);
+  });
+
+  showGalleryImage(0);
+}
+
+/**
+ * Switch the gallery to the images of a color
+ * @param {Object} product - Product object
+ * @param {string} color - Selected color
+ */
+function setGalleryColor(product, color) {
+  const images = getProductImages(product, color);
+  if (images.join() !== galleryImages.join()) {
+    setGalleryImages(images);
+  }
+}
+
+/**
+ * Show an image by index (wraps around)
+ * @param {number} index - Image index
+ */
+function showGalleryImage(index) {
+  if (galleryImages.length === 0) return;
+
+  galleryIndex = (index + galleryImages.length) % galleryImages.length;
+
+  const image = document.getElementById("gallery-image");
+  if (image) {
+    image.src = galleryImages[galleryIndex];
+    image.alt = t("gallery.imageOf", {
+      name: galleryAlt,
+      number: galleryIndex + 1,
+      count: galleryImages.length,
+    });
+    image.style.transform = "";
+  }
+
+  document.querySelectorAll(".gallery-thumb").forEach((thumb) => {
+    const active = parseInt(thumb.dataset.index) === galleryIndex;
+    thumb.classList.toggle("border-indigo-600", active);
+    thumb.classList.toggle("border-transparent", !active);
+  });
+}
+
+/**
+ * Setup hover zoom (mouse) on the main image
+ * The image scales up and follows the cursor position
+ * @param {HTMLElement} main - Main image container
+ */
+function setupGalleryZoom(main) {
+  const image = document.getElementById("gallery-image");
+  if (!image) return;
+
+  main.addEventListener("mousemove", (e) => {
+    const rect = main.getBoundingClientRect();
+    const x = ((e.clientX - rect.left) / rect.width) * 100;
+    const y = ((e.clientY - rect.top) / rect.height) * 100;
+    image.style.transformOrigin = `${x}% ${y}%`;
+    image.style.transform = `scale(${HOVER_ZOOM_SCALE})`;
+  });
+
+  main.addEventListener("mouseleave", () => {
+    image.style.transform = "";
+    image.style.transformOrigin = "";
+  });
+}
+
+/**
+ * Setup swipe navigation and pinch zoom (touch) on the main image
+ * @param {HTMLElement} main - Main image container
+ */
+function setupGallerySwipe(main) {
+  const image = document.getElementById("gallery-image");
+  if (!image) return;
+
+  let startX = 0;
+  let startY = 0;
+  let pinchStartDistance = 0;
+  let pinchScale = 1;
+
+  const getDistance = (touches) =>
+    Math.hypot(
+      touches[0].clientX - touches[1].clientX,
+      touches[0].clientY - touches[1].clientY,
+    );
+
+  main.addEventListener("touchstart", (e) => {
+    if (e.touches.length === 2) {
+      pinchStartDistance = getDistance(e.touches);
+      const rect = main.getBoundingClientRect();
+      const midX = (e.touches[0].clientX + e.touches[1].clientX) / 2;
+      const midY = (e.touches[0].clientY + e.touches[1].clientY) / 2;
+      image.style.transformOrigin = `${((midX - rect.left) / rect.width) * 100}% ${((midY - rect.top) / rect.height) * 100}%`;
+    } else if (e.touches.length === 1) {
+      startX = e.touches[0].clientX;
+      startY = e.touches[0].clientY;
+    }
+  });
+
+  main.addEventListener(
+    "touchmove",
+    (e) => {
+      if (e.touches.length === 2 && pinchStartDistance > 0) {
+        e.preventDefault();
+        pinchScale = Math.min(
+          MAX_PINCH_SCALE,
+          Math.max(1, getDistance(e.touches) / pinchStartDistance),
+        );
+        image.style.transform = `scale(${pinchScale})`;
+      }
+    },
+    { passive: false },
+  );
+
+  main.addEventListener("touchend", (e) => {
+    // Finish a pinch: snap back to normal size
+    if (pinchStartDistance > 0) {
+      if (e.touches.length === 0) {
+        pinchStartDistance = 0;
+        pinchScale = 1;
+        image.style.transform = "";
+      }
+      return;
+    }
+
+    // Horizontal swipe changes the image
+    const deltaX = e.changedTouches[0].clientX - startX;
+    const deltaY = e.changedTouches[0].clientY - startY;
+    if (Math.abs(deltaX) > SWIPE_THRESHOLD && Math.abs(deltaX) > Math.abs(deltaY)) {
+      showGalleryImage(galleryIndex + (deltaX < 0 ? 1 : -1));
+    }
+  });
+}
@@ -0,0 +1,194 @@
+/**
+ * i18n - UI translations, language switching and right-to-left layout
+ * Message catalogs live in js/locales/<language>.js and add themselves to
+ * MESSAGES. Static markup is translated through data-i18n attributes;
+ * scripts call t() when they build HTML. The chosen language is saved in
+ * localStorage, like the theme.
+ */
+
+// Storage key
+const LANGUAGE_KEY = "fashion-store-language";
+
+// Language used when nothing is saved, and for missing messages
+const DEFAULT_LANGUAGE = "en";
+
+// Supported languages, their text direction and date/number locale
+const LANGUAGES = {
+  en: { name: "English", dir: "ltr", locale: "en-US" },
+  ar: { name: "العربية", dir: "rtl", locale: "ar-EG" },
+};
+
+// Message catalogs by language (filled by js/locales/*.js)
+const MESSAGES = {};
+
+/**
+ * Get the selected language
+ * @returns {string} Language code
+ */
+function getLanguage() {
+  const language = localStorage.getItem(LANGUAGE_KEY);
+  return LANGUAGES[language] ? language : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Save the language and reload so every string is re-rendered
+ * @param {string} language - Language code
+ */
+function setLanguage(language) {
+  if (!LANGUAGES[language] || language === getLanguage()) return;
+
+  localStorage.setItem(LANGUAGE_KEY, language);
+  window.location.reload();
+}
+
+/**
+ * Get the locale for the selected language
+ * @returns {string} BCP 47 locale, e.g. "ar-EG"
+ */
+function getLocale() {
+  return LANGUAGES[getLanguage()].locale;
+}
+
+/**
+ * Translate a message key
+ * With a numeric `count` param, the plural form for the language is used
+ * ("key.one", "key.few", …, falling back to "key.other").
+ * @param {string} key - Message key, e.g. "cart.added"
+ * @param {Object} params - Values for {placeholders} in the message
+ * @param {string} language - Language code (defaults to the selected one)
+ * @returns {string} Translated message (the English one, or the key, when missing)
+ */
+function t(key, params = {}, language = getLanguage()) {
+  const lookup = (messageKey) =>
+    MESSAGES[language]?.[messageKey] ?? MESSAGES[DEFAULT_LANGUAGE]?.[messageKey];
+
+  let message;
+  if (typeof params.count === "number") {
+    const form = new Intl.PluralRules(LANGUAGES[language].locale).select(
+      params.count,
+    );
+    message = lookup(`${key}.${form}`) ?? lookup(`${key}.other`);
+  }
+  message = message ?? lookup(key) ?? key;
+
+  return message.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] !== undefined ? params[name] : match,
+  );
+}
+
+/**
+ * Translate a value that comes from the data files, such as a color name
+ * The data holds the English text, so catalogs only need the other
+ * languages ("color.Navy": "كحلي")
+ * @param {string} group - Message key prefix, e.g. "color"
+ * @param {string} value - Value from the data, e.g. "Navy"
+ * @param {string} fallback - Text shown when there is no message (defaults to the value)
+ * @param {string} language - Language code (defaults to the selected one)
+ * @returns {string} Translated value
+ */
+function translateValue(group, value, fallback = value, language) {
+  const key = `${group}.${value}`;
+  const message = t(key, {}, language);
+  return message === key ? fallback : message;
+}
+
+/**
+ * Format a date for the selected language
+ * @param {string|Date} date - Date or ISO string
+ * @param {Object} options - Intl.DateTimeFormat options
+ * @returns {string} Formatted date
+ */
+function formatDate(date, options = {}) {
+  return new Date(date).toLocaleDateString(getLocale(), options);
+}
+
+/**
+ * Replace product names and descriptions with their translations (in place)
+ * The English text of the replaced fields is kept in `product.original`
+ * so search still finds products by their English names
+ * @param {Array} products - Array of product objects
+ * @returns {Array} The same products
+ */
+function applyProductTranslations(products) {
+  const language = getLanguage();
+
+  products.forEach((product) => {
+    const translation = product.translations?.[language];
+    if (translation) {
+      product.original = Object.fromEntries(
+        Object.keys(translation).map((field) => [field, product[field]]),
+      );
+      Object.assign(product, translation);
+    }
+  });
+
+  return products;
+}
+
+/**
+ * Set the document language and text direction
+ */
+function applyLanguage() {
+  const language = getLanguage();
+  document.documentElement.lang = language;
+  document.documentElement.dir = LANGUAGES[language].dir;
+}
+
+/**
+ * Translate static markup marked with data-i18n attributes
+ * data-i18n sets the text; data-i18n-placeholder, data-i18n-title,
+ * data-i18n-aria-label and data-i18n-alt set those attributes
+ * @param {ParentNode} root - Element to translate within
+ */
+function translatePage(root = document) {
+  root.querySelectorAll("[data-i18n]").forEach((el) => {
+    el.textContent = t(el.dataset.i18n);
+  });
+
+  [
+    ["i18nPlaceholder", "placeholder"],
+    ["i18nTitle", "title"],
+    ["i18nAriaLabel", "aria-label"],
+    ["i18nAlt", "alt"],
+  ].forEach(([dataKey, attribute]) => {
+    const selector = `[data-${dataKey.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}]`;
+    root.querySelectorAll(selector).forEach((el) => {
+      el.setAttribute(attribute, t(el.dataset[dataKey]));
+    });
+  });
+}
+
+/**
+ * Fill the header language switchers (desktop and mobile menu)
+ */
+function initLanguageSwitcher() {
+  const current = getLanguage();
+
+  document.querySelectorAll(".language-select").forEach((select) => {
+    if (select.options.length > 0) return;
+
+    select.innerHTML = Object.entries(LANGUAGES)
+      .map(
+        ([code, language]) =>
+          `<option value="${code}" ${code === current ? "selected" : ""}>${language.name}</option>`,
+      )
+      .join("");
+    select.addEventListener("change", () => setLanguage(select.value));
+  });
+}
+
+// Set the direction right away so the page doesn't flip after loading
+applyLanguage();
+
+// Translate the page when DOM is ready
+document.addEventListener("DOMContentLoaded", () => translatePage());
+
+// Translate components (header/footer) once they have loaded
+document.addEventListener("componentLoaded", (e) => {
+  const container = document.getElementById(e.detail.id);
+  if (container) translatePage(container);
+
+  if (e.detail.id === "header") {
+    initLanguageSwitcher();
+  }
+});
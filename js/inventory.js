@@ -0,0 +1,240 @@
+/**
+ * Inventory Manager - Handles per-variant stock levels
+ * Base stock comes from the "stock" map in products.json (keyed by
+ * "size|color", or just the color for products without sizes). Units sold
+ * through confirmed orders are tracked in localStorage and subtracted.
+ */
+
+// Storage key and thresholds
+const INVENTORY_KEY = "fashion-store-inventory";
+const LOW_STOCK_THRESHOLD = 5;
+const MAX_QUANTITY_PER_ITEM = 10;
+
+/**
+ * Build the stock key for a size/color combination
+ * @param {string|null} size - Size (omitted for products without sizes)
+ * @param {string|null} color - Color
+ * @returns {string} Variant key, e.g. "M|Navy"
+ */
+function getVariantKey(size, color) {
+  return [size, color].filter(Boolean).join("|");
+}
+
+/**
+ * Get units sold per product and variant from localStorage
+ * @returns {Object} { productId: { variantKey: quantity } }
+ */
+function getSoldCounts() {
+  const sold = localStorage.getItem(INVENTORY_KEY);
+  return sold ? JSON.parse(sold) : {};
+}
+
+/**
+ * Save units sold to localStorage
+ * @param {Object} sold - Sold counts
+ */
+function saveSoldCounts(sold) {
+  localStorage.setItem(INVENTORY_KEY, JSON.stringify(sold));
+}
+
+/**
+ * Get every variant of a product with its remaining stock
+ * @param {Object} product - Product object
+ * @returns {Array<Object>} Variants ({ key, size, color, stock })
+ */
+function getProductVariants(product) {
+  if (!product.stock) return [];
+
+  const sold = getSoldCounts()[product.id] || {};
+  const sizes = product.sizes && product.sizes.length ? product.sizes : [null];
+  const colors =
+    product.colors && product.colors.length ? product.colors : [null];
+
+  const variants = [];
+  sizes.forEach((size) => {
+    colors.forEach((color) => {
+      const key = getVariantKey(size, color);
+      const base = product.stock[key] || 0;
+      variants.push({
+        key,
+        size,
+        color,
+        stock: Math.max(0, base - (sold[key] || 0)),
+      });
+    });
+  });
+  return variants;
+}
+
+/**
+ * Get remaining stock for a size/color selection
+ * A missing size or color counts every variant that matches the rest
+ * @param {Object} product - Product object
+ * @param {string|null} size - Selected size
+ * @param {string|null} color - Selected color
+ * @returns {number} Units available (Infinity when stock isn't tracked)
+ */
+function getVariantStock(product, size = null, color = null) {
+  if (!product || !product.stock) return Infinity;
+
+  return getProductVariants(product)
+    .filter(
+      (variant) =>
+        (!size || variant.size === size) && (!color || variant.color === color),
+    )
+    .reduce((total, variant) => total + variant.stock, 0);
+}
+
+/**
+ * Check if a product has no stock left in any variant
+ * @param {Object} product - Product object
+ * @returns {boolean}
+ */
+function isSoldOut(product) {
+  return getVariantStock(product) === 0;
+}
+
+/**
+ * Check if stock is low enough to show an "only N left" message
+ * @param {number} stock - Units available
+ * @returns {boolean}
+ */
+function isLowStock(stock) {
+  return stock > 0 && stock <= LOW_STOCK_THRESHOLD;
+}
+
+/**
+ * Get how many more units of a selection can be added to the cart
+ * Limited by both the variant's stock and MAX_QUANTITY_PER_ITEM
+ * @param {Object} product - Product object
+ * @param {string|null} size - Selected size
+ * @param {string|null} color - Selected color
+ * @returns {number} Units that can still be added
+ */
+function getAvailableToAdd(product, size = null, color = null) {
+  const inCart = getCart()
+    .filter(
+      (item) => item.id === product.id && item.size === size && item.color === color,
+    )
+    .reduce((total, item) => total + item.quantity, 0);
+
+  return Math.max(0, getMaxQuantity(product, size, color) - inCart);
+}
+
+/**
+ * Get the largest quantity selectable for one line item
+ * @param {Object} product - Product object
+ * @param {string|null} size - Selected size
+ * @param {string|null} color - Selected color
+ * @returns {number} Quantity cap
+ */
+function getMaxQuantity(product, size = null, color = null) {
+  return Math.min(MAX_QUANTITY_PER_ITEM, getVariantStock(product, size, color));
+}
+
+/**
+ * Check order items against current stock
+ * @param {Array} items - Order line items ({ id, name, size, color, quantity })
+ * @returns {Promise<Array<string>>} Problems found (empty when all items are available)
+ */
+async function validateStock(items) {
+  const problems = [];
+
+  for (const item of items) {
+    const product = await getProductById(item.id);
+    if (!product) {
+      problems.push(t("stock.unavailable", { name: getItemName(item) }));
+      continue;
+    }
+
+    const stock = getVariantStock(product, item.size, item.color);
+    if (stock === 0) {
+      problems.push(t("product.soldOutNotice", { name: product.name }));
+    } else if (item.quantity > stock) {
+      problems.push(t("stock.onlyLeft", { count: stock, name: product.name }));
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Decrement stock for the items of a confirmed order
+ * Items without a full size/color selection draw from the first
+ * matching variants that still have stock
+ * @param {Array} items - Order line items
+ */
+async function recordSale(items) {
+  // Look products up first so stock is read and written in one go
+  const products = await Promise.all(
+    items.map((item) => getProductById(item.id)),
+  );
+  const sold = getSoldCounts();
+
+  items.forEach((item, index) => {
+    const product = products[index];
+    if (!product || !product.stock) return;
+
+    const productSold = sold[product.id] || {};
+    let remaining = item.quantity;
+
+    getProductVariants(product)
+      .filter(
+        (variant) =>
+          (!item.size || variant.size === item.size) &&
+          (!item.color || variant.color === item.color),
+      )
+      .forEach((variant) => {
+        // Count units taken by earlier lines of this order too
+        const stock = Math.max(
+          0,
+          (product.stock[variant.key] || 0) - (productSold[variant.key] || 0),
+        );
+        if (remaining === 0 || stock === 0) return;
+        const taken = Math.min(remaining, stock);
+        productSold[variant.key] = (productSold[variant.key] || 0) + taken;
+        remaining -= taken;
+      });
+
+    sold[product.id] = productSold;
+  });
+
+  saveSoldCounts(sold);
+}
+
+/**
+ * Return the items of a cancelled order to stock
+ * Undoes recordSale(), taking units back from the matching variants
+ * @param {Array} items - Order line items
+ */
+async function restockItems(items) {
+  // Look products up first so stock is read and written in one go
+  const products = await Promise.all(
+    items.map((item) => getProductById(item.id)),
+  );
+  const sold = getSoldCounts();
+
+  items.forEach((item, index) => {
+    const product = products[index];
+    const productSold = product && sold[product.id];
+    if (!productSold) return;
+
+    let remaining = item.quantity;
+
+    getProductVariants(product)
+      .filter(
+        (variant) =>
+          (!item.size || variant.size === item.size) &&
+          (!item.color || variant.color === item.color),
+      )
+      .forEach((variant) => {
+        const variantSold = productSold[variant.key] || 0;
+        if (remaining === 0 || variantSold === 0) return;
+        const returned = Math.min(remaining, variantSold);
+        productSold[variant.key] = variantSold - returned;
+        remaining -= returned;
+      });
+  });
+
+  saveSoldCounts(sold);
+}
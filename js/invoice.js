@@ -0,0 +1,627 @@
+/**
+ * Invoice - Printable invoices and downloadable receipts for saved orders
+ * invoice.html?id=ORDER_ID lays an order out as an invoice in the currency
+ * it was paid in. The page prints without the site header and footer, and
+ * can be downloaded as a standalone HTML file or as a PDF written by
+ * createInvoicePDF() (no library needed).
+ * The page and the HTML download are in the selected language. The PDF
+ * is always in English because its built-in fonts have no Arabic glyphs.
+ */
+
+// Seller shown at the top of every invoice
+const INVOICE_SELLER = "MagLothes";
+
+// Styles for the invoice itself, shared by the page and the HTML download
+const INVOICE_CSS = `
+  .invoice { max-width: 800px; margin: 0 auto; padding: 48px; background: #fff; color: #18181b; font: 14px/1.5 system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; border: 1px solid #e4e4e7; border-radius: 8px; }
+  .invoice h1 { margin: 0; font-size: 28px; letter-spacing: 0.05em; }
+  .invoice h2 { margin: 0 0 4px; font-size: 12px; text-transform: uppercase; letter-spacing: 0.05em; color: #71717a; }
+  .invoice p { margin: 0; }
+  .invoice-top, .invoice-parties { display: flex; justify-content: space-between; gap: 24px; margin-bottom: 32px; }
+  .invoice-parties > div { flex: 1; }
+  .invoice-parties p + h2 { margin-top: 16px; }
+  .invoice-seller { font-size: 20px; font-weight: 700; color: #4f46e5; text-align: end; }
+  .invoice-meta { color: #52525b; }
+  .invoice table { width: 100%; border-collapse: collapse; margin-bottom: 24px; }
+  .invoice th { padding: 8px 0; border-bottom: 2px solid #18181b; font-size: 12px; text-transform: uppercase; text-align: start; }
+  .invoice td { padding: 10px 0; border-bottom: 1px solid #e4e4e7; vertical-align: top; }
+  .invoice .num { text-align: end; white-space: nowrap; padding-inline-start: 16px; }
+  .invoice-muted { color: #71717a; font-size: 12px; }
+  .invoice-totals { margin-inline-start: auto; width: 100%; max-width: 320px; }
+  .invoice-totals div { display: flex; justify-content: space-between; gap: 16px; padding: 4px 0; }
+  .invoice-totals .invoice-total { margin-top: 4px; padding-top: 8px; border-top: 2px solid #18181b; font-size: 18px; font-weight: 700; }
+  .invoice-notes { margin-top: 32px; color: #71717a; font-size: 12px; }
+  @media print {
+    .invoice { max-width: none; padding: 0; border: 0; border-radius: 0; }
+  }
+`;
+
+// Characters outside Latin-1 that the PDF fonts (WinAnsi) can still show
+const PDF_WIN_ANSI = {
+  "€": 0x80,
+  "‚": 0x82,
+  "…": 0x85,
+  "‘": 0x91,
+  "’": 0x92,
+  "“": 0x93,
+  "”": 0x94,
+  "•": 0x95,
+  "–": 0x96,
+  "—": 0x97,
+  "™": 0x99,
+  "\u2009": 0x20,
+  "\u202f": 0x20,
+  "￥": 0xa5,
+};
+
+/**
+ * Format a date for an invoice
+ * @param {string} date - ISO date
+ * @param {string} language - Language code
+ * @returns {string} e.g. "October 18, 2026"
+ */
+function formatInvoiceDate(date, language) {
+  return new Date(date).toLocaleDateString(LANGUAGES[language].locale, {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+  });
+}
+
+/**
+ * Format an address as lines of text
+ * @param {Object} address - { firstName, lastName, address, city, state, zip, country, phone }
+ * @param {string} language - Language code
+ * @returns {Array} Non-empty lines
+ */
+function formatInvoiceAddress(address = {}, language) {
+  return [
+    [address.firstName, address.lastName].filter(Boolean).join(" "),
+    address.address,
+    [address.city, address.state, address.zip].filter(Boolean).join(", "),
+    address.country &&
+      translateValue("country", address.country, address.country, language),
+    address.phone,
+  ].filter(Boolean);
+}
+
+/**
+ * Describe the (masked) card an order was paid with
+ * @param {Object} payment - { brand, last4, cardName }
+ * @param {string} language - Language code
+ * @returns {string} e.g. "Visa ending in 4242"
+ */
+function formatInvoicePayment(payment, language) {
+  const card = t("invoice.card", {}, language);
+  if (!payment?.last4) return card;
+
+  return t(
+    "invoice.cardEnding",
+    {
+      brand: payment.brand === "Card" ? card : payment.brand,
+      last4: payment.last4,
+    },
+    language,
+  );
+}
+
+/**
+ * Collect everything an invoice shows, with amounts already formatted
+ * Both the page and the PDF are drawn from this, so they always match
+ * @param {Object} order - Order object
+ * @param {string} language - Language code (defaults to the selected one)
+ * @returns {Object} { language, number, orderId, date, status, billTo, shipTo, payment, shippingMethod, items, totals, notes }
+ */
+function getInvoiceData(order, language = getLanguage()) {
+  const text = (key, params) => t(key, params, language);
+  const amounts = getOrderAmounts(order);
+  const { currency, rate } = amounts;
+  const format = (value) => formatCurrency(value, currency);
+  const inclusive = order.taxBreakdown?.inclusive;
+  const taxLines = amounts.taxLines || [
+    { label: null, rate: null, amount: amounts.tax },
+  ];
+  const refund = getOrderRefundTotal(order);
+  const shipping = order.customer?.shipping || {};
+  const payment = order.customer?.payment;
+
+  const items = order.items.map((item) => {
+    const unitPrice = convertPrice(item.price, currency, rate);
+    return {
+      name: getItemName(item, language),
+      details: formatOrderItemVariant(item, language),
+      quantity: item.quantity,
+      unitPrice: format(unitPrice),
+      amount: format(unitPrice * item.quantity),
+    };
+  });
+
+  const taxLabel = (line) => {
+    if (line.label === null) return text("summary.tax");
+    const label = translateValue("tax", line.label, line.label, language);
+    return text("summary.taxLine", { label, rate: line.rate });
+  };
+  const shippingMethod =
+    order.shippingMethod && getShippingMethodName(order.shippingMethod, language);
+
+  const totals = [
+    { label: text("summary.subtotal"), value: format(amounts.subtotal) },
+  ];
+  if (amounts.discount > 0) {
+    totals.push({
+      label: order.promo
+        ? text("summary.discountCode", { code: order.promo.code })
+        : text("summary.discount"),
+      value: `-${format(amounts.discount)}`,
+    });
+  }
+  totals.push({
+    label: shippingMethod
+      ? text("summary.shippingMethod", { method: shippingMethod })
+      : text("summary.shipping"),
+    value:
+      amounts.shipping > 0 ? format(amounts.shipping) : text("summary.free"),
+  });
+  if (!inclusive) {
+    taxLines
+      .filter((line) => line.amount > 0)
+      .forEach((line) =>
+        totals.push({ label: taxLabel(line), value: format(line.amount) }),
+      );
+  }
+  totals.push({
+    label: text("summary.total"),
+    value: format(amounts.total),
+    total: true,
+  });
+  if (refund.amount > 0) {
+    totals.push({
+      label: text("orders.refunded"),
+      value: `-${format(refund.displayAmount)}`,
+    });
+    totals.push({
+      label: text("orders.netPaid"),
+      value: format(amounts.total - refund.displayAmount),
+    });
+  }
+
+  const notes = [];
+  if (inclusive) {
+    taxLines
+      .filter((line) => line.amount > 0)
+      .forEach((line) =>
+        notes.push(
+          text("invoice.pricesInclude", {
+            tax: taxLabel(line),
+            amount: format(line.amount),
+          }),
+        ),
+      );
+  }
+  if (currency !== BASE_CURRENCY) {
+    notes.push(
+      text("invoice.chargedIn", { currency, base: BASE_CURRENCY, rate }),
+    );
+  }
+  notes.push(text("invoice.thanks", { seller: INVOICE_SELLER }));
+
+  return {
+    language,
+    number: order.id.replace(/^ORD-/, "INV-"),
+    orderId: order.id,
+    date: formatInvoiceDate(order.date, language),
+    status: getOrderStatusLabel(order.status, language),
+    billTo: formatInvoiceAddress(order.customer?.billing || shipping, language),
+    shipTo: formatInvoiceAddress(shipping, language),
+    email: order.customer?.email || "",
+    payment: formatInvoicePayment(payment, language),
+    cardName: payment?.cardName || "",
+    shippingMethod: shippingMethod || "",
+    items,
+    totals,
+    notes,
+  };
+}
+
+/**
+ * Create the invoice markup (styled by INVOICE_CSS)
+ * @param {Object} invoice - Invoice data from getInvoiceData()
+ * @returns {string} HTML string
+ */
+function createInvoiceHTML(invoice) {
+  const text = (key, params) => t(key, params, invoice.language);
+  const lines = (values) => values.map(escapeHTML).join("<br>");
+
+  return `
+        <article class="invoice">
+            <div class="invoice-top">
+                <div>
+                    <h1>${text("invoice.heading")}</h1>
+                    <p class="invoice-meta">
+                        ${text("invoice.number", { number: invoice.number })}<br>
+                        ${text("invoice.order", { id: invoice.orderId })}<br>
+                        ${text("invoice.date", { date: invoice.date })}<br>
+                        ${text("invoice.status", { status: invoice.status })}
+                    </p>
+                </div>
+                <p class="invoice-seller">${INVOICE_SELLER}</p>
+            </div>
+
+            <div class="invoice-parties">
+                <div>
+                    <h2>${text("invoice.billTo")}</h2>
+                    <p>${lines([...invoice.billTo, invoice.email].filter(Boolean))}</p>
+                </div>
+                <div>
+                    <h2>${text("invoice.shipTo")}</h2>
+                    <p>${lines(invoice.shipTo)}</p>
+                </div>
+                <div>
+                    <h2>${text("invoice.payment")}</h2>
+                    <p>${lines([invoice.payment, invoice.cardName].filter(Boolean))}</p>
+                    ${
+                      invoice.shippingMethod
+                        ? `<h2>${text("invoice.shippingMethod")}</h2><p>${escapeHTML(invoice.shippingMethod)}</p>`
+                        : ""
+                    }
+                </div>
+            </div>
+
+            <table>
+                <thead>
+                    <tr>
+                        <th>${text("invoice.item")}</th>
+                        <th class="num">${text("invoice.quantity")}</th>
+                        <th class="num">${text("invoice.unitPrice")}</th>
+                        <th class="num">${text("invoice.amount")}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${invoice.items
+                      .map(
+                        (item) => `
+                    <tr>
+                        <td>
+                            ${escapeHTML(item.name)}
+                            ${item.details ? `<br><span class="invoice-muted">${escapeHTML(item.details)}</span>` : ""}
+                        </td>
+                        <td class="num">${item.quantity}</td>
+                        <td class="num">${item.unitPrice}</td>
+                        <td class="num">${item.amount}</td>
+                    </tr>
+                    `,
+                      )
+                      .join("")}
+                </tbody>
+            </table>
+
+            <div class="invoice-totals">
+                ${invoice.totals
+                  .map(
+                    (row) => `
+                <div class="${row.total ? "invoice-total" : ""}">
+                    <span>${escapeHTML(row.label)}</span>
+                    <span>${row.value}</span>
+                </div>
+                `,
+                  )
+                  .join("")}
+            </div>
+
+            <div class="invoice-notes">
+                ${invoice.notes.map((note) => `<p>${escapeHTML(note)}</p>`).join("")}
+            </div>
+        </article>
+    `;
+}
+
+/**
+ * Render the invoice page (invoice.html?id=ORDER_ID)
+ */
+async function renderInvoicePage() {
+  const container = document.getElementById("invoice");
+  if (!container || !requireAuth()) return;
+
+  // Line names come from the catalog, in the invoice's language
+  await Promise.all([syncOrderStatuses(), getAllProducts()]);
+  const orderId = new URLSearchParams(window.location.search).get("id");
+  const order = getUserOrderById(orderId);
+
+  if (!order) {
+    container.innerHTML = `
+            <div class="text-center py-16">
+                <h2 class="text-2xl font-bold text-zinc-900 dark:text-white mb-4">${t("orders.notFound")}</h2>
+                <p class="text-zinc-600 dark:text-zinc-400 mb-8">${t("orders.notFoundText")}</p>
+                <a href="orders.html" class="inline-flex items-center gap-2 px-8 py-4 bg-indigo-600 text-white rounded-xl font-semibold hover:bg-indigo-700 transition-colors">
+                    ${t("orders.back")}
+                </a>
+            </div>
+        `;
+    return;
+  }
+
+  const buttonClass =
+    "px-4 py-2 text-sm font-medium rounded-lg border border-zinc-300 dark:border-zinc-700 text-zinc-700 dark:text-zinc-300 hover:bg-zinc-100 dark:hover:bg-zinc-800 transition-colors";
+
+  container.innerHTML = `
+        <style>${INVOICE_CSS}</style>
+        <div class="no-print flex flex-wrap items-center justify-between gap-4 mb-6">
+            <a href="order.html?id=${encodeURIComponent(order.id)}" class="text-sm font-medium text-indigo-600 dark:text-indigo-400 hover:underline"><span class="inline-block rtl:-scale-x-100">&larr;</span> ${t("invoice.orderDetails")}</a>
+            <div class="flex flex-wrap gap-2">
+                <button onclick="window.print()" class="px-4 py-2 text-sm font-medium rounded-lg bg-indigo-600 text-white hover:bg-indigo-700 transition-colors">${t("invoice.print")}</button>
+                <button onclick="downloadInvoice('${order.id}', 'pdf')" class="${buttonClass}">${t("invoice.downloadPDF")}</button>
+                <button onclick="downloadInvoice('${order.id}', 'html')" class="${buttonClass}">${t("invoice.downloadHTML")}</button>
+            </div>
+        </div>
+        ${createInvoiceHTML(getInvoiceData(order))}
+    `;
+}
+
+/**
+ * Download one of the logged-in user's invoices
+ * @param {string} orderId - Order ID
+ * @param {string} format - "pdf" or "html"
+ */
+function downloadInvoice(orderId, format) {
+  const order = getUserOrderById(orderId);
+  if (!order) {
+    showNotification(t("orders.notFound"), "error");
+    return;
+  }
+
+  // The PDF fonts only cover Latin scripts, so PDFs are always in English
+  const invoice = getInvoiceData(
+    order,
+    format === "pdf" ? DEFAULT_LANGUAGE : getLanguage(),
+  );
+  const blob =
+    format === "pdf"
+      ? createInvoicePDF(invoice)
+      : new Blob([createInvoiceDocument(invoice)], { type: "text/html" });
+
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = `${invoice.number}.${format}`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+/**
+ * Create a standalone HTML document for an invoice
+ * @param {Object} invoice - Invoice data from getInvoiceData()
+ * @returns {string} HTML document
+ */
+function createInvoiceDocument(invoice) {
+  return `<!doctype html>
+<html lang="${invoice.language}" dir="${LANGUAGES[invoice.language].dir}">
+  <head>
+    <meta charset="UTF-8" />
+    <title>${t("invoice.number", { number: invoice.number }, invoice.language)} - ${INVOICE_SELLER}</title>
+    <style>
+      body { margin: 0; padding: 32px 16px; background: #f4f4f5; }
+      @media print { body { padding: 0; background: #fff; } }
+      ${INVOICE_CSS}
+    </style>
+  </head>
+  <body>
+    ${createInvoiceHTML(invoice)}
+  </body>
+</html>
+`;
+}
+
+/**
+ * Encode text for a PDF string in the WinAnsi encoding of the built-in fonts
+ * Characters the fonts don't have (e.g. Arabic) become "?"
+ * @param {string} value - Text
+ * @returns {string} Escaped string body (one char per byte)
+ */
+function encodePDFText(value) {
+  return Array.from(String(value), (char) => {
+    const code = char.charCodeAt(0);
+    if (PDF_WIN_ANSI[char]) return String.fromCharCode(PDF_WIN_ANSI[char]);
+    if (code > 0xff || (code < 0x20 && code !== 0x09)) return "?";
+    return char;
+  })
+    .join("")
+    .replace(/[\\()]/g, "\\$&");
+}
+
+/**
+ * Create an A4 PDF of an invoice
+ * Uses the standard Helvetica and Courier fonts, so the file needs no
+ * embedded fonts; amounts use Courier so their columns line up
+ * @param {Object} invoice - Invoice data from getInvoiceData()
+ * @returns {Blob} PDF file
+ */
+function createInvoicePDF(invoice) {
+  const width = 595;
+  const height = 842;
+  const margin = 50;
+  const right = width - margin;
+  const pages = [];
+  const message = (key, params) => t(key, params, invoice.language);
+  let ops;
+  let y;
+
+  // F1 Helvetica, F2 Helvetica-Bold, F3 Courier, F4 Courier-Bold
+  const text = (value, x, size, font = "F1", gray = 0) => {
+    ops.push(
+      `BT ${gray} g /${font} ${size} Tf ${x} ${y} Td (${encodePDFText(value)}) Tj ET`,
+    );
+  };
+  // Only Courier has fixed-width glyphs, so only it can be right-aligned
+  const textRight = (value, x, size, font = "F3") => {
+    text(value, x - String(value).length * size * 0.6, size, font);
+  };
+  const rule = (weight = 0.5) => {
+    ops.push(`${weight} w 0.6 G ${margin} ${y} m ${right} ${y} l S`);
+  };
+  const clip = (value, chars) =>
+    value.length > chars ? `${value.slice(0, chars - 1)}…` : value;
+  const newPage = () => {
+    ops = [];
+    pages.push(ops);
+    y = height - margin;
+  };
+  const ensureSpace = (needed) => {
+    if (y - needed < margin) newPage();
+  };
+  const tableHeader = () => {
+    text(message("invoice.item").toUpperCase(), margin, 9, "F4");
+    textRight(message("invoice.quantity").toUpperCase(), 300, 9, "F4");
+    textRight(message("invoice.unitPrice").toUpperCase(), 400, 9, "F4");
+    textRight(message("invoice.amount").toUpperCase(), right, 9, "F4");
+    y -= 8;
+    rule(1);
+    y -= 16;
+  };
+
+  newPage();
+
+  // Title and invoice details
+  y -= 10;
+  text(INVOICE_SELLER, margin, 14, "F2", 0.3);
+  y -= 30;
+  text(message("invoice.heading"), margin, 24, "F2");
+  y -= 22;
+  [
+    message("invoice.number", { number: invoice.number }),
+    message("invoice.order", { id: invoice.orderId }),
+    message("invoice.date", { date: invoice.date }),
+    message("invoice.status", { status: invoice.status }),
+  ].forEach((line) => {
+    text(line, margin, 10, "F1", 0.35);
+    y -= 14;
+  });
+  y -= 16;
+
+  // Bill to / ship to / payment columns
+  const columns = [
+    {
+      title: message("invoice.billTo"),
+      lines: [...invoice.billTo, invoice.email],
+    },
+    { title: message("invoice.shipTo"), lines: invoice.shipTo },
+    {
+      title: message("invoice.payment"),
+      lines: [
+        invoice.payment,
+        invoice.cardName,
+        invoice.shippingMethod &&
+          message("summary.shippingMethod", { method: invoice.shippingMethod }),
+      ],
+    },
+  ];
+  const top = y;
+  let bottom = y;
+  columns.forEach((column, index) => {
+    const x = margin + index * 170;
+    y = top;
+    text(column.title.toUpperCase(), x, 9, "F2", 0.45);
+    y -= 15;
+    column.lines.filter(Boolean).forEach((line) => {
+      text(clip(line, 30), x, 10);
+      y -= 14;
+    });
+    bottom = Math.min(bottom, y);
+  });
+  y = bottom - 20;
+
+  // Line items
+  tableHeader();
+  invoice.items.forEach((item) => {
+    if (y - 30 < margin) {
+      newPage();
+      tableHeader();
+    }
+    text(clip(item.name, 40), margin, 10);
+    textRight(String(item.quantity), 300, 10);
+    textRight(item.unitPrice, 400, 10);
+    textRight(item.amount, right, 10);
+    if (item.details) {
+      y -= 13;
+      text(clip(item.details, 50), margin, 8, "F1", 0.45);
+    }
+    y -= 10;
+    rule();
+    y -= 16;
+  });
+
+  // Totals
+  ensureSpace(invoice.totals.length * 18 + 10);
+  y -= 4;
+  invoice.totals.forEach((row) => {
+    if (row.total) {
+      y -= 4;
+      ops.push(`1 w 0 G 300 ${y + 14} m ${right} ${y + 14} l S`);
+    }
+    const size = row.total ? 12 : 10;
+    text(clip(row.label, 26), 300, size, row.total ? "F2" : "F1");
+    textRight(row.value, right, size, row.total ? "F4" : "F3");
+    y -= row.total ? 22 : 16;
+  });
+
+  // Notes
+  y -= 16;
+  invoice.notes.forEach((note) => {
+    ensureSpace(14);
+    text(note, margin, 9, "F1", 0.45);
+    y -= 13;
+  });
+
+  return buildPDF(pages, width, height);
+}
+
+/**
+ * Assemble page content streams into a PDF file
+ * @param {Array} pages - Drawing operators for each page
+ * @param {number} width - Page width (points)
+ * @param {number} height - Page height (points)
+ * @returns {Blob} PDF file
+ */
+function buildPDF(pages, width, height) {
+  const fonts = ["Helvetica", "Helvetica-Bold", "Courier", "Courier-Bold"];
+  const firstPage = 3 + fonts.length;
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    `<< /Type /Pages /Kids [${pages.map((_, index) => `${firstPage + index * 2} 0 R`).join(" ")}] /Count ${pages.length} >>`,
+    ...fonts.map(
+      (font) =>
+        `<< /Type /Font /Subtype /Type1 /BaseFont /${font} /Encoding /WinAnsiEncoding >>`,
+    ),
+  ];
+  const fontRefs = fonts
+    .map((_, index) => `/F${index + 1} ${3 + index} 0 R`)
+    .join(" ");
+
+  pages.forEach((ops, index) => {
+    const stream = ops.join("\n");
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] /Resources << /Font << ${fontRefs} >> >> /Contents ${firstPage + index * 2 + 1} 0 R >>`,
+      `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`,
+    );
+  });
+
+  // Every character is one byte, so string lengths are byte offsets
+  let pdf = "%PDF-1.4\n";
+  const offsets = objects.map((object, index) => {
+    const offset = pdf.length;
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets
+    .map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`)
+    .join("");
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+  const bytes = Uint8Array.from(pdf, (char) => char.charCodeAt(0));
+  return new Blob([bytes], { type: "application/pdf" });
+}
+
+// Render the invoice when DOM is ready
+document.addEventListener("DOMContentLoaded", renderInvoicePage);
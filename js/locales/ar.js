@@ -0,0 +1,648 @@
+/**
+ * Arabic messages (right-to-left)
+ */
+MESSAGES.ar = {
+  // Header & navigation
+  "nav.home": "الرئيسية",
+  "nav.shop": "المتجر",
+  "nav.cart": "السلة",
+  "nav.wishlist": "المفضلة",
+  "nav.checkout": "الدفع",
+  "nav.myAccount": "حسابي",
+  "nav.myOrders": "طلباتي",
+  "nav.login": "تسجيل الدخول",
+  "nav.signUp": "إنشاء حساب",
+  "nav.hello": "مرحباً،",
+  "nav.logout": "تسجيل الخروج",
+  "nav.currency": "العملة",
+  "nav.language": "اللغة",
+  "nav.searchPlaceholder": "ابحث عن المنتجات...",
+  "nav.searchLabel": "البحث عن المنتجات",
+
+  // Footer
+  "footer.tagline":
+    "وجهتك الشاملة للأزياء العصرية بأسعار مناسبة. تسوّق أحدث الصيحات اليوم.",
+  "footer.quickLinks": "روابط سريعة",
+  "footer.customerService": "خدمة العملاء",
+  "footer.contact": "اتصل بنا",
+  "footer.shippingPolicy": "سياسة الشحن",
+  "footer.returns": "الإرجاع والاستبدال",
+  "footer.faq": "الأسئلة الشائعة",
+  "footer.stayConnected": "ابقَ على تواصل",
+  "footer.subscribe": "اشترك لتصلك العروض الخاصة والصفقات الحصرية.",
+  "footer.email": "البريد الإلكتروني",
+  "footer.join": "اشترك",
+  "footer.rights": "© 2026 ماجلوذز. جميع الحقوق محفوظة.",
+
+  // Categories
+  "category.men": "رجال",
+  "category.women": "نساء",
+  "category.accessories": "إكسسوارات",
+  "category.sale": "تخفيضات",
+
+  // Product cards & product view
+  "product.noProducts": "لا توجد منتجات",
+  "product.viewDetails": "عرض التفاصيل",
+  "product.viewFullDetails": "عرض كل التفاصيل",
+  "product.featured": "مميز",
+  "product.saleBadge": "تخفيض",
+  "product.soldOutBadge": "نفدت الكمية",
+  "product.addToCart": "أضف إلى السلة",
+  "product.buyNow": "اشترِ الآن",
+  "product.soldOut": "نفدت الكمية",
+  "product.size": "المقاس",
+  "product.sizeGuide": "دليل المقاسات",
+  "product.color": "اللون",
+  "product.quantity": "الكمية",
+  "product.stockSoldOut": "نفدت الكمية",
+  "product.stockLow": "متبقٍ {count} فقط",
+  "product.inStock": "متوفر",
+  "product.outOfStock": "عذراً، {name} غير متوفر حالياً",
+  "product.soldOutNotice": "عذراً، نفدت كمية {name}",
+  "product.reviews.zero": "لا توجد تقييمات",
+  "product.reviews.one": "تقييم واحد",
+  "product.reviews.two": "تقييمان",
+  "product.reviews.few": "{count} تقييمات",
+  "product.reviews.many": "{count} تقييماً",
+  "product.reviews.other": "{count} تقييم",
+  "product.noReviews": "لا توجد تقييمات بعد",
+  "product.notFound": "المنتج غير موجود",
+  "product.notFoundTitle": "المنتج غير موجود",
+  "product.notFoundText": "المنتج الذي تبحث عنه غير موجود أو لم يعد متاحاً.",
+  "product.backToShop": "العودة إلى المتجر",
+  "product.breadcrumb": "مسار التنقل",
+
+  // Cart
+  "cart.title": "سلة التسوق",
+  "cart.subtitle": "راجع منتجاتك وتابع إلى الدفع",
+  "cart.emptyTitle": "سلتك فارغة",
+  "cart.emptyText":
+    "يبدو أنك لم تضف أي منتجات إلى سلتك بعد. تصفح مجموعتنا واعثر على ما تحب!",
+  "cart.continueShopping": "مواصلة التسوق",
+  "cart.items": "منتجات السلة",
+  "cart.clear": "إفراغ السلة",
+  "cart.remove": "إزالة",
+  "cart.sizeValue": "المقاس: {size}",
+  "cart.colorValue": "اللون: {color}",
+  "cart.quantityValue": "الكمية: {count}",
+  "cart.added": "تمت إضافة {name} إلى السلة!",
+  "cart.removed": "تمت إزالة المنتج من السلة",
+  "cart.onlyMore": "يتوفر {count} فقط إضافية من {name}",
+  "cart.maxQuantity": "يمكن طلب {count} فقط من {name}",
+  "cart.taxAtCheckout": "تُحسب عند الدفع",
+  "cart.estimatedTotal": "الإجمالي التقديري",
+  "cart.proceed": "المتابعة إلى الدفع",
+  "cart.shippingNote": "يتم حساب الشحن والضرائب عند الدفع",
+
+  // Order summary (cart & checkout)
+  "summary.title": "ملخص الطلب",
+  "summary.subtotal": "المجموع الفرعي",
+  "summary.discount": "الخصم",
+  "summary.discountCode": "الخصم ({code})",
+  "summary.shipping": "الشحن",
+  "summary.shippingMethod": "الشحن ({method})",
+  "summary.free": "مجاني",
+  "summary.tax": "الضريبة",
+  "summary.taxLine": "{label} ({rate}%)",
+  "summary.taxIncluded": "شامل {label} ({rate}%)",
+  "summary.total": "الإجمالي",
+  "summary.estimatedDelivery": "التوصيل المتوقع: {dates}",
+  "summary.estimatedPickup": "الاستلام المتوقع: {dates}",
+
+  // Checkout
+  "checkout.title": "الدفع",
+  "checkout.buyNowTitle": "الدفع - شراء فوري",
+  "checkout.cartTitle": "الدفع - السلة",
+  "checkout.contact": "معلومات التواصل",
+  "checkout.email": "البريد الإلكتروني",
+  "checkout.shippingAddress": "عنوان الشحن",
+  "checkout.firstName": "الاسم الأول",
+  "checkout.lastName": "اسم العائلة",
+  "checkout.address": "العنوان",
+  "checkout.city": "المدينة",
+  "checkout.state": "الولاية / المحافظة",
+  "checkout.zip": "الرمز البريدي",
+  "checkout.country": "الدولة",
+  "checkout.phone": "رقم الهاتف",
+  "checkout.shippingMethod": "طريقة الشحن",
+  "checkout.payment": "معلومات الدفع",
+  "checkout.sameAsShipping": "عنوان الفواتير هو نفس عنوان الشحن",
+  "checkout.cardNumber": "رقم البطاقة",
+  "checkout.cardName": "الاسم على البطاقة",
+  "checkout.expiry": "تاريخ الانتهاء",
+  "checkout.cvv": "رمز التحقق",
+  "checkout.complete": "إتمام الطلب",
+  "checkout.errorEmail": "يرجى إدخال بريد إلكتروني صحيح",
+  "checkout.errorName": "يرجى إدخال اسمك الكامل",
+  "checkout.errorAddress": "يرجى إدخال عنوانك كاملاً",
+  "checkout.errorPhone": "يرجى إدخال رقم هاتفك",
+  "checkout.errorBilling": "يرجى إدخال عنوان الفواتير كاملاً",
+  "checkout.errorCardNumber": "يرجى إدخال رقم بطاقة صحيح",
+  "checkout.errorCardName": "يرجى إدخال الاسم على البطاقة",
+  "checkout.errorExpiry": "يرجى إدخال تاريخ انتهاء البطاقة ورمز التحقق",
+  "checkout.errorShippingMethod": "يرجى اختيار طريقة الشحن",
+  "checkout.confirmedTitle": "تم تأكيد الطلب!",
+  "checkout.confirmedText": "شكراً لشرائك. تم تأكيد طلبك {id}.",
+  "checkout.orderDate": "تاريخ الطلب",
+  "checkout.itemCount": "المنتجات",
+  "checkout.shippingWith": "شحن {method}",
+  "checkout.deliveryDate": "التوصيل المتوقع",
+  "checkout.pickupDate": "الاستلام المتوقع",
+  "checkout.trackOrder": "تتبع الطلب",
+  "checkout.viewInvoice": "عرض الفاتورة",
+  "checkout.backHome": "العودة إلى الرئيسية",
+
+  // Shipping methods
+  "shipping.unavailable": "لا نشحن إلى هذه الدولة حالياً.",
+  "shipping.arrives": "يصل {dates}",
+  "shipping.ready": "جاهز {dates}",
+  "shipping.freeOver": "مجاني للطلبات التي تتجاوز {amount}",
+  "shippingMethod.standard": "عادي",
+  "shippingMethod.express": "سريع",
+  "shippingMethod.next-day": "اليوم التالي",
+  "shippingMethod.pickup": "الاستلام من المتجر",
+  "shippingDescription.standard": "توصيل مع تتبع حتى باب منزلك",
+  "shippingDescription.express": "معالجة ذات أولوية وتوصيل أسرع",
+  "shippingDescription.next-day":
+    "اطلب قبل الساعة 2 ظهراً للتوصيل في يوم العمل التالي",
+  "shippingDescription.pickup": "استلم طلبك من متجرنا الرئيسي",
+
+  // Countries
+  "country.US": "الولايات المتحدة",
+  "country.CA": "كندا",
+  "country.UK": "المملكة المتحدة",
+  "country.AU": "أستراليا",
+  "country.EG": "مصر",
+  "country.DE": "ألمانيا",
+  "country.FR": "فرنسا",
+  "country.IT": "إيطاليا",
+  "country.ES": "إسبانيا",
+  "country.NL": "هولندا",
+
+  // Login & register
+  "auth.welcomeBack": "مرحباً بعودتك",
+  "auth.signInSubtitle": "سجّل الدخول إلى حسابك للمتابعة",
+  "auth.email": "البريد الإلكتروني",
+  "auth.password": "كلمة المرور",
+  "auth.rememberMe": "تذكرني",
+  "auth.forgotPassword": "نسيت كلمة المرور؟",
+  "auth.signIn": "تسجيل الدخول",
+  "auth.orContinue": "أو تابع باستخدام",
+  "auth.noAccount": "ليس لديك حساب؟",
+  "auth.signUpLink": "أنشئ حساباً",
+  "auth.createAccount": "إنشاء حساب",
+  "auth.signUpSubtitle": "أنشئ حساباً لتبدأ التسوق",
+  "auth.fullName": "الاسم الكامل",
+  "auth.passwordHint":
+    "8 أحرف على الأقل، تتضمن حرفاً كبيراً وحرفاً صغيراً ورقماً ورمزاً خاصاً",
+  "auth.confirmPassword": "تأكيد كلمة المرور",
+  "auth.agreeTo": "أوافق على",
+  "auth.terms": "شروط الخدمة",
+  "auth.and": "و",
+  "auth.privacy": "سياسة الخصوصية",
+  "auth.orSignUp": "أو أنشئ حساباً باستخدام",
+  "auth.haveAccount": "لديك حساب بالفعل؟",
+  "auth.signInLink": "سجّل الدخول",
+  "auth.errorFields": "يرجى ملء جميع الحقول",
+  "auth.errorPasswordMatch": "كلمتا المرور غير متطابقتين",
+  "auth.errorPasswordStrength":
+    "يجب أن تتكون كلمة المرور من 8 أحرف على الأقل وأن تتضمن حرفاً كبيراً وحرفاً صغيراً ورقماً ورمزاً خاصاً.",
+  "auth.errorEmailTaken": "البريد الإلكتروني مسجل بالفعل",
+  "auth.errorLoginFields": "يرجى إدخال البريد الإلكتروني وكلمة المرور",
+  "auth.errorInvalidLogin": "البريد الإلكتروني أو كلمة المرور غير صحيحة",
+
+  // Sales
+  "sale.days.one": "يوم واحد",
+  "sale.days.other": "{count} يوم",
+  "sale.endsIn": "ينتهي {name} خلال",
+  "sale.ended": "انتهى هذا العرض",
+
+  // Stock
+  "stock.unavailable": "{name} لم يعد متوفراً",
+  "stock.onlyLeft": "تبقى {count} فقط من {name} في المخزون",
+
+  // Shop
+  "shop.subcategory": "الفئة الفرعية",
+  "shop.noResults": 'لا توجد منتجات لـ "{query}"',
+  "shop.didYouMean": "هل تقصد",
+  "shop.questionMark": "؟",
+  "shop.tryFewer": "جرّب كلمات أقل أو امسح بعض عوامل التصفية.",
+  "shop.previousPage": "الصفحة السابقة",
+  "shop.nextPage": "الصفحة التالية",
+  "shop.price": "السعر ({currency})",
+  "shop.min": "الأدنى",
+  "shop.max": "الأعلى",
+  "shop.inRange.one": "منتج واحد ضمن النطاق",
+  "shop.inRange.other": "{count} منتج ضمن النطاق",
+  "shop.andUp": "فأكثر",
+  "shop.anyRating": "أي تقييم",
+  "shop.customerRating": "تقييم العملاء",
+  "shop.productCount.one": "منتج واحد",
+  "shop.productCount.other": "{count} منتج",
+  "shop.title": "مجموعتنا",
+  "shop.subtitle":
+    "اكتشف أحدث صيحات الموضة. تصفح مجموعتنا المختارة من الملابس لكل ذوق ومناسبة.",
+  "shop.all": "الكل",
+  "shop.filters": "عوامل التصفية",
+  "shop.clearAll": "مسح الكل",
+  "shop.sortBy": "ترتيب حسب",
+  "shop.sortRecommended": "مقترح",
+  "shop.sortFeatured": "المميز أولاً",
+  "shop.sortNewest": "الأحدث",
+  "shop.sortPriceAsc": "السعر: من الأقل إلى الأعلى",
+  "shop.sortPriceDesc": "السعر: من الأعلى إلى الأقل",
+  "shop.sortName": "الاسم: أ إلى ي",
+  "shop.sortDiscount": "أكبر خصم",
+  "shop.sortRating": "الأعلى تقييماً",
+  "shop.pagination": "التنقل بين الصفحات",
+
+  // Common
+  "common.close": "إغلاق",
+  "common.clear": "مسح",
+  "common.cancel": "إلغاء",
+
+  // Subcategories
+  "subcategory.bags": "حقائب",
+  "subcategory.belts": "أحزمة",
+  "subcategory.blazers": "بليزرات",
+  "subcategory.coats": "معاطف",
+  "subcategory.dresses": "فساتين",
+  "subcategory.hats": "قبعات",
+  "subcategory.hoodies": "هوديز",
+  "subcategory.jackets": "جاكيتات",
+  "subcategory.jeans": "جينز",
+  "subcategory.pants": "بناطيل",
+  "subcategory.scarves": "أوشحة",
+  "subcategory.shoes": "أحذية",
+  "subcategory.shorts": "شورتات",
+  "subcategory.skirts": "تنانير",
+  "subcategory.sunglasses": "نظارات شمسية",
+  "subcategory.sweaters": "كنزات",
+  "subcategory.t-shirts": "تيشيرتات",
+  "subcategory.tops": "بلوزات",
+  "subcategory.watches": "ساعات",
+
+  // Colors
+  "color.Beige": "بيج",
+  "color.Black": "أسود",
+  "color.Black/Silver": "أسود/فضي",
+  "color.Black/White": "أسود/أبيض",
+  "color.Blue": "أزرق",
+  "color.Blue Floral": "أزرق مورد",
+  "color.Blue/White": "أزرق/أبيض",
+  "color.Blush": "وردي فاتح",
+  "color.Brown": "بني",
+  "color.Brown/Gold": "بني/ذهبي",
+  "color.Burgundy": "عنابي",
+  "color.Camel": "جملي",
+  "color.Cream": "كريمي",
+  "color.Dark Blue": "أزرق داكن",
+  "color.Gold": "ذهبي",
+  "color.Gray": "رمادي",
+  "color.Green": "أخضر",
+  "color.Khaki": "كاكي",
+  "color.Light Blue": "أزرق فاتح",
+  "color.Navy": "كحلي",
+  "color.Olive": "زيتوني",
+  "color.Pink": "وردي",
+  "color.Pink Floral": "وردي مورد",
+  "color.Pink/White": "وردي/أبيض",
+  "color.Red": "أحمر",
+  "color.Stone": "حجري",
+  "color.Tan": "بني فاتح",
+  "color.Tortoise": "صدفي",
+  "color.White": "أبيض",
+  "color.Yellow Floral": "أصفر مورد",
+
+  // Recommendations
+  "recommendations.completeTheLook": "أكمل إطلالتك",
+  "recommendations.similar": "قد يعجبك أيضاً",
+
+  // Recently viewed
+  "recentlyViewed.title": "شوهد مؤخراً",
+  "recentlyViewed.clear": "مسح السجل",
+  "recentlyViewed.previous": "التمرير للخلف",
+  "recentlyViewed.next": "التمرير للأمام",
+
+  // Size guide
+  "sizeGuide.recommend": "ننصح بالمقاس {size} بناءً على قياساتك.",
+  "sizeGuide.recommendSoldOut":
+    "ننصح بالمقاس {size} بناءً على قياساتك (غير متوفر حالياً).",
+  "sizeGuide.update": "تحديث القياسات",
+  "sizeGuide.addMeasurements": "{link} للحصول على توصية بالمقاس.",
+  "sizeGuide.addLink": "أضف قياساتك",
+  "sizeGuide.signIn": "{link} للحصول على توصية بالمقاس.",
+  "sizeGuide.mens-tops": "بلوزات وملابس خارجية رجالية",
+  "sizeGuide.mens-bottoms": "بناطيل وشورتات رجالية",
+  "sizeGuide.mens-jeans": "جينز رجالي (الخصر بالبوصة)",
+  "sizeGuide.womens-tops": "بلوزات وكنزات ومعاطف نسائية",
+  "sizeGuide.dresses": "فساتين",
+  "sizeGuide.skirts": "تنانير",
+  "sizeGuide.womens-jeans": "جينز نسائي (الخصر بالبوصة)",
+  "sizeGuide.shoes": "أحذية (مقاسات أمريكية)",
+  "sizeGuide.hats": "قبعات",
+  "sizeGuide.belts": "أحزمة",
+  "measurement.chest": "الصدر",
+  "measurement.waist": "الخصر",
+  "measurement.hips": "الأرداف",
+  "measurement.foot": "طول القدم",
+  "measurement.head": "محيط الرأس",
+
+  // Account
+  "account.title": "حسابي",
+  "account.subtitle": "ملفك الشخصي وتفضيلات المقاس",
+  "account.profile": "الملف الشخصي",
+  "account.memberSince": "عضو منذ {date}",
+  "account.measurements": "قياسات الجسم",
+  "account.measurementsText":
+    "تُستخدم لاقتراح المقاس في صفحات المنتجات. املأ ما تعرفه واترك الباقي فارغاً.",
+  "account.saveMeasurements": "حفظ القياسات",
+  "account.errorMeasurements": "يرجى إدخال قياسات بين 1 و250 سم",
+  "account.measurementsSaved": "تم حفظ القياسات",
+
+  // Wishlist
+  "wishlist.title": "قائمتي المفضلة",
+  "wishlist.subtitle": "المنتجات التي حفظتها لوقت لاحق",
+  "wishlist.save": "حفظ في المفضلة",
+  "wishlist.remove": "إزالة من المفضلة",
+  "wishlist.saved": "تم الحفظ في المفضلة",
+  "wishlist.removed": "تمت الإزالة من المفضلة",
+  "wishlist.signInConfirm":
+    "سجّل الدخول لحفظ المنتجات في المفضلة. هل تريد الانتقال إلى صفحة تسجيل الدخول؟",
+  "wishlist.selectSize": "يرجى اختيار المقاس",
+  "wishlist.selectColor": "يرجى اختيار اللون",
+  "wishlist.signInTitle": "سجّل الدخول لعرض المفضلة",
+  "wishlist.signInText": "تُحفظ منتجاتك المحفوظة مع حسابك.",
+  "wishlist.emptyTitle": "قائمة المفضلة فارغة",
+  "wishlist.emptyText": "اضغط على القلب في أي منتج لحفظه لوقت لاحق.",
+  "wishlist.browse": "تصفح المنتجات",
+  "wishlist.moveToCart": "نقل إلى السلة",
+
+  // Compare
+  "compare.title": "مقارنة المنتجات",
+  "compare.subtitle": "شاهد المنتجات التي اخترتها جنباً إلى جنب",
+  "compare.toggle": "مقارنة",
+  "compare.limit": "يمكنك مقارنة {count} منتجات كحد أقصى",
+  "compare.remove": "إزالة {name}",
+  "compare.open": "مقارنة ({count})",
+  "compare.emptyTitle": "لا يوجد ما تقارنه بعد",
+  "compare.emptyText":
+    'حدد "مقارنة" على ما يصل إلى {count} منتجات لعرضها جنباً إلى جنب.',
+  "compare.price": "السعر",
+  "compare.discount": "خصم العرض",
+  "compare.percentOff": "خصم {percent}%",
+  "compare.category": "الفئة",
+  "compare.sizes": "المقاسات",
+  "compare.colors": "الألوان",
+  "compare.rating": "التقييم",
+  "compare.availability": "التوفر",
+  "compare.differs": "مختلف",
+  "compare.chooseOptions": "اختر الخيارات",
+  "compare.summary": "مقارنة {count} من {max} منتجات. الصفوف المميزة مختلفة.",
+
+  // Reviews
+  "reviews.title": "آراء العملاء",
+  "reviews.outOf": "{rating} من 5 نجوم",
+  "reviews.stars.one": "نجمة واحدة",
+  "reviews.stars.two": "نجمتان",
+  "reviews.stars.few": "{count} نجوم",
+  "reviews.stars.other": "{count} نجمة",
+  "reviews.starsOnly.one": "نجمة واحدة فقط",
+  "reviews.starsOnly.two": "نجمتان فقط",
+  "reviews.starsOnly.few": "{count} نجوم فقط",
+  "reviews.starsOnly.other": "{count} نجمة فقط",
+  "reviews.writeTitle": "اكتب مراجعة",
+  "reviews.updateTitle": "حدّث مراجعتك",
+  "reviews.titlePlaceholder": "عنوان المراجعة",
+  "reviews.bodyPlaceholder": "ما الذي أعجبك أو لم يعجبك؟",
+  "reviews.submit": "إرسال المراجعة",
+  "reviews.update": "تحديث المراجعة",
+  "reviews.signIn": "{link} لكتابة مراجعة.",
+  "reviews.allRatings": "كل التقييمات",
+  "reviews.sortHighest": "الأعلى تقييماً",
+  "reviews.sortLowest": "الأقل تقييماً",
+  "reviews.sortVerified": "الموثقة أولاً",
+  "reviews.none": "لا توجد مراجعات بعد. كن أول من يراجع هذا المنتج!",
+  "reviews.noneWithRating": "لا توجد مراجعات بهذا التقييم بعد.",
+  "reviews.verified": "شراء موثق",
+  "reviews.errorRating": "يرجى اختيار تقييم بالنجوم",
+  "reviews.errorText": "يرجى إضافة عنوان ومراجعتك",
+  "reviews.thanks": "شكراً على مراجعتك!",
+
+  // Gallery
+  "gallery.previous": "الصورة السابقة",
+  "gallery.next": "الصورة التالية",
+  "gallery.show": "عرض الصورة {number}",
+  "gallery.imageOf": "{name} - الصورة {number} من {count}",
+
+  // Promo codes
+  "promo.placeholder": "رمز الخصم",
+  "promo.apply": "تطبيق",
+  "promo.applied": "تم تطبيق رمز الخصم {code}",
+  "promo.notFound": "رمز الخصم هذا غير موجود",
+  "promo.expired": "انتهت صلاحية هذا الرمز في {date}",
+  "promo.signIn": "يرجى تسجيل الدخول لاستخدام رموز الخصم",
+  "promo.usedUp.one": "لقد استخدمت هذا الرمز من قبل",
+  "promo.usedUp.other": "يمكن استخدام هذا الرمز {count} مرات فقط",
+  "promo.minSpend": "أنفق {amount} على الأقل لاستخدام هذا الرمز",
+  "promo.categories": "ينطبق هذا الرمز على {categories} فقط",
+  "promo.listSeparator": "، ",
+  "promo.usedUp.two": "يمكن استخدام هذا الرمز مرتين فقط",
+
+  // Search
+  "search.products": "المنتجات",
+  "search.categories": "الفئات",
+  "search.subcategoryIn": "{subcategory} في {category}",
+  "search.searchFor": 'ابحث عن "{query}"',
+  "search.recent": "عمليات البحث الأخيرة",
+
+  // Home page
+  "home.badge": "تشكيلة 2026 الجديدة",
+  "home.heroTitle1": "اكتشف",
+  "home.heroTitle2": "أسلوبك المثالي",
+  "home.heroText":
+    "استكشف أحدث مجموعاتنا من الملابس العصرية. من الملابس اليومية إلى الرسمية، اعثر على الإطلالة المثالية لكل مناسبة.",
+  "home.shopNow": "تسوق الآن",
+  "home.viewCollection": "عرض المجموعة",
+  "home.heroAlt": "عارضة أزياء",
+  "home.categoriesTitle": "تسوق حسب الفئة",
+  "home.categoriesText":
+    "تصفح مجموعتنا الواسعة من الفئات واعثر على ما تبحث عنه تماماً",
+  "home.menAlt": "أزياء رجالية",
+  "home.womenAlt": "أزياء نسائية",
+  "home.shopCollection": "تسوق المجموعة",
+  "home.upTo50": "خصم حتى 50%",
+  "home.featuredTitle": "منتجات مميزة",
+  "home.featuredText": "مختارات مفضلة من مجموعتنا. هذه المنتجات رائجة الآن!",
+  "home.viewAll": "عرض كل المنتجات",
+  "home.freeShipping": "شحن مجاني",
+  "home.freeShippingText":
+    "شحن مجاني لجميع الطلبات التي تزيد عن 50$. توصيل سريع وموثوق.",
+  "home.securePayment": "دفع آمن",
+  "home.securePaymentText": "معالجة دفع آمنة 100%. بياناتك محمية دائماً.",
+  "home.easyReturns": "إرجاع سهل",
+  "home.easyReturnsText":
+    "سياسة إرجاع سهلة خلال 30 يوماً. غير راضٍ؟ أرجعه مجاناً.",
+  "home.newsletterTitle": "اشترك في نشرتنا الإخبارية",
+  "home.newsletterText":
+    "احصل على آخر أخبار المنتجات الجديدة والعروض الخاصة والخصومات الحصرية في بريدك.",
+  "home.newsletterPlaceholder": "أدخل بريدك الإلكتروني",
+  "home.subscribe": "اشترك",
+  "home.subscribed": "شكراً لاشتراكك! ستصلك آخر أخبارنا.",
+
+  // Taxes
+  "tax.Sales Tax": "ضريبة المبيعات",
+  "tax.VAT": "ضريبة القيمة المضافة",
+  "tax.GST": "ضريبة السلع والخدمات",
+  "tax.HST": "ضريبة المبيعات الموحدة",
+  "tax.PST": "ضريبة المبيعات الإقليمية",
+  "tax.QST": "ضريبة مبيعات كيبيك",
+
+  // Currencies
+  "currency.USD": "دولار أمريكي",
+  "currency.EUR": "يورو",
+  "currency.GBP": "جنيه إسترليني",
+  "currency.CAD": "دولار كندي",
+  "currency.AUD": "دولار أسترالي",
+  "currency.EGP": "جنيه مصري",
+  "currency.JPY": "ين ياباني",
+
+  // Orders
+  "orders.subtitle": "تتبّع كل ما طلبته وارجع إليه",
+  "orders.detailsTitle": "تفاصيل الطلب",
+  "orders.emptyTitle": "لا توجد طلبات بعد",
+  "orders.emptyText": "ستظهر طلباتك هنا.",
+  "orders.startShopping": "ابدأ التسوق",
+  "orders.orderId": "رقم الطلب",
+  "orders.orderIdPlaceholder": "مثال: ORD-M2X7K1",
+  "orders.from": "من",
+  "orders.to": "إلى",
+  "orders.status": "الحالة",
+  "orders.allStatuses": "كل الحالات",
+  "orders.noMatches": "لا توجد طلبات تطابق عوامل التصفية هذه.",
+  "orders.clearFilters": "مسح عوامل التصفية",
+  "orders.showing.one": "عرض {shown} من طلب واحد",
+  "orders.showing.two": "عرض {shown} من طلبين",
+  "orders.showing.few": "عرض {shown} من {count} طلبات",
+  "orders.showing.many": "عرض {shown} من {count} طلباً",
+  "orders.showing.other": "عرض {shown} من {count} طلب",
+  "orders.more": "+{count} أخرى",
+  "orders.itemCount.one": "قطعة واحدة",
+  "orders.itemCount.two": "قطعتان",
+  "orders.itemCount.few": "{count} قطع",
+  "orders.itemCount.many": "{count} قطعة",
+  "orders.itemCount.other": "{count} قطعة",
+  "orders.amountRefunded": "تم استرداد {amount}",
+  "orders.track": "تتبع الطلب",
+  "orders.invoice": "الفاتورة",
+  "orders.buyAgain": "اشترِ مجدداً",
+  "orders.expected": "متوقع {dates}",
+  "orders.notFound": "الطلب غير موجود",
+  "orders.notFoundText": "لم نتمكن من العثور على هذا الطلب في حسابك.",
+  "orders.back": "العودة إلى طلباتي",
+  "orders.placed": "تم الطلب في {date}",
+  "orders.cancel": "إلغاء الطلب",
+  "orders.tracking": "التتبع",
+  "orders.items": "المنتجات",
+  "orders.buySelected": "اشترِ المحدد مجدداً",
+  "orders.buyItemAgain": "اشترِ {name} مجدداً",
+  "orders.includesTax": "يشمل ضريبة بقيمة {amount}",
+  "orders.refunded": "المبلغ المسترد",
+  "orders.netPaid": "صافي المدفوع",
+  "orders.confirmCancel": "هل تريد إلغاء الطلب {id}؟ لا يمكن التراجع عن ذلك.",
+  "orders.cancelled": "تم إلغاء الطلب {id}",
+  "orders.alreadyCancelled": "تم إلغاء هذا الطلب بالفعل",
+  "orders.alreadyShipped": "تم شحن هذا الطلب بالفعل ولم يعد من الممكن إلغاؤه",
+
+  // Order statuses
+  "orderStatus.pendingPayment": "بانتظار الدفع",
+  "orderStatus.confirmed": "مؤكد",
+  "orderStatus.packed": "تم التغليف",
+  "orderStatus.shipped": "تم الشحن",
+  "orderStatus.outForDelivery": "خرج للتوصيل",
+  "orderStatus.delivered": "تم التوصيل",
+  "orderStatus.cancelled": "ملغي",
+  "orderStatus.refunded": "تم الاسترداد",
+  "orderNote.Cancelled by customer": "ألغاه العميل",
+  "orderNote.All items returned": "تم إرجاع جميع المنتجات",
+
+  // Returns
+  "returns.title": "الإرجاع والاستبدال",
+  "returns.reasonDoesntFit": "المقاس غير مناسب",
+  "returns.reasonNotAsDescribed": "لا يطابق الوصف",
+  "returns.reasonDamaged": "وصل تالفاً",
+  "returns.reasonWrongItem": "استلمت منتجاً خاطئاً",
+  "returns.reasonChangedMind": "غيّرت رأيي",
+  "returns.statusRequested": "مطلوب",
+  "returns.statusApproved": "تمت الموافقة",
+  "returns.statusReceived": "تم استلام المنتجات",
+  "returns.statusRefunded": "تم الاسترداد",
+  "returns.statusExchanged": "تم شحن البديل",
+  "returns.errorClosed": "لم يعد من الممكن إرجاع هذا الطلب أو استبداله",
+  "returns.errorReason": "يرجى اختيار سبب",
+  "returns.errorItems": "يرجى اختيار منتج واحد على الأقل",
+  "returns.errorQuantity": "يرجى التحقق من الكميات",
+  "returns.errorSameVariant": "اختر مقاساً أو لوناً مختلفاً لـ {name}",
+  "returns.returnId": "إرجاع {id}",
+  "returns.exchangeId": "استبدال {id}",
+  "returns.reason": "السبب: {reason}",
+  "returns.refund": "المبلغ المسترد: {amount}",
+  "returns.refundPaid": "المبلغ المسترد: {amount} (مدفوع)",
+  "returns.windowOpen": "يمكن إرجاع المنتجات أو استبدالها حتى {date}.",
+  "returns.windowClosed": "انتهت فترة الإرجاع في {date}.",
+  "returns.start": "إرجاع المنتجات أو استبدالها",
+  "returns.newSize": "المقاس الجديد",
+  "returns.newColor": "اللون الجديد",
+  "returns.typeRefund": "استرداد المبلغ",
+  "returns.typeExchange": "استبدال بمقاس أو لون آخر",
+  "returns.reasonLabel": "السبب",
+  "returns.chooseReason": "اختر سبباً",
+  "returns.submit": "إرسال الطلب",
+  "returns.returnSubmitted": "تم إرسال طلب الإرجاع",
+  "returns.exchangeSubmitted": "تم إرسال طلب الاستبدال",
+
+  // Reorder
+  "reorder.noLongerSold": "لم يعد {name} متوفراً للبيع",
+  "reorder.variantGone": "لم يعد {name} متوفراً بهذا المقاس/اللون",
+  "reorder.atMaximum": "{name} موجود بالفعل في سلتك بالحد الأقصى للكمية",
+  "reorder.soldOut": "نفدت كمية {name}",
+  "reorder.partial":
+    "تمت إضافة {count} فقط من {total} × {name} (المخزون غير كافٍ أو تم تجاوز الحد لكل منتج)",
+  "reorder.selectItems": "اختر منتجاً واحداً على الأقل لإضافته",
+  "reorder.noneAvailable": "لا يمكن طلب أي من هذه المنتجات مجدداً",
+  "reorder.added": "تمت الإضافة إلى سلتك بأسعار اليوم",
+  "reorder.unavailable": "غير متوفر",
+  "reorder.goToCart": "الذهاب إلى السلة",
+  "reorder.addedCount.one": "تمت إضافة قطعة واحدة إلى سلتك",
+  "reorder.addedCount.two": "تمت إضافة قطعتين إلى سلتك",
+  "reorder.addedCount.few": "تمت إضافة {count} قطع إلى سلتك",
+  "reorder.addedCount.many": "تمت إضافة {count} قطعة إلى سلتك",
+  "reorder.addedCount.other": "تمت إضافة {count} قطعة إلى سلتك",
+  "reorder.addedWithProblems": "{message}. غير متوفر: {problems}",
+
+  // Invoice
+  "invoice.title": "الفاتورة",
+  "invoice.heading": "فاتورة",
+  "invoice.number": "الفاتورة {number}",
+  "invoice.order": "الطلب {id}",
+  "invoice.date": "التاريخ {date}",
+  "invoice.status": "الحالة {status}",
+  "invoice.billTo": "الفاتورة إلى",
+  "invoice.shipTo": "الشحن إلى",
+  "invoice.payment": "الدفع",
+  "invoice.shippingMethod": "طريقة الشحن",
+  "invoice.item": "المنتج",
+  "invoice.quantity": "الكمية",
+  "invoice.unitPrice": "سعر الوحدة",
+  "invoice.amount": "المبلغ",
+  "invoice.card": "بطاقة",
+  "invoice.cardEnding": "{brand} تنتهي بـ {last4}",
+  "invoice.pricesInclude": "الأسعار تشمل {tax}: {amount}",
+  "invoice.chargedIn":
+    "تم الدفع بـ {currency} بسعر 1 {base} = {rate} {currency}",
+  "invoice.thanks": "شكراً لتسوقك مع {seller}!",
+  "invoice.orderDetails": "تفاصيل الطلب",
+  "invoice.print": "طباعة",
+  "invoice.downloadPDF": "تنزيل PDF",
+  "invoice.downloadHTML": "تنزيل HTML",
+};
@@ -0,0 +1,545 @@
+/**
+ * English messages (default language)
+ */
+MESSAGES.en = {
+  // Header & navigation
+  "nav.home": "Home",
+  "nav.shop": "Shop",
+  "nav.cart": "Cart",
+  "nav.wishlist": "Wishlist",
+  "nav.checkout": "Checkout",
+  "nav.myAccount": "My Account",
+  "nav.myOrders": "My Orders",
+  "nav.login": "Login",
+  "nav.signUp": "Sign Up",
+  "nav.hello": "Hello,",
+  "nav.logout": "Logout",
+  "nav.currency": "Currency",
+  "nav.language": "Language",
+  "nav.searchPlaceholder": "Search products...",
+  "nav.searchLabel": "Search products",
+
+  // Footer
+  "footer.tagline":
+    "Your one-stop destination for trendy and affordable fashion. Shop the latest styles today.",
+  "footer.quickLinks": "Quick Links",
+  "footer.customerService": "Customer Service",
+  "footer.contact": "Contact Us",
+  "footer.shippingPolicy": "Shipping Policy",
+  "footer.returns": "Returns & Exchanges",
+  "footer.faq": "FAQ",
+  "footer.stayConnected": "Stay Connected",
+  "footer.subscribe": "Subscribe to get special offers and once-in-a-lifetime deals.",
+  "footer.email": "Email",
+  "footer.join": "Join",
+  "footer.rights": "© 2026 MagLothes. All rights reserved.",
+
+  // Categories
+  "category.men": "Men",
+  "category.women": "Women",
+  "category.accessories": "Accessories",
+  "category.sale": "Sale",
+
+  // Product cards & product view
+  "product.noProducts": "No products found",
+  "product.viewDetails": "View Details",
+  "product.viewFullDetails": "View full details",
+  "product.featured": "Featured",
+  "product.saleBadge": "SALE",
+  "product.soldOutBadge": "SOLD OUT",
+  "product.addToCart": "Add to Cart",
+  "product.buyNow": "Buy Now",
+  "product.soldOut": "Sold Out",
+  "product.size": "Size",
+  "product.sizeGuide": "Size guide",
+  "product.color": "Color",
+  "product.quantity": "Quantity",
+  "product.stockSoldOut": "Sold out",
+  "product.stockLow": "Only {count} left",
+  "product.inStock": "In stock",
+  "product.outOfStock": "Sorry, {name} is out of stock",
+  "product.soldOutNotice": "Sorry, {name} is sold out",
+  "product.reviews.one": "{count} review",
+  "product.reviews.other": "{count} reviews",
+  "product.noReviews": "No reviews yet",
+  "product.notFound": "Product not found",
+  "product.notFoundTitle": "Product Not Found",
+  "product.notFoundText":
+    "The product you are looking for doesn't exist or is no longer available.",
+  "product.backToShop": "Back to Shop",
+  "product.breadcrumb": "Breadcrumb",
+
+  // Cart
+  "cart.title": "Shopping Cart",
+  "cart.subtitle": "Review your items and proceed to checkout",
+  "cart.emptyTitle": "Your cart is empty",
+  "cart.emptyText":
+    "Looks like you haven't added any items to your cart yet. Browse our collection and find something you love!",
+  "cart.continueShopping": "Continue Shopping",
+  "cart.items": "Cart Items",
+  "cart.clear": "Clear Cart",
+  "cart.remove": "Remove",
+  "cart.sizeValue": "Size: {size}",
+  "cart.colorValue": "Color: {color}",
+  "cart.quantityValue": "Qty: {count}",
+  "cart.added": "{name} added to cart!",
+  "cart.removed": "Item removed from cart",
+  "cart.onlyMore": "Only {count} more of {name} available",
+  "cart.maxQuantity": "Only {count} of {name} can be ordered",
+  "cart.taxAtCheckout": "Calculated at checkout",
+  "cart.estimatedTotal": "Estimated Total",
+  "cart.proceed": "Proceed to Checkout",
+  "cart.shippingNote": "Shipping & taxes calculated at checkout",
+
+  // Order summary (cart & checkout)
+  "summary.title": "Order Summary",
+  "summary.subtotal": "Subtotal",
+  "summary.discount": "Discount",
+  "summary.discountCode": "Discount ({code})",
+  "summary.shipping": "Shipping",
+  "summary.shippingMethod": "Shipping ({method})",
+  "summary.free": "Free",
+  "summary.tax": "Tax",
+  "summary.taxLine": "{label} ({rate}%)",
+  "summary.taxIncluded": "Includes {label} ({rate}%)",
+  "summary.total": "Total",
+  "summary.estimatedDelivery": "Estimated delivery: {dates}",
+  "summary.estimatedPickup": "Estimated pickup: {dates}",
+
+  // Checkout
+  "checkout.title": "Checkout",
+  "checkout.buyNowTitle": "Buy Now Checkout",
+  "checkout.cartTitle": "Cart Checkout",
+  "checkout.contact": "Contact Information",
+  "checkout.email": "Email Address",
+  "checkout.shippingAddress": "Shipping Address",
+  "checkout.firstName": "First Name",
+  "checkout.lastName": "Last Name",
+  "checkout.address": "Address",
+  "checkout.city": "City",
+  "checkout.state": "State / Province",
+  "checkout.zip": "ZIP Code",
+  "checkout.country": "Country",
+  "checkout.phone": "Phone Number",
+  "checkout.shippingMethod": "Shipping Method",
+  "checkout.payment": "Payment Information",
+  "checkout.sameAsShipping": "Billing address is the same as shipping",
+  "checkout.cardNumber": "Card Number",
+  "checkout.cardName": "Name on Card",
+  "checkout.expiry": "Expiry Date",
+  "checkout.cvv": "CVV",
+  "checkout.complete": "Complete Order",
+  "checkout.errorEmail": "Please enter a valid email address",
+  "checkout.errorName": "Please enter your full name",
+  "checkout.errorAddress": "Please enter your complete address",
+  "checkout.errorPhone": "Please enter your phone number",
+  "checkout.errorBilling": "Please enter your complete billing address",
+  "checkout.errorCardNumber": "Please enter a valid card number",
+  "checkout.errorCardName": "Please enter the name on your card",
+  "checkout.errorExpiry": "Please enter card expiry and CVV",
+  "checkout.errorShippingMethod": "Please choose a shipping method",
+  "checkout.confirmedTitle": "Order Confirmed!",
+  "checkout.confirmedText":
+    "Thank you for your purchase. Your order {id} has been confirmed.",
+  "checkout.orderDate": "Order Date",
+  "checkout.itemCount": "Items",
+  "checkout.shippingWith": "{method} shipping",
+  "checkout.deliveryDate": "Estimated Delivery",
+  "checkout.pickupDate": "Estimated Pickup",
+  "checkout.trackOrder": "Track Order",
+  "checkout.viewInvoice": "View Invoice",
+  "checkout.backHome": "Back to Home",
+
+  // Shipping methods
+  "shipping.unavailable": "We don't ship to this country yet.",
+  "shipping.arrives": "Arrives {dates}",
+  "shipping.ready": "Ready {dates}",
+  "shipping.freeOver": "Free on orders over {amount}",
+
+  // Countries
+  "country.US": "United States",
+  "country.CA": "Canada",
+  "country.UK": "United Kingdom",
+  "country.AU": "Australia",
+  "country.EG": "Egypt",
+  "country.DE": "Germany",
+  "country.FR": "France",
+  "country.IT": "Italy",
+  "country.ES": "Spain",
+  "country.NL": "Netherlands",
+
+  // Login & register
+  "auth.welcomeBack": "Welcome Back",
+  "auth.signInSubtitle": "Sign in to your account to continue",
+  "auth.email": "Email Address",
+  "auth.password": "Password",
+  "auth.rememberMe": "Remember me",
+  "auth.forgotPassword": "Forgot password?",
+  "auth.signIn": "Sign In",
+  "auth.orContinue": "Or continue with",
+  "auth.noAccount": "Don't have an account?",
+  "auth.signUpLink": "Sign up",
+  "auth.createAccount": "Create Account",
+  "auth.signUpSubtitle": "Sign up to start shopping",
+  "auth.fullName": "Full Name",
+  "auth.passwordHint":
+    "Must be at least 8 chars, with uppercase, lowercase, number & special char",
+  "auth.confirmPassword": "Confirm Password",
+  "auth.agreeTo": "I agree to the",
+  "auth.terms": "Terms of Service",
+  "auth.and": "and",
+  "auth.privacy": "Privacy Policy",
+  "auth.orSignUp": "Or sign up with",
+  "auth.haveAccount": "Already have an account?",
+  "auth.signInLink": "Sign in",
+  "auth.errorFields": "Please fill in all fields",
+  "auth.errorPasswordMatch": "Passwords do not match",
+  "auth.errorPasswordStrength":
+    "Password must be at least 8 characters long and include an uppercase letter, a lowercase letter, a number, and a special character.",
+  "auth.errorEmailTaken": "Email already registered",
+  "auth.errorLoginFields": "Please enter email and password",
+  "auth.errorInvalidLogin": "Invalid email or password",
+
+  // Sales
+  "sale.days.one": "{count}d",
+  "sale.days.other": "{count}d",
+  "sale.endsIn": "{name} ends in",
+  "sale.ended": "This sale has ended",
+
+  // Stock
+  "stock.unavailable": "{name} is no longer available",
+  "stock.onlyLeft": "Only {count} of {name} left in stock",
+
+  // Shop
+  "shop.subcategory": "Subcategory",
+  "shop.noResults": 'No products found for "{query}"',
+  "shop.didYouMean": "Did you mean",
+  "shop.questionMark": "?",
+  "shop.tryFewer": "Try fewer words or clear some filters.",
+  "shop.previousPage": "Previous page",
+  "shop.nextPage": "Next page",
+  "shop.price": "Price ({currency})",
+  "shop.min": "Min",
+  "shop.max": "Max",
+  "shop.inRange.one": "{count} product in range",
+  "shop.inRange.other": "{count} products in range",
+  "shop.andUp": "& up",
+  "shop.anyRating": "Any rating",
+  "shop.customerRating": "Customer Rating",
+  "shop.productCount.one": "{count} product",
+  "shop.productCount.other": "{count} products",
+  "shop.title": "Our Collection",
+  "shop.subtitle":
+    "Discover the latest trends in fashion. Browse our curated collection of clothing for every style and occasion.",
+  "shop.all": "All",
+  "shop.filters": "Filters",
+  "shop.clearAll": "Clear all",
+  "shop.sortBy": "Sort by",
+  "shop.sortRecommended": "Recommended",
+  "shop.sortFeatured": "Featured first",
+  "shop.sortNewest": "Newest",
+  "shop.sortPriceAsc": "Price: Low to High",
+  "shop.sortPriceDesc": "Price: High to Low",
+  "shop.sortName": "Name: A to Z",
+  "shop.sortDiscount": "Biggest discount",
+  "shop.sortRating": "Top rated",
+  "shop.pagination": "Pagination",
+
+  // Common
+  "common.close": "Close",
+  "common.clear": "Clear",
+  "common.cancel": "Cancel",
+
+  // Recommendations
+  "recommendations.completeTheLook": "Complete the look",
+  "recommendations.similar": "You may also like",
+
+  // Recently viewed
+  "recentlyViewed.title": "Recently Viewed",
+  "recentlyViewed.clear": "Clear history",
+  "recentlyViewed.previous": "Scroll back",
+  "recentlyViewed.next": "Scroll forward",
+
+  // Size guide
+  "sizeGuide.recommend": "We recommend {size} based on your measurements.",
+  "sizeGuide.recommendSoldOut":
+    "We recommend {size} based on your measurements (currently sold out).",
+  "sizeGuide.update": "Update measurements",
+  "sizeGuide.addMeasurements": "{link} to get a size recommendation.",
+  "sizeGuide.addLink": "Add your measurements",
+  "sizeGuide.signIn": "{link} to get a size recommendation.",
+
+  // Account
+  "account.title": "My Account",
+  "account.subtitle": "Your profile and fit preferences",
+  "account.profile": "Profile",
+  "account.memberSince": "Member since {date}",
+  "account.measurements": "Body Measurements",
+  "account.measurementsText":
+    "Used to recommend a size on product pages. Fill in the ones you know; leave the rest empty.",
+  "account.saveMeasurements": "Save Measurements",
+  "account.errorMeasurements": "Please enter measurements between 1 and 250 cm",
+  "account.measurementsSaved": "Measurements saved",
+
+  // Wishlist
+  "wishlist.title": "My Wishlist",
+  "wishlist.subtitle": "Items you've saved for later",
+  "wishlist.save": "Save to wishlist",
+  "wishlist.remove": "Remove from wishlist",
+  "wishlist.saved": "Saved to wishlist",
+  "wishlist.removed": "Removed from wishlist",
+  "wishlist.signInConfirm":
+    "Sign in to save items to your wishlist. Go to the login page?",
+  "wishlist.selectSize": "Please select a size",
+  "wishlist.selectColor": "Please select a color",
+  "wishlist.signInTitle": "Sign in to see your wishlist",
+  "wishlist.signInText": "Your saved items are kept with your account.",
+  "wishlist.emptyTitle": "Your wishlist is empty",
+  "wishlist.emptyText": "Tap the heart on any product to save it for later.",
+  "wishlist.browse": "Browse Products",
+  "wishlist.moveToCart": "Move to Cart",
+
+  // Compare
+  "compare.title": "Compare Products",
+  "compare.subtitle": "See your shortlisted items side by side",
+  "compare.toggle": "Compare",
+  "compare.limit": "You can compare up to {count} products",
+  "compare.remove": "Remove {name}",
+  "compare.open": "Compare ({count})",
+  "compare.emptyTitle": "Nothing to compare yet",
+  "compare.emptyText":
+    'Tick "Compare" on up to {count} products to see them side by side.',
+  "compare.price": "Price",
+  "compare.discount": "Sale discount",
+  "compare.percentOff": "{percent}% off",
+  "compare.category": "Category",
+  "compare.sizes": "Sizes",
+  "compare.colors": "Colors",
+  "compare.rating": "Rating",
+  "compare.availability": "Availability",
+  "compare.differs": "Differs",
+  "compare.chooseOptions": "Choose Options",
+  "compare.summary":
+    "Comparing {count} of {max} products. Highlighted rows differ.",
+
+  // Reviews
+  "reviews.title": "Customer Reviews",
+  "reviews.outOf": "{rating} out of 5 stars",
+  "reviews.stars.one": "{count} star",
+  "reviews.stars.two": "{count} stars",
+  "reviews.stars.few": "{count} stars",
+  "reviews.stars.other": "{count} stars",
+  "reviews.starsOnly.one": "{count} star only",
+  "reviews.starsOnly.two": "{count} stars only",
+  "reviews.starsOnly.few": "{count} stars only",
+  "reviews.starsOnly.other": "{count} stars only",
+  "reviews.writeTitle": "Write a review",
+  "reviews.updateTitle": "Update your review",
+  "reviews.titlePlaceholder": "Review title",
+  "reviews.bodyPlaceholder": "What did you like or dislike?",
+  "reviews.submit": "Submit Review",
+  "reviews.update": "Update Review",
+  "reviews.signIn": "{link} to write a review.",
+  "reviews.allRatings": "All ratings",
+  "reviews.sortHighest": "Highest rated",
+  "reviews.sortLowest": "Lowest rated",
+  "reviews.sortVerified": "Verified first",
+  "reviews.none": "No reviews yet. Be the first to review this product!",
+  "reviews.noneWithRating": "No reviews with this rating yet.",
+  "reviews.verified": "Verified purchase",
+  "reviews.errorRating": "Please select a star rating",
+  "reviews.errorText": "Please add a title and your review",
+  "reviews.thanks": "Thanks for your review!",
+
+  // Gallery
+  "gallery.previous": "Previous image",
+  "gallery.next": "Next image",
+  "gallery.show": "Show image {number}",
+  "gallery.imageOf": "{name} - image {number} of {count}",
+
+  // Promo codes
+  "promo.placeholder": "Promo code",
+  "promo.apply": "Apply",
+  "promo.applied": "Promo code {code} applied",
+  "promo.notFound": "This promo code doesn't exist",
+  "promo.expired": "This code expired on {date}",
+  "promo.signIn": "Please sign in to use promo codes",
+  "promo.usedUp.one": "You have already used this code",
+  "promo.usedUp.other": "This code can only be used {count} times",
+  "promo.minSpend": "Spend at least {amount} to use this code",
+  "promo.categories": "This code only applies to {categories}",
+  "promo.listSeparator": ", ",
+  "promo.usedUp.two": "This code can only be used {count} times",
+
+  // Search
+  "search.products": "Products",
+  "search.categories": "Categories",
+  "search.subcategoryIn": "{subcategory} in {category}",
+  "search.searchFor": 'Search for "{query}"',
+  "search.recent": "Recent searches",
+
+  // Home page
+  "home.badge": "New Collection 2026",
+  "home.heroTitle1": "Discover Your",
+  "home.heroTitle2": "Perfect Style",
+  "home.heroText":
+    "Explore our latest collection of trendy clothing. From casual wear to formal attire, find the perfect outfit for every occasion.",
+  "home.shopNow": "Shop Now",
+  "home.viewCollection": "View Collection",
+  "home.heroAlt": "Fashion Model",
+  "home.categoriesTitle": "Shop by Category",
+  "home.categoriesText":
+    "Browse our wide range of categories and find exactly what you're looking for",
+  "home.menAlt": "Men's Fashion",
+  "home.womenAlt": "Women's Fashion",
+  "home.shopCollection": "Shop Collection",
+  "home.upTo50": "Up to 50% Off",
+  "home.featuredTitle": "Featured Products",
+  "home.featuredText":
+    "Handpicked favorites from our collection. These items are trending right now!",
+  "home.viewAll": "View All Products",
+  "home.freeShipping": "Free Shipping",
+  "home.freeShippingText":
+    "Free shipping on all orders over $50. Fast and reliable delivery.",
+  "home.securePayment": "Secure Payment",
+  "home.securePaymentText":
+    "100% secure payment processing. Your data is always protected.",
+  "home.easyReturns": "Easy Returns",
+  "home.easyReturnsText":
+    "30-day easy return policy. Not satisfied? Return it for free.",
+  "home.newsletterTitle": "Subscribe to Our Newsletter",
+  "home.newsletterText":
+    "Get the latest updates on new arrivals, special offers, and exclusive discounts delivered to your inbox.",
+  "home.newsletterPlaceholder": "Enter your email",
+  "home.subscribe": "Subscribe",
+  "home.subscribed":
+    "Thank you for subscribing! You will receive our latest updates.",
+
+  // Orders
+  "orders.subtitle": "Track and revisit everything you've ordered",
+  "orders.detailsTitle": "Order Details",
+  "orders.emptyTitle": "No orders yet",
+  "orders.emptyText": "Orders you place will show up here.",
+  "orders.startShopping": "Start Shopping",
+  "orders.orderId": "Order ID",
+  "orders.orderIdPlaceholder": "e.g. ORD-M2X7K1",
+  "orders.from": "From",
+  "orders.to": "To",
+  "orders.status": "Status",
+  "orders.allStatuses": "All statuses",
+  "orders.noMatches": "No orders match these filters.",
+  "orders.clearFilters": "Clear filters",
+  "orders.showing.one": "Showing {shown} of {count} order",
+  "orders.showing.other": "Showing {shown} of {count} orders",
+  "orders.more": "+{count} more",
+  "orders.itemCount.one": "{count} item",
+  "orders.itemCount.other": "{count} items",
+  "orders.amountRefunded": "{amount} refunded",
+  "orders.track": "Track order",
+  "orders.invoice": "Invoice",
+  "orders.buyAgain": "Buy again",
+  "orders.expected": "Expected {dates}",
+  "orders.notFound": "Order not found",
+  "orders.notFoundText": "We couldn't find this order in your account.",
+  "orders.back": "Back to My Orders",
+  "orders.placed": "Placed {date}",
+  "orders.cancel": "Cancel Order",
+  "orders.tracking": "Tracking",
+  "orders.items": "Items",
+  "orders.buySelected": "Buy Selected Again",
+  "orders.buyItemAgain": "Buy {name} again",
+  "orders.includesTax": "Includes {amount} tax",
+  "orders.refunded": "Refunded",
+  "orders.netPaid": "Net paid",
+  "orders.confirmCancel": "Cancel order {id}? This can't be undone.",
+  "orders.cancelled": "Order {id} has been cancelled",
+  "orders.alreadyCancelled": "This order has already been cancelled",
+  "orders.alreadyShipped":
+    "This order has already shipped and can no longer be cancelled",
+
+  // Order statuses
+  "orderStatus.pendingPayment": "Pending payment",
+  "orderStatus.confirmed": "Confirmed",
+  "orderStatus.packed": "Packed",
+  "orderStatus.shipped": "Shipped",
+  "orderStatus.outForDelivery": "Out for delivery",
+  "orderStatus.delivered": "Delivered",
+  "orderStatus.cancelled": "Cancelled",
+  "orderStatus.refunded": "Refunded",
+
+  // Returns
+  "returns.title": "Returns & Exchanges",
+  "returns.reasonDoesntFit": "Doesn't fit",
+  "returns.reasonNotAsDescribed": "Not as described",
+  "returns.reasonDamaged": "Arrived damaged",
+  "returns.reasonWrongItem": "Received the wrong item",
+  "returns.reasonChangedMind": "Changed my mind",
+  "returns.statusRequested": "Requested",
+  "returns.statusApproved": "Approved",
+  "returns.statusReceived": "Items received",
+  "returns.statusRefunded": "Refunded",
+  "returns.statusExchanged": "Replacement shipped",
+  "returns.errorClosed": "This order can no longer be returned or exchanged",
+  "returns.errorReason": "Please choose a reason",
+  "returns.errorItems": "Please choose at least one item",
+  "returns.errorQuantity": "Please check the quantities",
+  "returns.errorSameVariant": "Choose a different size or color for {name}",
+  "returns.returnId": "Return {id}",
+  "returns.exchangeId": "Exchange {id}",
+  "returns.reason": "Reason: {reason}",
+  "returns.refund": "Refund: {amount}",
+  "returns.refundPaid": "Refund: {amount} (paid)",
+  "returns.windowOpen": "Items can be returned or exchanged until {date}.",
+  "returns.windowClosed": "The return window closed on {date}.",
+  "returns.start": "Return or Exchange Items",
+  "returns.newSize": "New size",
+  "returns.newColor": "New color",
+  "returns.typeRefund": "Refund",
+  "returns.typeExchange": "Exchange for another size/color",
+  "returns.reasonLabel": "Reason",
+  "returns.chooseReason": "Choose a reason",
+  "returns.submit": "Submit Request",
+  "returns.returnSubmitted": "Return request submitted",
+  "returns.exchangeSubmitted": "Exchange request submitted",
+
+  // Reorder
+  "reorder.noLongerSold": "{name} is no longer sold",
+  "reorder.variantGone": "{name} is no longer available in this size/color",
+  "reorder.atMaximum": "{name} is already in your cart at the maximum quantity",
+  "reorder.soldOut": "{name} is sold out",
+  "reorder.partial":
+    "Only {count} of {total} × {name} added (not enough stock or over the per-item limit)",
+  "reorder.selectItems": "Select at least one item to add",
+  "reorder.noneAvailable": "None of these items can be ordered again",
+  "reorder.added": "Added to your cart at today's prices",
+  "reorder.unavailable": "Unavailable",
+  "reorder.goToCart": "Go to cart",
+  "reorder.addedCount.one": "{count} item added to your cart",
+  "reorder.addedCount.other": "{count} items added to your cart",
+  "reorder.addedWithProblems": "{message}. Unavailable: {problems}",
+
+  // Invoice
+  "invoice.title": "Invoice",
+  "invoice.heading": "INVOICE",
+  "invoice.number": "Invoice {number}",
+  "invoice.order": "Order {id}",
+  "invoice.date": "Date {date}",
+  "invoice.status": "Status {status}",
+  "invoice.billTo": "Bill to",
+  "invoice.shipTo": "Ship to",
+  "invoice.payment": "Payment",
+  "invoice.shippingMethod": "Shipping method",
+  "invoice.item": "Item",
+  "invoice.quantity": "Qty",
+  "invoice.unitPrice": "Unit price",
+  "invoice.amount": "Amount",
+  "invoice.card": "Card",
+  "invoice.cardEnding": "{brand} ending in {last4}",
+  "invoice.pricesInclude": "Prices include {tax}: {amount}",
+  "invoice.chargedIn": "Charged in {currency} at 1 {base} = {rate} {currency}",
+  "invoice.thanks": "Thank you for shopping with {seller}!",
+  "invoice.orderDetails": "Order details",
+  "invoice.print": "Print",
+  "invoice.downloadPDF": "Download PDF",
+  "invoice.downloadHTML": "Download HTML",
+};
@@ -0,0 +1,240 @@
+/**
+ * Order Status - Order lifecycle, status history and the fulfilment clock
+ * Orders move pending payment → confirmed → packed → shipped → out for
+ * delivery → delivered, and can end up cancelled and refunded. Every change
+ * is recorded in `order.statusHistory` with its time.
+ * There is no warehouse behind the demo store, so a simulated fulfilment
+ * clock moves orders along FULFILMENT_SCHEDULE as time passes.
+ */
+
+// Statuses with their label message and badge colors
+const ORDER_STATUSES = {
+  "pending-payment": {
+    label: "orderStatus.pendingPayment",
+    badge: "bg-amber-100 text-amber-700 dark:bg-amber-900/40 dark:text-amber-300",
+  },
+  confirmed: {
+    label: "orderStatus.confirmed",
+    badge: "bg-indigo-100 text-indigo-700 dark:bg-indigo-900/40 dark:text-indigo-300",
+  },
+  packed: {
+    label: "orderStatus.packed",
+    badge: "bg-indigo-100 text-indigo-700 dark:bg-indigo-900/40 dark:text-indigo-300",
+  },
+  shipped: {
+    label: "orderStatus.shipped",
+    badge: "bg-blue-100 text-blue-700 dark:bg-blue-900/40 dark:text-blue-300",
+  },
+  "out-for-delivery": {
+    label: "orderStatus.outForDelivery",
+    badge: "bg-blue-100 text-blue-700 dark:bg-blue-900/40 dark:text-blue-300",
+  },
+  delivered: {
+    label: "orderStatus.delivered",
+    badge: "bg-green-100 text-green-700 dark:bg-green-900/40 dark:text-green-300",
+  },
+  cancelled: {
+    label: "orderStatus.cancelled",
+    badge: "bg-red-100 text-red-700 dark:bg-red-900/40 dark:text-red-300",
+  },
+  refunded: {
+    label: "orderStatus.refunded",
+    badge: "bg-zinc-200 text-zinc-700 dark:bg-zinc-800 dark:text-zinc-300",
+  },
+};
+
+// Allowed status changes
+const ORDER_TRANSITIONS = {
+  "pending-payment": ["confirmed", "cancelled"],
+  confirmed: ["packed", "cancelled"],
+  packed: ["shipped", "cancelled"],
+  shipped: ["out-for-delivery"],
+  "out-for-delivery": ["delivered"],
+  delivered: ["refunded"],
+  cancelled: ["refunded"],
+  refunded: [],
+};
+
+// Normal order of statuses, shown as the tracking timeline
+const FULFILMENT_STEPS = [
+  "pending-payment",
+  "confirmed",
+  "packed",
+  "shipped",
+  "out-for-delivery",
+  "delivered",
+];
+
+// Simulated fulfilment clock: next status and minutes after the current one
+const FULFILMENT_SCHEDULE = {
+  confirmed: { next: "packed", after: 5 },
+  packed: { next: "shipped", after: 15 },
+  shipped: { next: "out-for-delivery", after: 30 },
+  "out-for-delivery": { next: "delivered", after: 15 },
+  cancelled: { next: "refunded", after: 5 },
+};
+
+// How often open order pages check the clock (ms)
+const FULFILMENT_TICK = 30 * 1000;
+
+/**
+ * Get a readable label for an order status
+ * @param {string} status - Status, e.g. "out-for-delivery"
+ * @param {string} language - Language code (defaults to the selected one)
+ * @returns {string} e.g. "Out for delivery"
+ */
+function getOrderStatusLabel(status, language = getLanguage()) {
+  return ORDER_STATUSES[status]
+    ? t(ORDER_STATUSES[status].label, {}, language)
+    : status;
+}
+
+/**
+ * Create a colored status badge
+ * @param {string} status - Order status
+ * @returns {string} HTML string
+ */
+function createOrderStatusBadgeHTML(status) {
+  const badge = ORDER_STATUSES[status]?.badge || ORDER_STATUSES.refunded.badge;
+
+  return `<span class="px-3 py-1 text-xs font-semibold rounded-full ${badge}">${getOrderStatusLabel(status)}</span>`;
+}
+
+/**
+ * Get an order's status history
+ * Orders saved before status tracking only have their current status
+ * @param {Object} order - Order object
+ * @returns {Array} [ { status, date, note } ], oldest first
+ */
+function getOrderStatusHistory(order) {
+  return order.statusHistory || [{ status: order.status, date: order.date }];
+}
+
+/**
+ * Check whether an order can move to a status
+ * @param {Object} order - Order object
+ * @param {string} status - Target status
+ * @returns {boolean}
+ */
+function canTransitionOrder(order, status) {
+  return (ORDER_TRANSITIONS[order.status] || []).includes(status);
+}
+
+/**
+ * Move an order to a new status and record it in the history (in place)
+ * @param {Object} order - Order object
+ * @param {string} status - Target status
+ * @param {Date} date - When the change happened
+ * @param {string} note - Optional note shown on the timeline, in English ("orderNote.<note>" translates it)
+ * @returns {boolean} False when the change isn't allowed
+ */
+function transitionOrder(order, status, date = new Date(), note = "") {
+  if (!canTransitionOrder(order, status)) return false;
+
+  order.statusHistory = getOrderStatusHistory(order);
+  order.statusHistory.push({
+    status,
+    date: date.toISOString(),
+    ...(note && { note }),
+  });
+  order.status = status;
+  return true;
+}
+
+/**
+ * Apply every fulfilment step that is due (in place)
+ * Each step is dated when it fell due, not when the clock noticed it
+ * @param {Object} order - Order object
+ * @param {Date} now - Current time
+ * @returns {boolean} Whether the order changed
+ */
+function advanceOrderStatus(order, now = new Date()) {
+  let changed = false;
+
+  while (FULFILMENT_SCHEDULE[order.status]) {
+    const { next, after } = FULFILMENT_SCHEDULE[order.status];
+    const history = getOrderStatusHistory(order);
+    const due = new Date(
+      new Date(history[history.length - 1].date).getTime() + after * 60 * 1000,
+    );
+
+    if (due > now || !transitionOrder(order, next, due)) break;
+    changed = true;
+  }
+
+  return changed;
+}
+
+/**
+ * Run the fulfilment clock over all saved orders and their returns
+ * Statuses are saved straight away; items returned in this run go back
+ * into stock together once the orders are saved
+ * @returns {Promise<boolean>} Whether any order changed
+ */
+async function syncOrderStatuses() {
+  const orders = getOrders();
+  const now = new Date();
+  const received = [];
+  let changed = false;
+
+  orders.forEach((order) => {
+    if (advanceOrderStatus(order, now)) changed = true;
+    if (advanceReturnStatuses(order, now, received)) changed = true;
+  });
+
+  if (changed) saveOrders(orders);
+  if (received.length > 0) await restockItems(received);
+  return changed;
+}
+
+/**
+ * Keep running the fulfilment clock while a page is open
+ * @param {Function} onChange - Called after orders have moved on
+ */
+function startFulfilmentClock(onChange) {
+  setInterval(async () => {
+    if (await syncOrderStatuses()) onChange();
+  }, FULFILMENT_TICK);
+}
+
+/**
+ * Check whether the customer can still cancel an order (before it ships)
+ * @param {Object} order - Order object
+ * @returns {boolean}
+ */
+function canCancelOrder(order) {
+  return canTransitionOrder(order, "cancelled");
+}
+
+/**
+ * Cancel one of the logged-in user's orders and return its items to stock
+ * @param {string} orderId - Order ID
+ * @returns {Promise<Object>} { success, error }
+ */
+async function cancelOrder(orderId) {
+  await syncOrderStatuses();
+
+  const user = getCurrentUser();
+  const orders = getOrders();
+  const order = orders.find(
+    (entry) => entry.id === orderId && isUserOrder(entry, user),
+  );
+
+  if (!order) {
+    return { success: false, error: t("orders.notFound") };
+  }
+
+  if (order.status === "cancelled" || order.status === "refunded") {
+    return { success: false, error: t("orders.alreadyCancelled") };
+  }
+
+  if (!canCancelOrder(order)) {
+    return { success: false, error: t("orders.alreadyShipped") };
+  }
+
+  transitionOrder(order, "cancelled", new Date(), "Cancelled by customer");
+  saveOrders(orders);
+  await restockItems(order.items);
+
+  return { success: true };
+}
@@ -0,0 +1,675 @@
+/**
+ * Orders - Saved orders, the "My Orders" page and order tracking page
+ * Orders are kept in localStorage and linked to the account that placed
+ * them through `userId`. Orders saved before that field existed are matched
+ * on the checkout email instead.
+ */
+
+// Storage key
+const ORDERS_KEY = "fashion-store-orders";
+
+// Current filters on the "My Orders" page
+let orderFilters = { query: "", from: "", to: "", status: "" };
+
+/**
+ * Get every saved order
+ * @returns {Array} Array of order objects
+ */
+function getOrders() {
+  const orders = localStorage.getItem(ORDERS_KEY);
+  return orders ? JSON.parse(orders) : [];
+}
+
+/**
+ * Save the orders array to localStorage
+ * @param {Array} orders - Array of order objects
+ */
+function saveOrders(orders) {
+  localStorage.setItem(ORDERS_KEY, JSON.stringify(orders));
+}
+
+/**
+ * Add an order to localStorage
+ * @param {Object} order - Order object
+ */
+function saveOrder(order) {
+  const orders = getOrders();
+  orders.push(order);
+  saveOrders(orders);
+}
+
+/**
+ * Reduce card details to what an invoice may show
+ * The full number and CVV are never saved with an order
+ * @param {Object} payment - { cardNumber, cardName, expiry, cvv }
+ * @returns {Object} { brand, last4, cardName, expiry }
+ */
+function maskPaymentDetails(payment) {
+  if (!payment) return null;
+  if (!payment.cardNumber) return payment;
+
+  const digits = String(payment.cardNumber).replace(/\D/g, "");
+  const brands = {
+    3: "American Express",
+    4: "Visa",
+    5: "Mastercard",
+    6: "Discover",
+  };
+
+  return {
+    brand: brands[digits[0]] || "Card",
+    last4: digits.slice(-4),
+    cardName: payment.cardName,
+    expiry: payment.expiry,
+  };
+}
+
+/**
+ * Mask the card details of orders saved before payments were masked
+ */
+function maskSavedPayments() {
+  const orders = getOrders();
+  const unmasked = orders.filter(
+    (order) => order.customer?.payment?.cardNumber,
+  );
+  if (unmasked.length === 0) return;
+
+  unmasked.forEach((order) => {
+    order.customer.payment = maskPaymentDetails(order.customer.payment);
+  });
+  saveOrders(orders);
+}
+
+/**
+ * Check whether an order belongs to a user
+ * Only legacy orders saved without a userId field fall back to the email;
+ * guest orders (userId: null) never belong to an account
+ * @param {Object} order - Order object
+ * @param {Object} user - User object from getCurrentUser()
+ * @returns {boolean}
+ */
+function isUserOrder(order, user) {
+  if (!user) return false;
+  return "userId" in order
+    ? order.userId === user.id
+    : order.customer?.email === user.email;
+}
+
+/**
+ * Get a user's orders, newest first
+ * @param {Object} user - User object (defaults to the logged-in user)
+ * @returns {Array} Array of order objects (empty for guests)
+ */
+function getUserOrders(user = getCurrentUser()) {
+  if (!user) return [];
+
+  return getOrders()
+    .filter((order) => isUserOrder(order, user))
+    .sort((a, b) => new Date(b.date) - new Date(a.date));
+}
+
+/**
+ * Get one of a user's orders by ID
+ * @param {string} orderId - Order ID
+ * @param {Object} user - User object (defaults to the logged-in user)
+ * @returns {Object|null} Order object or null
+ */
+function getUserOrderById(orderId, user = getCurrentUser()) {
+  return getUserOrders(user).find((order) => order.id === orderId) || null;
+}
+
+/**
+ * Describe an order line's size and color
+ * @param {Object} item - Order line item
+ * @param {string} language - Language code (defaults to the selected one)
+ * @returns {string} e.g. "M / Navy" (empty when the product has neither)
+ */
+function formatOrderItemVariant(item, language) {
+  return [
+    item.size,
+    item.color && translateValue("color", item.color, item.color, language),
+  ]
+    .filter(Boolean)
+    .join(" / ");
+}
+
+/**
+ * Format an order total in the currency it was placed in
+ * Orders saved before multi-currency support only have USD amounts
+ * @param {Object} order - Order object
+ * @returns {string} Formatted total
+ */
+function formatOrderTotal(order) {
+  return order.display
+    ? formatCurrency(order.display.total, order.currency)
+    : formatCurrency(order.total, BASE_CURRENCY);
+}
+
+/**
+ * Filter orders by ID search, date range and status
+ * @param {Array} orders - Array of order objects
+ * @param {Object} filters - { query, from, to, status }; from/to are YYYY-MM-DD
+ * @returns {Array} Matching orders
+ */
+function filterOrders(orders, filters) {
+  const query = filters.query.trim().toUpperCase();
+  const from = filters.from ? new Date(`${filters.from}T00:00:00`) : null;
+  const to = filters.to ? new Date(`${filters.to}T23:59:59.999`) : null;
+
+  return orders.filter((order) => {
+    const date = new Date(order.date);
+
+    if (query && !order.id.toUpperCase().includes(query)) return false;
+    if (from && date < from) return false;
+    if (to && date > to) return false;
+    if (filters.status && order.status !== filters.status) return false;
+    return true;
+  });
+}
+
+/**
+ * Update one of the "My Orders" filters and re-render the list
+ * @param {string} name - Filter name (query, from, to or status)
+ * @param {string} value - New value
+ */
+function setOrderFilter(name, value) {
+  orderFilters[name] = value;
+  renderOrderList();
+}
+
+/**
+ * Reset the "My Orders" filters
+ */
+function clearOrderFilters() {
+  orderFilters = { query: "", from: "", to: "", status: "" };
+
+  const form = document.getElementById("order-filters");
+  if (form) form.reset();
+
+  renderOrderList();
+}
+
+/**
+ * Render the "My Orders" page
+ */
+async function renderOrdersPage() {
+  const container = document.getElementById("orders-container");
+  if (!container || !requireAuth()) return;
+
+  // Line names are shown from the catalog, in the selected language
+  await Promise.all([syncOrderStatuses(), getAllProducts()]);
+  const orders = getUserOrders();
+
+  if (orders.length === 0) {
+    container.innerHTML = `
+            <div class="text-center py-16">
+                <h2 class="text-2xl font-bold text-zinc-900 dark:text-white mb-4">${t("orders.emptyTitle")}</h2>
+                <p class="text-zinc-600 dark:text-zinc-400 mb-8">${t("orders.emptyText")}</p>
+                <a href="shop.html" class="inline-flex items-center gap-2 px-8 py-4 bg-indigo-600 text-white rounded-xl font-semibold hover:bg-indigo-700 transition-colors">
+                    ${t("orders.startShopping")}
+                </a>
+            </div>
+        `;
+    return;
+  }
+
+  const inputClass =
+    "w-full px-3 py-2 text-sm bg-white dark:bg-zinc-800 border border-zinc-300 dark:border-zinc-700 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 text-zinc-900 dark:text-white";
+
+  container.innerHTML = `
+        <form id="order-filters" class="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4 p-4 mb-6 bg-white dark:bg-zinc-900 rounded-lg shadow-sm border border-zinc-200 dark:border-zinc-800" onsubmit="return false">
+            <label class="block text-sm font-medium text-zinc-700 dark:text-zinc-300">
+                ${t("orders.orderId")}
+                <input type="search" value="${escapeHTML(orderFilters.query)}" placeholder="${t("orders.orderIdPlaceholder")}"
+                    oninput="setOrderFilter('query', this.value)" class="mt-1 ${inputClass}">
+            </label>
+            <label class="block text-sm font-medium text-zinc-700 dark:text-zinc-300">
+                ${t("orders.from")}
+                <input type="date" value="${orderFilters.from}" onchange="setOrderFilter('from', this.value)" class="mt-1 ${inputClass}">
+            </label>
+            <label class="block text-sm font-medium text-zinc-700 dark:text-zinc-300">
+                ${t("orders.to")}
+                <input type="date" value="${orderFilters.to}" onchange="setOrderFilter('to', this.value)" class="mt-1 ${inputClass}">
+            </label>
+            <label class="block text-sm font-medium text-zinc-700 dark:text-zinc-300">
+                ${t("orders.status")}
+                <select onchange="setOrderFilter('status', this.value)" class="mt-1 ${inputClass}">
+                    <option value="">${t("orders.allStatuses")}</option>
+                    ${Object.keys(ORDER_STATUSES)
+                      .map(
+                        (status) =>
+                          `<option value="${status}" ${orderFilters.status === status ? "selected" : ""}>${getOrderStatusLabel(status)}</option>`,
+                      )
+                      .join("")}
+                </select>
+            </label>
+        </form>
+        <div id="order-list"></div>
+    `;
+
+  renderOrderList();
+}
+
+/**
+ * Render the filtered order list on the "My Orders" page
+ */
+function renderOrderList() {
+  const list = document.getElementById("order-list");
+  if (!list) return;
+
+  const orders = getUserOrders();
+  const filtered = filterOrders(orders, orderFilters);
+
+  if (filtered.length === 0) {
+    list.innerHTML = `
+            <div class="text-center py-12">
+                <p class="text-zinc-600 dark:text-zinc-400 mb-4">${t("orders.noMatches")}</p>
+                <button onclick="clearOrderFilters()" class="text-indigo-600 dark:text-indigo-400 font-medium hover:underline">
+                    ${t("orders.clearFilters")}
+                </button>
+            </div>
+        `;
+    return;
+  }
+
+  list.innerHTML = `
+        <p class="text-sm text-zinc-500 mb-4">${t("orders.showing", { shown: filtered.length, count: orders.length })}</p>
+        <div class="space-y-4">${filtered.map(createOrderCardHTML).join("")}</div>
+    `;
+}
+
+/**
+ * Create an order summary card for the "My Orders" page
+ * @param {Object} order - Order object
+ * @returns {string} HTML string
+ */
+function createOrderCardHTML(order) {
+  const maxThumbnails = 4;
+  const itemCount = order.items.reduce((sum, item) => sum + item.quantity, 0);
+  const extraItems = order.items.length - maxThumbnails;
+  const refund = getOrderRefundTotal(order);
+
+  return `
+        <div class="p-4 bg-white dark:bg-zinc-900 rounded-lg shadow-sm border border-zinc-200 dark:border-zinc-800">
+            <div class="flex flex-wrap items-start justify-between gap-2 mb-4">
+                <div>
+                    <h3 class="font-semibold text-zinc-900 dark:text-white">
+                        <a href="order.html?id=${encodeURIComponent(order.id)}" class="hover:text-indigo-600 dark:hover:text-indigo-400">${order.id}</a>
+                    </h3>
+                    <p class="text-sm text-zinc-500">${formatDate(order.date, { year: "numeric", month: "short", day: "numeric" })}</p>
+                </div>
+                ${createOrderStatusBadgeHTML(order.status)}
+            </div>
+            <div class="flex flex-wrap items-center justify-between gap-4">
+                <div class="flex items-center gap-2">
+                    ${order.items
+                      .slice(0, maxThumbnails)
+                      .map(
+                        (item) => `
+                    <a href="${getProductUrl(item.id)}" title="${getItemName(item)}" class="w-14 h-14 flex-shrink-0 bg-zinc-100 dark:bg-zinc-800 rounded-md overflow-hidden">
+                        <img src="${item.image}" alt="${getItemName(item)}" class="w-full h-full object-cover">
+                    </a>
+                    `,
+                      )
+                      .join("")}
+                    ${extraItems > 0 ? `<span class="text-sm text-zinc-500">${t("orders.more", { count: extraItems })}</span>` : ""}
+                </div>
+                <div class="text-end">
+                    <p class="text-sm text-zinc-500">${t("orders.itemCount", { count: itemCount })}</p>
+                    <p class="text-lg font-bold text-zinc-900 dark:text-white">${formatOrderTotal(order)}</p>
+                    ${
+                      refund.amount > 0
+                        ? `<p class="text-sm text-green-600 dark:text-green-400">${t("orders.amountRefunded", { amount: formatCurrency(refund.displayAmount, getOrderAmounts(order).currency) })}</p>`
+                        : ""
+                    }
+                    <div class="flex gap-4 justify-end text-sm font-medium">
+                        <a href="order.html?id=${encodeURIComponent(order.id)}" class="text-indigo-600 dark:text-indigo-400 hover:underline">${t("orders.track")}</a>
+                        <a href="invoice.html?id=${encodeURIComponent(order.id)}" class="text-indigo-600 dark:text-indigo-400 hover:underline">${t("orders.invoice")}</a>
+                        <button onclick="handleReorder('${order.id}')" class="text-indigo-600 dark:text-indigo-400 hover:underline">${t("orders.buyAgain")}</button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Get an order's amounts in the currency it was paid in
+ * @param {Object} order - Order object
+ * @returns {Object} { currency, rate, subtotal, discount, shipping, tax, total }
+ */
+function getOrderAmounts(order) {
+  if (order.display) return order.display;
+
+  return {
+    currency: BASE_CURRENCY,
+    rate: 1,
+    subtotal: order.subtotal,
+    discount: order.discount || 0,
+    shipping: order.shipping || 0,
+    tax: order.tax || 0,
+    total: order.total,
+  };
+}
+
+/**
+ * Create the tracking timeline for an order
+ * Reached statuses show when they happened; the remaining steps of a
+ * live order are greyed out
+ * @param {Object} order - Order object
+ * @returns {string} HTML string
+ */
+function createOrderTimelineHTML(order) {
+  const history = getOrderStatusHistory(order);
+  const currentStep = FULFILMENT_STEPS.indexOf(order.status);
+  const upcoming =
+    currentStep === -1 ? [] : FULFILMENT_STEPS.slice(currentStep + 1);
+  const dateOptions = {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+  };
+
+  const reachedHTML = history
+    .map((entry, index) => {
+      const isCurrent = index === history.length - 1;
+      return `
+            <li class="ms-6">
+                <span class="absolute -start-[9px] mt-1 w-4 h-4 rounded-full ${
+                  entry.status === "cancelled"
+                    ? "bg-red-500"
+                    : "bg-indigo-600"
+                } ${isCurrent ? "ring-4 ring-indigo-200 dark:ring-indigo-900" : ""}"></span>
+                <p class="font-semibold text-zinc-900 dark:text-white">${getOrderStatusLabel(entry.status)}</p>
+                <p class="text-sm text-zinc-500">${formatDate(entry.date, dateOptions)}</p>
+                ${entry.note ? `<p class="text-sm text-zinc-600 dark:text-zinc-400 mt-1">${escapeHTML(translateValue("orderNote", entry.note))}</p>` : ""}
+            </li>
+        `;
+    })
+    .join("");
+
+  const upcomingHTML = upcoming
+    .map(
+      (status) => `
+            <li class="ms-6">
+                <span class="absolute -start-[9px] mt-1 w-4 h-4 rounded-full bg-zinc-300 dark:bg-zinc-700"></span>
+                <p class="font-medium text-zinc-400 dark:text-zinc-500">${getOrderStatusLabel(status)}</p>
+                ${
+                  status === "delivered" && order.shippingMethod
+                    ? `<p class="text-sm text-zinc-500">${t("orders.expected", { dates: formatDeliveryEstimate(order.shippingMethod.estimatedDelivery) })}</p>`
+                    : ""
+                }
+            </li>
+        `,
+    )
+    .join("");
+
+  return `
+        <ol class="relative ms-2 border-s-2 border-zinc-200 dark:border-zinc-800 space-y-6">
+            ${reachedHTML}
+            ${upcomingHTML}
+        </ol>
+    `;
+}
+
+/**
+ * Create the status badge and actions at the top of the order detail page
+ * @param {Object} order - Order object
+ * @returns {string} HTML string
+ */
+function createOrderActionsHTML(order) {
+  return `
+            ${createOrderStatusBadgeHTML(order.status)}
+            <a href="invoice.html?id=${encodeURIComponent(order.id)}" class="px-4 py-2 text-sm font-medium text-indigo-600 dark:text-indigo-400 border border-indigo-300 dark:border-indigo-800 rounded-lg hover:bg-indigo-50 dark:hover:bg-indigo-900/20 transition-colors">${t("checkout.viewInvoice")}</a>
+            ${
+              canCancelOrder(order)
+                ? `<button onclick="handleCancelOrder('${order.id}')" class="px-4 py-2 text-sm font-medium text-red-600 dark:text-red-400 border border-red-300 dark:border-red-800 rounded-lg hover:bg-red-50 dark:hover:bg-red-900/20 transition-colors">${t("orders.cancel")}</button>`
+                : ""
+            }
+    `;
+}
+
+/**
+ * Create the totals under the items on the order detail page
+ * @param {Object} order - Order object
+ * @returns {string} HTML string
+ */
+function createOrderTotalsHTML(order) {
+  const amounts = getOrderAmounts(order);
+  const currency = amounts.currency;
+  const refund = getOrderRefundTotal(order);
+
+  return `
+            <div class="flex justify-between text-zinc-600 dark:text-zinc-400">
+                <span>${t("summary.subtotal")}</span>
+                <span>${formatCurrency(amounts.subtotal, currency)}</span>
+            </div>
+            ${
+              amounts.discount > 0
+                ? `
+            <div class="flex justify-between text-green-600 dark:text-green-400">
+                <span>${order.promo ? t("summary.discountCode", { code: order.promo.code }) : t("summary.discount")}</span>
+                <span>-${formatCurrency(amounts.discount, currency)}</span>
+            </div>
+            `
+                : ""
+            }
+            <div class="flex justify-between text-zinc-600 dark:text-zinc-400">
+                <span>${order.shippingMethod ? t("summary.shippingMethod", { method: getShippingMethodName(order.shippingMethod) }) : t("summary.shipping")}</span>
+                <span>${amounts.shipping > 0 ? formatCurrency(amounts.shipping, currency) : t("summary.free")}</span>
+            </div>
+            ${
+              amounts.tax > 0 && !order.taxBreakdown?.inclusive
+                ? `
+            <div class="flex justify-between text-zinc-600 dark:text-zinc-400">
+                <span>${t("summary.tax")}</span>
+                <span>${formatCurrency(amounts.tax, currency)}</span>
+            </div>
+            `
+                : ""
+            }
+            <div class="flex justify-between text-lg font-bold text-zinc-900 dark:text-white pt-2">
+                <span>${t("summary.total")}</span>
+                <span>${formatCurrency(amounts.total, currency)}</span>
+            </div>
+            ${
+              amounts.tax > 0 && order.taxBreakdown?.inclusive
+                ? `<p class="text-xs text-zinc-500 text-end">${t("orders.includesTax", { amount: formatCurrency(amounts.tax, currency) })}</p>`
+                : ""
+            }
+            ${
+              refund.amount > 0
+                ? `
+            <div class="flex justify-between text-green-600 dark:text-green-400">
+                <span>${t("orders.refunded")}</span>
+                <span>-${formatCurrency(refund.displayAmount, currency)}</span>
+            </div>
+            <div class="flex justify-between font-semibold text-zinc-900 dark:text-white">
+                <span>${t("orders.netPaid")}</span>
+                <span>${formatCurrency(amounts.total - refund.displayAmount, currency)}</span>
+            </div>
+            `
+                : ""
+            }
+    `;
+}
+
+/**
+ * Sum up what the fulfilment clock can change on an order
+ * @param {Object} order - Order object
+ * @returns {string} Compared between clock ticks
+ */
+function getOrderTrackingState(order) {
+  return JSON.stringify([
+    order.status,
+    getOrderStatusHistory(order).length,
+    (order.returns || []).map((request) => request.status),
+  ]);
+}
+
+/**
+ * Update the order detail page after the fulfilment clock ran
+ * Only the status, timeline, totals and returns are redrawn, and only when
+ * this order changed, so ticked reorder lines and the reorder report stay.
+ * An open return form is left alone until it is submitted or closed.
+ */
+function updateOrderDetailTracking() {
+  const container = document.getElementById("order-detail");
+  const orderId = new URLSearchParams(window.location.search).get("id");
+  const order = getUserOrderById(orderId);
+  if (!container || !order) return;
+
+  const state = getOrderTrackingState(order);
+  if (container.dataset.trackingState === state) return;
+
+  const sections = {
+    "order-actions": createOrderActionsHTML,
+    "order-timeline": createOrderTimelineHTML,
+    "order-totals": createOrderTotalsHTML,
+  };
+  if (!document.getElementById("return-request-form")) {
+    sections["order-returns"] = createReturnsSectionHTML;
+  }
+  Object.entries(sections).forEach(([id, createHTML]) => {
+    const element = document.getElementById(id);
+    if (element) element.innerHTML = createHTML(order);
+  });
+
+  // Until the returns section is redrawn the page still counts as stale
+  if (sections["order-returns"]) container.dataset.trackingState = state;
+}
+
+/**
+ * Render the order detail page (order.html?id=ORDER_ID)
+ */
+async function renderOrderDetailPage() {
+  const container = document.getElementById("order-detail");
+  if (!container || !requireAuth()) return;
+
+  // Line names are shown from the catalog, in the selected language
+  await Promise.all([syncOrderStatuses(), getAllProducts()]);
+  const orderId = new URLSearchParams(window.location.search).get("id");
+  const order = getUserOrderById(orderId);
+
+  if (!order) {
+    container.innerHTML = `
+            <div class="text-center py-16">
+                <h2 class="text-2xl font-bold text-zinc-900 dark:text-white mb-4">${t("orders.notFound")}</h2>
+                <p class="text-zinc-600 dark:text-zinc-400 mb-8">${t("orders.notFoundText")}</p>
+                <a href="orders.html" class="inline-flex items-center gap-2 px-8 py-4 bg-indigo-600 text-white rounded-xl font-semibold hover:bg-indigo-700 transition-colors">
+                    ${t("orders.back")}
+                </a>
+            </div>
+        `;
+    return;
+  }
+
+  const amounts = getOrderAmounts(order);
+  const currency = amounts.currency;
+  const rate = amounts.rate;
+  const address = order.customer?.shipping || {};
+  const cardClass =
+    "p-6 bg-white dark:bg-zinc-900 rounded-lg shadow-sm border border-zinc-200 dark:border-zinc-800";
+
+  container.innerHTML = `
+        <div class="${cardClass} mb-6 flex flex-wrap items-center justify-between gap-4">
+            <div>
+                <h2 class="text-xl font-bold text-zinc-900 dark:text-white">${order.id}</h2>
+                <p class="text-sm text-zinc-500">${t("orders.placed", { date: formatDate(order.date, { year: "numeric", month: "long", day: "numeric" }) })}</p>
+            </div>
+            <div id="order-actions" class="flex items-center gap-4">
+                ${createOrderActionsHTML(order)}
+            </div>
+        </div>
+
+        <div class="grid md:grid-cols-2 gap-6">
+            <div class="${cardClass}">
+                <h3 class="text-lg font-semibold text-zinc-900 dark:text-white mb-6">${t("orders.tracking")}</h3>
+                <div id="order-timeline">${createOrderTimelineHTML(order)}</div>
+            </div>
+
+            <div class="space-y-6">
+                <div class="${cardClass}">
+                    <div class="flex flex-wrap items-center justify-between gap-2 mb-4">
+                        <h3 class="text-lg font-semibold text-zinc-900 dark:text-white">${t("orders.items")}</h3>
+                        <button onclick="handleReorder('${order.id}', true)" class="px-4 py-2 text-sm font-medium bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors">${t("orders.buySelected")}</button>
+                    </div>
+                    <div class="space-y-4">
+                        ${order.items
+                          .map(
+                            (item, index) => `
+                        <div class="flex items-center gap-4">
+                            <input type="checkbox" value="${index}" checked aria-label="${t("orders.buyItemAgain", { name: escapeHTML(getItemName(item)) })}"
+                                class="reorder-line w-4 h-4 flex-shrink-0 rounded text-indigo-600 focus:ring-indigo-500">
+                            <a href="${getProductUrl(item.id)}" class="w-16 h-16 flex-shrink-0 bg-zinc-100 dark:bg-zinc-800 rounded-md overflow-hidden">
+                                <img src="${item.image}" alt="${getItemName(item)}" class="w-full h-full object-cover">
+                            </a>
+                            <div class="flex-1 min-w-0">
+                                <p class="font-medium text-zinc-900 dark:text-white truncate">${getItemName(item)}</p>
+                                <p class="text-sm text-zinc-500">
+                                    ${[item.size, item.color && translateValue("color", item.color), t("cart.quantityValue", { count: item.quantity })].filter(Boolean).join(" · ")}
+                                </p>
+                            </div>
+                            <p class="font-medium text-zinc-900 dark:text-white">${formatCurrency(convertPrice(item.price, currency, rate) * item.quantity, currency)}</p>
+                        </div>
+                    `,
+                          )
+                          .join("")}
+                    </div>
+                    <div id="reorder-report"></div>
+                    <div id="order-totals" class="mt-6 pt-4 border-t border-zinc-200 dark:border-zinc-800 space-y-2 text-sm">
+                        ${createOrderTotalsHTML(order)}
+                    </div>
+                </div>
+
+                <div class="${cardClass}">
+                    <h3 class="text-lg font-semibold text-zinc-900 dark:text-white mb-4">${t("checkout.shippingAddress")}</h3>
+                    <p class="text-zinc-600 dark:text-zinc-400">
+                        ${escapeHTML(`${address.firstName || ""} ${address.lastName || ""}`)}<br>
+                        ${escapeHTML(address.address || "")}<br>
+                        ${escapeHTML([address.city, address.state, address.zip].filter(Boolean).join(", "))}<br>
+                        ${escapeHTML(address.country ? translateValue("country", address.country) : "")}
+                    </p>
+                </div>
+            </div>
+        </div>
+
+        <div id="order-returns">${createReturnsSectionHTML(order)}</div>
+    `;
+  container.dataset.trackingState = getOrderTrackingState(order);
+}
+
+/**
+ * Ask for confirmation, then cancel an order from the order detail page
+ * @param {string} orderId - Order ID
+ */
+async function handleCancelOrder(orderId) {
+  if (!confirm(t("orders.confirmCancel", { id: orderId }))) return;
+
+  const result = await cancelOrder(orderId);
+  if (result.success) {
+    showNotification(t("orders.cancelled", { id: orderId }));
+  } else {
+    showNotification(result.error, "error");
+  }
+
+  renderOrderDetailPage();
+}
+
+// Full card numbers must not stay in storage
+maskSavedPayments();
+
+// Render the order pages when DOM is ready and keep statuses moving
+document.addEventListener("DOMContentLoaded", () => {
+  if (document.getElementById("orders-container")) {
+    renderOrdersPage();
+    startFulfilmentClock(renderOrderList);
+  }
+
+  if (document.getElementById("order-detail")) {
+    renderOrderDetailPage();
+    startFulfilmentClock(updateOrderDetailTracking);
+  }
+});
@@ -0,0 +1,175 @@
+/**
+ * Pricing - Applies scheduled sale rules to product prices
+ * Rules in data/sales.json take a percentage or a fixed amount off the
+ * products, subcategories or categories they target between their start
+ * and end dates. The regular price in products.json becomes the
+ * strike-through originalPrice while a sale is running. Sale names are
+ * translated the same way as product names.
+ */
+
+// Cached sale rules
+let saleRulesCache = null;
+
+// Countdown refresh timer
+let saleCountdownTimer = null;
+
+/**
+ * Load sale rules from JSON file
+ * @returns {Promise<Array>} Array of sale rules
+ */
+async function getSaleRules() {
+  if (saleRulesCache) return saleRulesCache;
+
+  try {
+    const response = await fetch(`${getBasePath()}data/sales.json`);
+    if (!response.ok) {
+      throw new Error("Failed to load sales");
+    }
+    const data = await response.json();
+    saleRulesCache = applyProductTranslations(data.sales || []);
+    return saleRulesCache;
+  } catch (error) {
+    console.error("Error loading sales:", error);
+    return [];
+  }
+}
+
+/**
+ * Check if a sale rule is running
+ * @param {Object} rule - Sale rule
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+function isSaleActive(rule, now = new Date()) {
+  return new Date(rule.start) <= now && now <= new Date(rule.end);
+}
+
+/**
+ * Check if a sale rule targets a product
+ * @param {Object} rule - Sale rule ({ scope: "product" | "subcategory" | "category", targets })
+ * @param {Object} product - Product object
+ * @returns {boolean}
+ */
+function saleAppliesTo(rule, product) {
+  switch (rule.scope) {
+    case "product":
+      return rule.targets.includes(product.id);
+    case "subcategory":
+      return rule.targets.includes(product.subcategory);
+    case "category":
+      return rule.targets.includes(product.category);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Calculate the sale price of a regular price under a rule
+ * @param {number} price - Regular price
+ * @param {Object} rule - Sale rule ({ type: "percentage" | "fixed", value })
+ * @returns {number} Sale price, rounded to cents
+ */
+function getRulePrice(price, rule) {
+  const discounted =
+    rule.type === "percentage"
+      ? price * (1 - rule.value / 100)
+      : price - rule.value;
+  return Math.max(0, Math.round(discounted * 100) / 100);
+}
+
+/**
+ * Apply running sale rules to products (in place)
+ * When several rules match, the lowest price wins. Sets price,
+ * originalPrice, onSale and sale ({ id, name, end }) on each product.
+ * @param {Array} products - Array of product objects
+ * @param {Array} rules - Sale rules
+ * @param {Date} now - Current time
+ * @returns {Array} The same products
+ */
+function applySalePricing(products, rules, now = new Date()) {
+  const activeRules = rules.filter((rule) => isSaleActive(rule, now));
+
+  products.forEach((product) => {
+    const regularPrice = product.regularPrice ?? product.price;
+    let best = null;
+
+    activeRules
+      .filter((rule) => saleAppliesTo(rule, product))
+      .forEach((rule) => {
+        const price = getRulePrice(regularPrice, rule);
+        if (price < regularPrice && (!best || price < best.price)) {
+          best = { price, rule };
+        }
+      });
+
+    product.regularPrice = regularPrice;
+    product.price = best ? best.price : regularPrice;
+    product.originalPrice = best ? regularPrice : null;
+    product.onSale = Boolean(best);
+    product.sale = best
+      ? { id: best.rule.id, name: best.rule.name, end: best.rule.end }
+      : null;
+  });
+
+  return products;
+}
+
+/**
+ * Format the time left until a date
+ * @param {string} end - End date (ISO string)
+ * @returns {string} e.g. "2d 04:12:09", or "" once ended
+ */
+function formatTimeLeft(end) {
+  const remaining = new Date(end) - new Date();
+  if (remaining <= 0) return "";
+
+  const seconds = Math.floor(remaining / 1000);
+  const days = Math.floor(seconds / 86400);
+  const clock = [
+    Math.floor((seconds % 86400) / 3600),
+    Math.floor((seconds % 3600) / 60),
+    seconds % 60,
+  ]
+    .map((part) => String(part).padStart(2, "0"))
+    .join(":");
+
+  return days > 0 ? `${t("sale.days", { count: days })} ${clock}` : clock;
+}
+
+/**
+ * Create the sale countdown HTML for a product
+ * @param {Object} product - Product object
+ * @param {string} className - Extra classes
+ * @returns {string} HTML string (empty when the product isn't on sale)
+ */
+function createSaleCountdownHTML(product, className = "") {
+  if (!product.sale) return "";
+
+  return `
+        <p class="text-xs font-medium text-red-500 dark:text-red-400 ${className}">
+            ${t("sale.endsIn", { name: product.sale.name })}
+            <span class="sale-countdown tabular-nums" data-sale-end="${product.sale.end}">${formatTimeLeft(product.sale.end)}</span>
+        </p>
+    `;
+}
+
+/**
+ * Update every countdown on the page once per second
+ */
+function startSaleCountdowns() {
+  if (saleCountdownTimer) return;
+
+  saleCountdownTimer = setInterval(() => {
+    document.querySelectorAll(".sale-countdown").forEach((countdown) => {
+      const timeLeft = formatTimeLeft(countdown.dataset.saleEnd);
+      if (timeLeft) {
+        countdown.textContent = timeLeft;
+      } else {
+        countdown.parentElement.textContent = t("sale.ended");
+      }
+    });
+  }, 1000);
+}
+
+// Start countdowns when DOM is ready
+document.addEventListener("DOMContentLoaded", startSaleCountdowns);
@@ -6,7 +6,9 @@
 // Product data cache
 let productsCache = null;
 let featuredProductsCache = null;
-let activeCategory = null;
+
+// Product shown in the modal or on the product page
+let currentDetailProduct = null;
 
 /**
  * Initialize products on page load
@@ -25,32 +27,41 @@ async function initProducts() {
   // Load and render all products on shop page
   const shopContainer = document.getElementById("shop-products-container");
   if (shopContainer) {
-    // Check for category in URL
-    const urlParams = new URLSearchParams(window.location.search);
-    activeCategory = urlParams.get("category");
-
-    let products;
-    if (activeCategory) {
-      // Filter by category from URL
-      products = await getProductsByCategory(activeCategory);
-    } else {
-      products = await getAllProducts();
-    }
-
-    renderProductGrid(products, shopContainer);
+    // Filters, search and URL state are handled by shop.js
+    await initShop();
+  }
 
-    // Initialize category filters
-    initCategoryFilters();
+  // Render the dedicated product page
+  if (document.getElementById("product-detail-container")) {
+    await initProductPage();
   }
 
-  // Check for product detail view
+  // Redirect legacy shop.html?product=ID links to the product page
   const urlParams = new URLSearchParams(window.location.search);
   const productId = urlParams.get("product");
   if (productId) {
-    showProductDetail(parseInt(productId));
+    window.location.replace(getProductUrl(parseInt(productId)));
   }
 }
 
+/**
+ * Get the relative path from the current page to the site root
+ * Pages inside /pages/ need to go one level up
+ * @returns {string} Base path ("../" or "./")
+ */
+function getBasePath() {
+  return window.location.pathname.includes("/pages/") ? "../" : "./";
+}
+
+/**
+ * Get the URL of a product's detail page
+ * @param {number} productId - Product ID
+ * @returns {string} Product page URL relative to the current page
+ */
+function getProductUrl(productId) {
+  return `${getBasePath()}pages/product.html?id=${productId}`;
+}
+
 /**
  * Fetch all products from JSON file
  * @returns {Promise<Array>} Array of product objects
@@ -61,14 +72,17 @@ async function getAllProducts() {
   }
 
   try {
-    const response = await fetch("./data/products.json");
-    
+    const response = await fetch(`${getBasePath()}data/products.json`);
+
     if (!response.ok) {
       throw new Error("Failed to load products");
     }
 
     const data = await response.json();
-    productsCache = data.products || [];
+    productsCache = applySalePricing(
+      applyProductTranslations(data.products || []),
+      await getSaleRules(),
+    );
     return productsCache;
   } catch (error) {
     console.error("Error loading products:", error);
@@ -100,8 +114,37 @@ async function getProductById(id) {
   return products.find((p) => p.id === id) || null;
 }
 
+/**
+ * Get a product's English name
+ * Cart and order lines save this, so they don't depend on the language
+ * they were added in
+ * @param {Object} product - Product object
+ * @returns {string} English name
+ */
+function getProductEnglishName(product) {
+  return product.original?.name ?? product.name;
+}
+
+/**
+ * Get the name of a cart or order line in a language
+ * Uses the loaded catalog; lines of products no longer sold keep their
+ * saved (English) name
+ * @param {Object} item - Cart or order line item ({ id, name })
+ * @param {string} language - Language code (defaults to the selected one)
+ * @returns {string} Product name
+ */
+function getItemName(item, language = getLanguage()) {
+  const product = productsCache?.find((entry) => entry.id === item.id);
+  if (!product) return item.name;
+
+  return (
+    product.translations?.[language]?.name ?? getProductEnglishName(product)
+  );
+}
+
 /**
  * Get products by category
+ * The "sale" category matches every product with a running sale
  * @param {string} category - Category name
  * @returns {Promise<Array>} Array of products in category
  */
@@ -113,106 +156,161 @@ async function getProductsByCategory(category) {
   return products.filter((p) => p.category === category);
 }
 
+/**
+ * Get a product's discount percentage based on its original price
+ * @param {Object} product - Product object
+ * @returns {number} Discount percentage (0 when not discounted)
+ */
+function getDiscountPercent(product) {
+  if (!product.originalPrice || product.originalPrice <= product.price) {
+    return 0;
+  }
+  return ((product.originalPrice - product.price) / product.originalPrice) * 100;
+}
+
 /**
  * Render product grid
  * @param {Array} products - Array of products to render
  * @param {HTMLElement} container - Container element
+ * @param {Object} options - Rendering options
+ * @param {Map} options.highlights - Product ID to search terms to highlight
+ * @param {string} options.emptyState - Custom HTML shown when there are no products
  */
-function renderProductGrid(products, container) {
+function renderProductGrid(products, container, options = {}) {
   if (!container) return;
   
   if (products.length === 0) {
-    container.innerHTML = `
+    container.innerHTML =
+      options.emptyState ||
+      `
             <div class="col-span-full text-center py-12">
-                <p class="text-gray-500 dark:text-gray-400">No products found</p>
+                <p class="text-gray-500 dark:text-gray-400">${t("product.noProducts")}</p>
             </div>
         `;
     return;
   }
 
   container.innerHTML = products
-    .map((product) => createProductCard(product))
+    .map((product) =>
+      createProductCard(product, {
+        highlight: options.highlights?.get(product.id),
+      }),
+    )
     .join("");
 }
 
 /**
  * Create product card HTML
  * @param {Object} product - Product object
+ * @param {Object} options - Rendering options
+ * @param {Array<string>} options.highlight - Search terms to highlight
  * @returns {string} HTML string
  */
-function createProductCard(product) {
+function createProductCard(product, options = {}) {
+  const nameHTML = options.highlight
+    ? highlightMatches(product.name, options.highlight)
+    : product.name;
+  const descriptionHTML = options.highlight
+    ? highlightMatches(product.description, options.highlight)
+    : product.description;
+
+  const stock = getVariantStock(product);
+  const soldOut = stock === 0;
+
   const priceDisplay =
-    product.onSale && product.originalPrice
-      ? `<span class="text-xl font-bold text-red-500 dark:text-red-400">$${product.price.toFixed(2)}</span>
-           <span class="text-sm text-zinc-400 dark:text-zinc-500 line-through ml-2">$${product.originalPrice.toFixed(2)}</span>`
-      : `<span class="text-xl font-bold text-zinc-900 dark:text-white">$${product.price.toFixed(2)}</span>`;
+    product.onSale
+      ? `<span class="text-xl font-bold text-red-500 dark:text-red-400">${formatPrice(product.price)}</span>
+           <span class="text-sm text-zinc-400 dark:text-zinc-500 line-through ms-2">${formatPrice(product.originalPrice)}</span>`
+      : `<span class="text-xl font-bold text-zinc-900 dark:text-white">${formatPrice(product.price)}</span>`;
 
   return `
         <div class="group bg-white dark:bg-zinc-900 rounded-xl shadow-sm hover:shadow-xl transition-all duration-300 overflow-hidden border border-zinc-200 dark:border-zinc-800">
             <!-- Product Image -->
             <div class="relative aspect-[3/4] overflow-hidden bg-zinc-100 dark:bg-zinc-800">
-                <img src="${product.image}" alt="${product.name}" 
-                    class="w-full h-full object-cover group-hover:scale-110 transition-transform duration-500"
-                    loading="lazy">
+                <a href="${getProductUrl(product.id)}">
+                    <img src="${product.image}" alt="${product.name}" 
+                        class="w-full h-full object-cover group-hover:scale-110 transition-transform duration-500 ${soldOut ? "opacity-50 grayscale" : ""}"
+                        loading="lazy">
+                </a>
                 
                 <!-- Quick Actions Overlay -->
-                <div class="absolute inset-0 bg-black/40 dark:bg-black/60 opacity-0 group-hover:opacity-100 transition-opacity duration-300 flex items-center justify-center gap-3">
+                <div class="absolute inset-0 bg-black/40 dark:bg-black/60 opacity-0 group-hover:opacity-100 transition-opacity duration-300 flex items-center justify-center gap-3 pointer-events-none">
                     <button onclick="viewProduct(${product.id})" 
-                        class="bg-white text-zinc-900 px-4 py-2 rounded-full font-medium hover:bg-zinc-100 transition-colors transform hover:scale-105 shadow-lg">
-                        View Details
+                        class="pointer-events-auto bg-white text-zinc-900 px-4 py-2 rounded-full font-medium hover:bg-zinc-100 transition-colors transform hover:scale-105 shadow-lg">
+                        ${t("product.viewDetails")}
                     </button>
                 </div>
                 
                 ${
                   product.featured
                     ? `
-                    <span class="absolute top-3 left-3 bg-amber-500 text-white text-xs font-bold px-2 py-1 rounded">
-                        Featured
+                    <span class="absolute top-3 start-3 bg-amber-500 text-white text-xs font-bold px-2 py-1 rounded">
+                        ${t("product.featured")}
                     </span>
                 `
                     : ""
                 }
                 
                 ${
-                  product.onSale
+                  soldOut
                     ? `
-                    <span class="absolute top-3 right-3 bg-red-500 text-white text-xs font-bold px-2 py-1 rounded">
-                        SALE
+                    <span class="absolute top-3 end-3 bg-zinc-900 text-white text-xs font-bold px-2 py-1 rounded">
+                        ${t("product.soldOutBadge")}
                     </span>
                 `
-                    : ""
+                    : product.onSale
+                      ? `
+                    <span class="absolute top-3 end-3 bg-red-500 text-white text-xs font-bold px-2 py-1 rounded">
+                        ${t("product.saleBadge")}
+                    </span>
+                `
+                      : ""
                 }
+                
+                ${createWishlistButtonHTML(product.id, "absolute bottom-3 end-3 z-10 w-9 h-9 rounded-full bg-white/90 dark:bg-zinc-900/90 shadow")}
             </div>
             
             <!-- Product Info -->
             <div class="p-4">
-                <div class="text-xs text-zinc-500 dark:text-zinc-500 uppercase tracking-wide mb-1">
-                    ${product.category}
+                <div class="flex items-center justify-between gap-2 mb-1">
+                    <span class="text-xs text-zinc-500 dark:text-zinc-500 uppercase tracking-wide">${t(`category.${product.category}`)}</span>
+                    ${createCompareButtonHTML(product.id)}
                 </div>
                 <h3 class="font-semibold text-zinc-900 dark:text-white mb-2 line-clamp-1" title="${product.name}">
-                    ${product.name}
+                    <a href="${getProductUrl(product.id)}" class="hover:text-indigo-600 dark:hover:text-indigo-400 transition-colors">${nameHTML}</a>
                 </h3>
                 <p class="text-zinc-600 dark:text-zinc-400 text-sm mb-3 line-clamp-2">
-                    ${product.description}
+                    ${descriptionHTML}
                 </p>
                 
+                ${createRatingSummaryHTML(product.id)}
+                
+                ${
+                  isLowStock(stock)
+                    ? `<p class="text-xs font-medium text-amber-600 dark:text-amber-400 mb-2">${t("product.stockLow", { count: stock })}</p>`
+                    : ""
+                }
+                
                 <div class="flex items-center justify-between">
-                    <div class="flex items-center">
-                        ${priceDisplay}
+                    <div>
+                        <div class="flex items-center">
+                            ${priceDisplay}
+                        </div>
+                        ${createSaleCountdownHTML(product)}
                     </div>
                     
                     <div class="flex gap-2">
-                        <button onclick="quickAddToCart(${product.id})" 
-                            class="p-2 bg-zinc-100 dark:bg-zinc-800 text-zinc-600 dark:text-zinc-400 rounded-lg hover:bg-zinc-200 dark:hover:bg-zinc-700 transition-colors"
-                            title="Add to Cart">
+                        <button onclick="quickAddToCart(${product.id})" ${soldOut ? "disabled" : ""}
+                            class="p-2 bg-zinc-100 dark:bg-zinc-800 text-zinc-600 dark:text-zinc-400 rounded-lg hover:bg-zinc-200 dark:hover:bg-zinc-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                            title="${t("product.addToCart")}">
                             <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                                 <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M3 3h2l.4 2M7 13h10l4-8H5.4M7 13L5.4 5M7 13l-2.293 2.293c-.63.63-.184 1.707.707 1.707H17m0 0a2 2 0 100 4 2 2 0 000-4zm-8 2a2 2 0 11-4 0 2 2 0 014 0z"/>
                             </svg>
                         </button>
-                        <button onclick="buyNow(${product.id})" 
-                            class="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors font-medium"
-                            title="Buy Now">
-                            Buy Now
+                        <button onclick="buyNow(${product.id})" ${soldOut ? "disabled" : ""}
+                            class="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors font-medium disabled:bg-zinc-400 disabled:cursor-not-allowed"
+                            title="${t("product.buyNow")}">
+                            ${soldOut ? t("product.soldOut") : t("product.buyNow")}
                         </button>
                     </div>
                 </div>
@@ -229,13 +327,13 @@ async function viewProduct(productId) {
   const product = await getProductById(productId);
   if (!product) return;
 
-  // On shop page, show modal
+  // On shop page, show modal as a quick view
   const modal = document.getElementById("product-modal");
   if (modal) {
     showProductModal(product);
   } else {
-    // Navigate to shop page with product parameter
-    window.location.href = `./pages/shop.html?product=${productId}`;
+    // Navigate to the product detail page
+    window.location.href = getProductUrl(productId);
   }
 }
 
@@ -249,12 +347,35 @@ function showProductModal(product) {
 
   if (!modal || !modalContent) return;
 
+  currentDetailProduct = product;
+  modalContent.innerHTML = createProductDetailHTML(product, { quickView: true });
+  recordRecentlyViewed(product.id);
+
+  // Setup gallery and selection handlers
+  initGallery(product);
+  setupSelectionHandlers();
+  initSizeGuide(product);
+  renderProductRecommendations(product);
+
+  // Show modal
+  modal.classList.remove("hidden");
+  document.body.style.overflow = "hidden";
+}
+
+/**
+ * Create product detail HTML (shared by the quick view modal and product page)
+ * @param {Object} product - Product object
+ * @param {Object} options - Rendering options
+ * @param {boolean} options.quickView - Whether the markup is shown in the modal
+ * @returns {string} HTML string
+ */
+function createProductDetailHTML(product, options = {}) {
   // Generate size options
   const sizeOptions = product.sizes
     ? product.sizes
         .map(
           (size) =>
-            `<button type="button" class="size-option px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg hover:border-indigo-500 dark:hover:border-indigo-400 focus:outline-none focus:ring-2 focus:ring-indigo-500" data-size="${size}">${size}</button>`,
+            `<button type="button" class="size-option px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg hover:border-indigo-500 dark:hover:border-indigo-400 focus:outline-none focus:ring-2 focus:ring-indigo-500 disabled:opacity-40 disabled:line-through disabled:cursor-not-allowed" data-size="${size}">${size}</button>`,
         )
         .join("")
     : "";
@@ -264,37 +385,60 @@ function showProductModal(product) {
     ? product.colors
         .map(
           (color) =>
-            `<button type="button" class="color-option px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg hover:border-indigo-500 dark:hover:border-indigo-400 focus:outline-none focus:ring-2 focus:ring-indigo-500" data-color="${color}">${color}</button>`,
+            `<button type="button" class="color-option px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg hover:border-indigo-500 dark:hover:border-indigo-400 focus:outline-none focus:ring-2 focus:ring-indigo-500 disabled:opacity-40 disabled:line-through disabled:cursor-not-allowed" data-color="${color}">${translateValue("color", color)}</button>`,
         )
         .join("")
     : "";
 
-  modalContent.innerHTML = `
+  return `
         <div class="grid md:grid-cols-2 gap-8">
-            <!-- Product Image -->
-            <div class="aspect-[3/4] rounded-xl overflow-hidden bg-zinc-100 dark:bg-zinc-800">
-                <img src="${product.image}" alt="${product.name}" class="w-full h-full object-cover">
-            </div>
+            <!-- Product Gallery -->
+            ${createGalleryHTML(product)}
             
             <!-- Product Details -->
             <div class="flex flex-col">
                 <div class="text-sm text-zinc-500 dark:text-zinc-500 uppercase tracking-wide mb-2">
-                    ${product.category} / ${product.subcategory}
+                    ${t(`category.${product.category}`)} / ${translateValue("subcategory", product.subcategory)}
                 </div>
                 <h2 class="text-3xl font-bold text-zinc-900 dark:text-white mb-4">${product.name}</h2>
-                <div class="text-2xl font-bold text-indigo-600 dark:text-indigo-400 mb-4">
-                    $${product.price.toFixed(2)}
+                ${createDetailRatingHTML(product, options)}
+                <div class="mb-4">
+                    <span class="text-2xl font-bold ${product.onSale ? "text-red-500 dark:text-red-400" : "text-indigo-600 dark:text-indigo-400"}">${formatPrice(product.price)}</span>
+                    ${
+                      product.onSale
+                        ? `<span class="text-lg text-zinc-400 dark:text-zinc-500 line-through ms-2">${formatPrice(product.originalPrice)}</span>
+                           <span class="ms-2 text-sm font-semibold text-red-500">-${Math.round(getDiscountPercent(product))}%</span>`
+                        : ""
+                    }
+                    ${createSaleCountdownHTML(product, "mt-1")}
                 </div>
                 <p class="text-zinc-600 dark:text-zinc-400 mb-6">${product.description}</p>
                 
+                ${
+                  options.quickView
+                    ? `
+                    <a href="${getProductUrl(product.id)}" class="inline-flex items-center gap-1 text-indigo-600 dark:text-indigo-400 font-medium hover:underline mb-6">
+                        ${t("product.viewFullDetails")}
+                        <svg class="w-4 h-4 rtl:-scale-x-100" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M17 8l4 4m0 0l-4 4m4-4H3"/></svg>
+                    </a>
+                `
+                    : ""
+                }
+                
                 ${
                   sizeOptions
                     ? `
                     <div class="mb-4">
-                        <label class="block text-sm font-medium text-zinc-700 dark:text-zinc-300 mb-2">Size</label>
+                        <div class="flex items-center justify-between mb-2">
+                            <label class="block text-sm font-medium text-zinc-700 dark:text-zinc-300">${t("product.size")}</label>
+                            <button type="button" id="size-guide-toggle" onclick="toggleSizeGuide()" aria-expanded="false" aria-controls="size-guide"
+                                class="hidden text-sm text-indigo-600 dark:text-indigo-400 font-medium hover:underline">${t("product.sizeGuide")}</button>
+                        </div>
                         <div class="flex flex-wrap gap-2" id="size-selector">
                             ${sizeOptions}
                         </div>
+                        <p id="fit-hint" class="hidden mt-2 text-sm text-indigo-700 dark:text-indigo-300"></p>
+                        <div id="size-guide" class="hidden mt-3 p-4 rounded-lg bg-zinc-50 dark:bg-zinc-800/50 border border-zinc-200 dark:border-zinc-700"></div>
                     </div>
                 `
                     : ""
@@ -304,7 +448,7 @@ function showProductModal(product) {
                   colorOptions
                     ? `
                     <div class="mb-6">
-                        <label class="block text-sm font-medium text-zinc-700 dark:text-zinc-300 mb-2">Color</label>
+                        <label class="block text-sm font-medium text-zinc-700 dark:text-zinc-300 mb-2">${t("product.color")}</label>
                         <div class="flex flex-wrap gap-2" id="color-selector">
                             ${colorOptions}
                         </div>
@@ -313,8 +457,10 @@ function showProductModal(product) {
                     : ""
                 }
                 
+                <p id="stock-status" class="text-sm font-medium mb-4"></p>
+                
                 <div class="mb-6">
-                    <label class="block text-sm font-medium text-zinc-700 dark:text-zinc-300 mb-2">Quantity</label>
+                    <label class="block text-sm font-medium text-zinc-700 dark:text-zinc-300 mb-2">${t("product.quantity")}</label>
                     <div class="flex items-center gap-3">
                         <button type="button" onclick="updateModalQuantity(-1)" class="w-10 h-10 rounded-full bg-zinc-100 dark:bg-zinc-800 flex items-center justify-center hover:bg-zinc-200 dark:hover:bg-zinc-700 text-zinc-600 dark:text-zinc-400">
                             <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M20 12H4"/></svg>
@@ -327,28 +473,25 @@ function showProductModal(product) {
                 </div>
                 
                 <div class="flex gap-4 mt-auto">
-                    <button onclick="addToCartFromModal(${product.id})" 
-                        class="flex-1 bg-zinc-100 dark:bg-zinc-800 text-zinc-900 dark:text-white py-3 px-6 rounded-lg font-medium hover:bg-zinc-200 dark:hover:bg-zinc-700 transition-colors flex items-center justify-center gap-2">
+                    <button id="detail-add-to-cart" onclick="addToCartFromModal(${product.id})" 
+                        class="flex-1 bg-zinc-100 dark:bg-zinc-800 text-zinc-900 dark:text-white py-3 px-6 rounded-lg font-medium hover:bg-zinc-200 dark:hover:bg-zinc-700 transition-colors flex items-center justify-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed">
                         <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M3 3h2l.4 2M7 13h10l4-8H5.4M7 13L5.4 5M7 13l-2.293 2.293c-.63.63-.184 1.707.707 1.707H17m0 0a2 2 0 100 4 2 2 0 000-4zm-8 2a2 2 0 11-4 0 2 2 0 014 0z"/>
                         </svg>
-                        Add to Cart
+                        ${t("product.addToCart")}
                     </button>
-                    <button onclick="buyNowFromModal(${product.id})" 
-                        class="flex-1 bg-indigo-600 text-white py-3 px-6 rounded-lg font-medium hover:bg-indigo-700 transition-colors">
-                        Buy Now
+                    <button id="detail-buy-now" onclick="buyNowFromModal(${product.id})" 
+                        class="flex-1 bg-indigo-600 text-white py-3 px-6 rounded-lg font-medium hover:bg-indigo-700 transition-colors disabled:bg-zinc-400 disabled:cursor-not-allowed">
+                        ${t("product.buyNow")}
                     </button>
+                    ${createWishlistButtonHTML(product.id, "w-12 flex-shrink-0 bg-zinc-100 dark:bg-zinc-800 hover:bg-zinc-200 dark:hover:bg-zinc-700 rounded-lg")}
                 </div>
             </div>
         </div>
+        
+        <!-- Recommendations -->
+        <div id="product-recommendations" class="hidden mt-10 pt-8 border-t border-zinc-200 dark:border-zinc-800 space-y-8"></div>
     `;
-
-  // Setup selection handlers
-  setupSelectionHandlers();
-
-  // Show modal
-  modal.classList.remove("hidden");
-  document.body.style.overflow = "hidden";
 }
 
 /**
@@ -364,6 +507,7 @@ function setupSelectionHandlers() {
       });
       this.classList.add("bg-indigo-600", "text-white", "border-indigo-600");
       this.classList.remove("border-gray-300", "dark:border-gray-600");
+      updateVariantAvailability();
     });
   });
 
@@ -376,21 +520,76 @@ function setupSelectionHandlers() {
       });
       this.classList.add("bg-indigo-600", "text-white", "border-indigo-600");
       this.classList.remove("border-gray-300", "dark:border-gray-600");
+      updateVariantAvailability();
+
+      // Show the images of the selected color
+      if (currentDetailProduct) {
+        setGalleryColor(currentDetailProduct, this.dataset.color);
+      }
     });
   });
+
+  updateVariantAvailability();
+}
+
+/**
+ * Disable sold out sizes/colors for the current selection, update the
+ * stock message and keep the quantity within what is available
+ */
+function updateVariantAvailability() {
+  const product = currentDetailProduct;
+  if (!product) return;
+
+  const { size, color } = getSelectedOptions();
+
+  document.querySelectorAll(".size-option").forEach((btn) => {
+    btn.disabled = getVariantStock(product, btn.dataset.size, color) === 0;
+  });
+  document.querySelectorAll(".color-option").forEach((btn) => {
+    btn.disabled = getVariantStock(product, size, btn.dataset.color) === 0;
+  });
+
+  const stock = getVariantStock(product, size, color);
+  const statusEl = document.getElementById("stock-status");
+  if (statusEl) {
+    statusEl.className = "text-sm font-medium mb-4";
+    if (stock === 0) {
+      statusEl.textContent = t("product.stockSoldOut");
+      statusEl.classList.add("text-red-500", "dark:text-red-400");
+    } else if (isLowStock(stock)) {
+      statusEl.textContent = t("product.stockLow", { count: stock });
+      statusEl.classList.add("text-amber-600", "dark:text-amber-400");
+    } else {
+      statusEl.textContent = t("product.inStock");
+      statusEl.classList.add("text-green-600", "dark:text-green-400");
+    }
+  }
+
+  ["detail-add-to-cart", "detail-buy-now"].forEach((id) => {
+    const button = document.getElementById(id);
+    if (button) button.disabled = stock === 0;
+  });
+
+  updateModalQuantity(0);
 }
 
 /**
  * Update quantity in product modal
- * @param {number} change - Amount to change (-1 or 1)
+ * Capped at the stock available for the current selection
+ * @param {number} change - Amount to change (-1, 0 or 1)
  */
 function updateModalQuantity(change) {
   const quantityEl = document.getElementById("modal-quantity");
   if (!quantityEl) return;
 
+  const { size, color } = getSelectedOptions();
+  const maxQuantity = currentDetailProduct
+    ? getMaxQuantity(currentDetailProduct, size, color)
+    : MAX_QUANTITY_PER_ITEM;
+
   let quantity = parseInt(quantityEl.textContent) + change;
+  if (quantity > maxQuantity) quantity = maxQuantity;
   if (quantity < 1) quantity = 1;
-  if (quantity > 10) quantity = 10;
 
   quantityEl.textContent = quantity;
 }
@@ -422,8 +621,9 @@ async function addToCartFromModal(productId) {
   );
   const { size, color } = getSelectedOptions();
 
-  addToCart(product, quantity, size, color);
-  closeProductModal();
+  if (addToCart(product, quantity, size, color)) {
+    closeProductModal();
+  }
 }
 
 /**
@@ -439,9 +639,15 @@ async function buyNowFromModal(productId) {
   );
   const { size, color } = getSelectedOptions();
 
+  if (quantity > getVariantStock(product, size, color)) {
+    showNotification(t("product.outOfStock", { name: product.name }), "error");
+    return;
+  }
+
   // Store buy now item in sessionStorage
   const buyNowItem = {
     ...product,
+    name: getProductEnglishName(product),
     quantity,
     size,
     color,
@@ -485,9 +691,15 @@ async function buyNow(productId) {
   const product = await getProductById(productId);
   if (!product) return;
 
+  if (isSoldOut(product)) {
+    showNotification(t("product.soldOutNotice", { name: product.name }), "error");
+    return;
+  }
+
   // Store buy now item in sessionStorage
   const buyNowItem = {
     ...product,
+    name: getProductEnglishName(product),
     quantity: 1,
     size: null,
     color: null,
@@ -506,92 +718,90 @@ async function buyNow(productId) {
 }
 
 /**
- * Initialize category filters
- * @param {string} activeCategory - The category to set as active initially
+ * Initialize the product detail page (product.html?id=ID)
+ * Renders breadcrumb and product details, or a not found state
  */
-function initCategoryFilters() {
-  const filterButtons = document.querySelectorAll(".category-filter");
+async function initProductPage() {
+  const container = document.getElementById("product-detail-container");
+  const breadcrumb = document.getElementById("product-breadcrumb");
+  if (!container) return;
 
-  // Set initial active state based on URL parameter
-  if (!activeCategory) {
-    activeCategory = "all";
+  const urlParams = new URLSearchParams(window.location.search);
+  const product = await getProductById(parseInt(urlParams.get("id")));
+
+  if (!product) {
+    document.title = `${t("product.notFoundTitle")} - MagLothes`;
+    if (breadcrumb) breadcrumb.classList.add("hidden");
+    container.innerHTML = `
+            <div class="text-center py-16">
+                <h2 class="text-2xl font-bold text-zinc-900 dark:text-white mb-4">${t("product.notFound")}</h2>
+                <p class="text-zinc-600 dark:text-zinc-400 mb-8">${t("product.notFoundText")}</p>
+                <a href="shop.html" class="inline-flex items-center gap-2 px-8 py-4 bg-indigo-600 text-white rounded-xl font-semibold hover:bg-indigo-700 transition-colors">
+                    ${t("product.backToShop")}
+                </a>
+            </div>
+        `;
+    return;
   }
 
-  filterButtons.forEach((btn) => {
-    if (btn.dataset.category === activeCategory) {
-      btn.classList.remove(
-          "bg-gray-200",
-          "dark:bg-gray-700",
-          "text-gray-700",
-          "dark:text-gray-300",
-        );
-        btn.classList.add("bg-indigo-600", "text-white");
-      } else {
-        btn.classList.remove("bg-indigo-600", "text-white");
-        btn.classList.add(
-          "bg-gray-200",
-          "dark:bg-gray-700",
-          "text-gray-700",
-          "dark:text-gray-300",
-        );
-      }
-    });
+  document.title = `${product.name} - MagLothes`;
 
-  filterButtons.forEach((button) => {
-    button.addEventListener("click", async function () {
-      activeCategory = this.dataset.category;
-      console.log(activeCategory);
-      
-      // Update active state
-      filterButtons.forEach((btn) => {
-        btn.classList.remove("bg-indigo-600", "text-white");
-        btn.classList.add(
-          "bg-gray-200",
-          "dark:bg-gray-700",
-          "text-gray-700",
-          "dark:text-gray-300",
-        );
-      });
-      this.classList.remove(
-        "bg-gray-200",
-        "dark:bg-gray-700",
-        "text-gray-700",
-        "dark:text-gray-300",
-      );
-      this.classList.add("bg-indigo-600", "text-white");
-
-      // Filter products
-      const container = document.getElementById("shop-products-container");
-      if (container) {
-        const products =
-          activeCategory === "all"
-            ? await getAllProducts()
-            : await getProductsByCategory(activeCategory);
-        renderProductGrid(products, container);
-      }
+  if (breadcrumb) {
+    breadcrumb.innerHTML = createBreadcrumbHTML(product);
+  }
 
-      // Update URL without reloading
-      const url = new URL(window.location);
-      if (activeCategory === "all") {
-        url.searchParams.delete("category");
-      } else {
-        url.searchParams.set("category", activeCategory);
-      }
-      window.history.replaceState({}, "", url);
-    });
-  });
+  currentDetailProduct = product;
+  container.innerHTML = createProductDetailHTML(product);
+  recordRecentlyViewed(product.id);
+  initGallery(product);
+  setupSelectionHandlers();
+  initSizeGuide(product);
+  renderProductRecommendations(product);
+  renderReviewsSection(product.id);
 }
 
 /**
- * Show product detail view (for shop page with URL parameter)
- * @param {number} productId - Product ID
+ * Create the rating line under the product name in the detail view
+ * Links to the reviews section (on the product page when in quick view)
+ * @param {Object} product - Product object
+ * @param {Object} options - Options passed to createProductDetailHTML
+ * @returns {string} HTML string
  */
-async function showProductDetail(productId) {
-  const product = await getProductById(productId);
-  if (!product) return;
+function createDetailRatingHTML(product, options = {}) {
+  const { average, count } = getReviewSummary(product.id);
+  const href = options.quickView
+    ? `${getProductUrl(product.id)}#product-reviews`
+    : "#product-reviews";
+
+  return `
+        <a href="${href}" class="flex items-center gap-2 mb-4 text-sm text-zinc-600 dark:text-zinc-400 hover:text-indigo-600 dark:hover:text-indigo-400">
+            ${createStarsHTML(average)}
+            <span>${count ? `${average.toFixed(1)} · ${t("product.reviews", { count })}` : t("product.noReviews")}</span>
+        </a>
+    `;
+}
+
+/**
+ * Create breadcrumb HTML for a product (Home / Shop / Category / Subcategory / Name)
+ * @param {Object} product - Product object
+ * @returns {string} HTML string
+ */
+function createBreadcrumbHTML(product) {
+  const linkClass =
+    "hover:text-indigo-600 dark:hover:text-indigo-400 transition-colors capitalize";
+  const separator = `<span class="text-zinc-400 dark:text-zinc-600">/</span>`;
 
-  // Show modal with product details
-  showProductModal(product);
+  return `
+        <a href="../index.html" class="${linkClass}">${t("nav.home")}</a>
+        ${separator}
+        <a href="shop.html" class="${linkClass}">${t("nav.shop")}</a>
+        ${separator}
+        <a href="shop.html?category=${product.category}" class="${linkClass}">${t(`category.${product.category}`)}</a>
+        ${separator}
+        <a href="shop.html?category=${product.category}&subcategory=${encodeURIComponent(product.subcategory)}" class="${linkClass}">${translateValue("subcategory", product.subcategory)}</a>
+        ${separator}
+        <span class="text-zinc-900 dark:text-white font-medium" aria-current="page">${product.name}</span>
+    `;
 }
 
 // Close modal when clicking outside
@@ -605,24 +815,3 @@ document.addEventListener("click", function (e) {
 // Initialize products when DOM is ready
 document.addEventListener("DOMContentLoaded", initProducts);
 
-// Search functionality
-document.getElementById("search-input")?.addEventListener("input", async function (e) {
-    const searchTerm = e.target.value.toLowerCase();
-    const products = await getAllProducts();
-    
-    const filtered = products.filter(
-      (p) =>{
-        const matchedCategory = activeCategory === "all" ? true : p.category === activeCategory;
-        return matchedCategory &&
-        (
-          p.name.toLowerCase().includes(searchTerm) ||
-          p.description.toLowerCase().includes(searchTerm) ||
-          p.category.toLowerCase().includes(searchTerm)
-        )
-      }
-    );
-
-    const container = document.getElementById("shop-products-container");
-    renderProductGrid(filtered, container);
-  });
-
@@ -0,0 +1,237 @@
+/**
+ * Promo Codes - Validates discount codes for the cart and checkout
+ * Code definitions live in data/promo-codes.json, with their descriptions
+ * translated like product names. The applied code is kept
+ * in sessionStorage so it follows the shopper from the cart to checkout;
+ * per-user usage is counted from the user's saved orders.
+ */
+
+// Storage key
+const PROMO_KEY = "fashion-store-promo";
+
+// Cached promo code definitions
+let promoCodesCache = null;
+
+/**
+ * Load promo code definitions from JSON file
+ * @returns {Promise<Array>} Array of promo code objects
+ */
+async function getPromoCodes() {
+  if (promoCodesCache) return promoCodesCache;
+
+  try {
+    const response = await fetch(`${getBasePath()}data/promo-codes.json`);
+    if (!response.ok) {
+      throw new Error("Failed to load promo codes");
+    }
+    const data = await response.json();
+    promoCodesCache = applyProductTranslations(data.codes || []);
+    return promoCodesCache;
+  } catch (error) {
+    console.error("Error loading promo codes:", error);
+    return [];
+  }
+}
+
+/**
+ * Fill in the amounts of a promo code description
+ * Descriptions write amounts as {value} and {minSpend}, so they are shown
+ * in the selected currency instead of USD
+ * @param {Object} promo - Promo code object
+ * @param {string} description - Description text (defaults to the translated one)
+ * @returns {string} Description with formatted amounts
+ */
+function getPromoDescription(promo, description = promo.description) {
+  return description.replace(/\{(value|minSpend)\}/g, (match, field) =>
+    formatPrice(promo[field]),
+  );
+}
+
+/**
+ * Get the promo code applied in this session
+ * @returns {string|null} Promo code
+ */
+function getAppliedPromoCode() {
+  return sessionStorage.getItem(PROMO_KEY);
+}
+
+/**
+ * Remember the applied promo code for this session
+ * @param {string|null} code - Promo code, or null to remove it
+ */
+function setAppliedPromoCode(code) {
+  if (code) {
+    sessionStorage.setItem(PROMO_KEY, code);
+  } else {
+    sessionStorage.removeItem(PROMO_KEY);
+  }
+}
+
+/**
+ * Count how many times a user has used a promo code
+ * Cancelled and refunded orders give the use back
+ * @param {Object} user - User object
+ * @param {string} code - Promo code
+ * @returns {number} Number of orders placed with the code
+ */
+function getPromoUsageCount(user, code) {
+  return getOrders().filter(
+    (order) =>
+      order.promo?.code === code &&
+      !["cancelled", "refunded"].includes(order.status) &&
+      isUserOrder(order, user),
+  ).length;
+}
+
+/**
+ * Check a promo code against the items being bought
+ * @param {string} code - Promo code as entered
+ * @param {Array} items - Cart or order line items ({ id, price, quantity })
+ * @returns {Promise<Object>} { valid, error } or { valid, promo, discount, freeShipping }
+ */
+async function validatePromoCode(code, items) {
+  const normalized = (code || "").trim().toUpperCase();
+  const promo = (await getPromoCodes()).find((entry) => entry.code === normalized);
+
+  if (!promo) {
+    return { valid: false, error: t("promo.notFound") };
+  }
+
+  if (new Date(promo.expires) < new Date()) {
+    return {
+      valid: false,
+      error: t("promo.expired", { date: formatDate(promo.expires) }),
+    };
+  }
+
+  const user = getCurrentUser();
+  if (!user) {
+    return { valid: false, error: t("promo.signIn") };
+  }
+
+  if (promo.usesPerUser && getPromoUsageCount(user, promo.code) >= promo.usesPerUser) {
+    return {
+      valid: false,
+      error: t("promo.usedUp", { count: promo.usesPerUser }),
+    };
+  }
+
+  const subtotal = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+  if (subtotal < promo.minSpend) {
+    return {
+      valid: false,
+      error: t("promo.minSpend", { amount: formatPrice(promo.minSpend) }),
+    };
+  }
+
+  // Only items in the allowed categories count towards the discount
+  let eligibleSubtotal = subtotal;
+  if (promo.categories) {
+    eligibleSubtotal = 0;
+    for (const item of items) {
+      const product = await getProductById(item.id);
+      if (product && promo.categories.includes(product.category)) {
+        eligibleSubtotal += item.price * item.quantity;
+      }
+    }
+
+    if (eligibleSubtotal === 0) {
+      return {
+        valid: false,
+        error: t("promo.categories", {
+          categories: promo.categories
+            .map((category) => t(`category.${category}`))
+            .join(t("promo.listSeparator")),
+        }),
+      };
+    }
+  }
+
+  let discount = 0;
+  if (promo.type === "percentage") {
+    discount = eligibleSubtotal * (promo.value / 100);
+  } else if (promo.type === "fixed") {
+    discount = Math.min(promo.value, eligibleSubtotal);
+  }
+
+  return {
+    valid: true,
+    promo,
+    discount: Math.round(discount * 100) / 100,
+    freeShipping: promo.type === "free-shipping",
+  };
+}
+
+/**
+ * Get the discount from the applied promo code for a set of items
+ * Drops the applied code when it no longer qualifies
+ * @param {Array} items - Cart or order line items
+ * @returns {Promise<Object|null>} Valid promo result or null
+ */
+async function getAppliedPromo(items) {
+  const code = getAppliedPromoCode();
+  if (!code) return null;
+
+  const result = await validatePromoCode(code, items);
+  return result.valid ? result : null;
+}
+
+/**
+ * Render the promo code form into #promo-code
+ * @param {Array} items - Items the code applies to
+ * @param {Function} onChange - Called after a code is applied or removed
+ */
+async function renderPromoForm(items, onChange) {
+  const container = document.getElementById("promo-code");
+  if (!container) return;
+
+  const code = getAppliedPromoCode();
+  const result = code ? await validatePromoCode(code, items) : null;
+
+  if (result && result.valid) {
+    container.innerHTML = `
+            <div class="flex items-center justify-between gap-3 p-3 rounded-lg bg-green-50 dark:bg-green-900/20 border border-green-200 dark:border-green-800">
+                <div>
+                    <p class="font-semibold text-green-700 dark:text-green-400">${result.promo.code}</p>
+                    <p class="text-sm text-green-700/80 dark:text-green-400/80">${getPromoDescription(result.promo)}</p>
+                </div>
+                <button type="button" id="promo-remove" class="text-sm text-zinc-500 dark:text-zinc-400 hover:text-red-500 transition-colors">${t("cart.remove")}</button>
+            </div>
+        `;
+  } else {
+    container.innerHTML = `
+            <form id="promo-form" class="flex gap-2">
+                <input type="text" id="promo-code-input" placeholder="${t("promo.placeholder")}" value="${code ? escapeHTML(code) : ""}" autocomplete="off"
+                    class="flex-1 min-w-0 px-4 py-2 uppercase bg-white dark:bg-zinc-800 border border-zinc-300 dark:border-zinc-700 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 text-zinc-900 dark:text-white">
+                <button type="submit" class="px-4 py-2 bg-zinc-900 dark:bg-white text-white dark:text-zinc-900 rounded-lg font-medium hover:opacity-90 transition-opacity">
+                    ${t("promo.apply")}
+                </button>
+            </form>
+            <p id="promo-message" class="${result ? "" : "hidden"} mt-2 text-sm text-red-500">${result ? result.error : ""}</p>
+        `;
+  }
+
+  document.getElementById("promo-form")?.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const input = document.getElementById("promo-code-input");
+    const check = await validatePromoCode(input.value, items);
+
+    if (!check.valid) {
+      const message = document.getElementById("promo-message");
+      message.textContent = check.error;
+      message.classList.remove("hidden");
+      return;
+    }
+
+    setAppliedPromoCode(check.promo.code);
+    showNotification(t("promo.applied", { code: check.promo.code }));
+    renderPromoForm(items, onChange);
+    onChange();
+  });
+
+  document.getElementById("promo-remove")?.addEventListener("click", () => {
+    setAppliedPromoCode(null);
+    renderPromoForm(items, onChange);
+    onChange();
+  });
+}
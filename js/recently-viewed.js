@@ -0,0 +1,122 @@
+/**
+ * Recently Viewed Manager - Records product views and renders a carousel
+ * History is kept per user when logged in, otherwise per browser
+ */
+
+// Storage key and history size
+const RECENTLY_VIEWED_KEY = "fashion-store-recently-viewed";
+const MAX_RECENTLY_VIEWED = 12;
+
+/**
+ * Get the history owner key (user ID, or "guest" when logged out)
+ * @returns {string} Owner key
+ */
+function getRecentlyViewedOwner() {
+  const user = getCurrentUser();
+  return user ? user.id : "guest";
+}
+
+/**
+ * Get recently viewed product IDs, most recent first
+ * @returns {Array<number>} Product IDs
+ */
+function getRecentlyViewed() {
+  const history = JSON.parse(localStorage.getItem(RECENTLY_VIEWED_KEY) || "{}");
+  return history[getRecentlyViewedOwner()] || [];
+}
+
+/**
+ * Save recently viewed product IDs for the current owner
+ * @param {Array<number>} productIds - Product IDs, most recent first
+ */
+function saveRecentlyViewed(productIds) {
+  const history = JSON.parse(localStorage.getItem(RECENTLY_VIEWED_KEY) || "{}");
+  history[getRecentlyViewedOwner()] = productIds;
+  localStorage.setItem(RECENTLY_VIEWED_KEY, JSON.stringify(history));
+}
+
+/**
+ * Record a product view (moves it to the front, drops the oldest)
+ * @param {number} productId - Product ID
+ */
+function recordRecentlyViewed(productId) {
+  const productIds = getRecentlyViewed().filter((id) => id !== productId);
+  productIds.unshift(productId);
+  saveRecentlyViewed(productIds.slice(0, MAX_RECENTLY_VIEWED));
+  renderRecentlyViewed();
+}
+
+/**
+ * Clear the current owner's history
+ */
+function clearRecentlyViewed() {
+  saveRecentlyViewed([]);
+  renderRecentlyViewed();
+}
+
+/**
+ * Render the "Recently viewed" carousel into #recently-viewed
+ * The section stays hidden while the history is empty
+ */
+async function renderRecentlyViewed() {
+  const section = document.getElementById("recently-viewed");
+  if (!section) return;
+
+  const products = (
+    await Promise.all(getRecentlyViewed().map((id) => getProductById(id)))
+  ).filter(Boolean);
+
+  if (products.length === 0) {
+    section.classList.add("hidden");
+    section.innerHTML = "";
+    return;
+  }
+
+  const arrowClass =
+    "w-10 h-10 rounded-full bg-zinc-100 dark:bg-zinc-800 text-zinc-600 dark:text-zinc-400 flex items-center justify-center hover:bg-zinc-200 dark:hover:bg-zinc-700 transition-colors";
+
+  section.innerHTML = `
+        <div class="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+            <div class="flex items-center justify-between gap-4 mb-6">
+                <h2 class="text-2xl font-bold text-zinc-900 dark:text-white">${t("recentlyViewed.title")}</h2>
+                <div class="flex items-center gap-2">
+                    <button type="button" onclick="clearRecentlyViewed()"
+                        class="text-sm text-zinc-500 dark:text-zinc-400 hover:text-red-500 transition-colors me-2">
+                        ${t("recentlyViewed.clear")}
+                    </button>
+                    <button type="button" onclick="scrollRecentlyViewed(-1)" aria-label="${t("recentlyViewed.previous")}" class="${arrowClass}">
+                        <svg class="w-5 h-5 rtl:-scale-x-100" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15 19l-7-7 7-7"/></svg>
+                    </button>
+                    <button type="button" onclick="scrollRecentlyViewed(1)" aria-label="${t("recentlyViewed.next")}" class="${arrowClass}">
+                        <svg class="w-5 h-5 rtl:-scale-x-100" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 5l7 7-7 7"/></svg>
+                    </button>
+                </div>
+            </div>
+            <div id="recently-viewed-track" class="flex gap-6 overflow-x-auto snap-x snap-mandatory scroll-smooth pb-4">
+                ${products
+                  .map(
+                    (product) =>
+                      `<div class="w-64 flex-shrink-0 snap-start">${createProductCard(product)}</div>`,
+                  )
+                  .join("")}
+            </div>
+        </div>
+    `;
+  section.classList.remove("hidden");
+}
+
+/**
+ * Scroll the carousel by roughly one visible page
+ * Right-to-left pages scroll the other way
+ * @param {number} direction - -1 for previous, 1 for next
+ */
+function scrollRecentlyViewed(direction) {
+  const track = document.getElementById("recently-viewed-track");
+  if (track) {
+    const rtl = document.documentElement.dir === "rtl";
+    track.scrollBy({ left: (rtl ? -direction : direction) * track.clientWidth * 0.8 });
+  }
+}
+
+// Render the carousel when DOM is ready
+document.addEventListener("DOMContentLoaded", renderRecentlyViewed);
@@ -0,0 +1,242 @@
+/**
+ * Recommendations - Suggests related products for cross-selling
+ * "You may also like" scores catalog similarity (subcategory, colors,
+ * price); "Complete the look" uses items bought together in saved orders,
+ * topped up with matching pieces from other subcategories.
+ */
+
+// Number of suggestions per list
+const MAX_RECOMMENDATIONS = 4;
+
+/**
+ * Score how similar a candidate is to a product
+ * @param {Object} product - Reference product
+ * @param {Object} candidate - Candidate product
+ * @returns {number} Similarity score (higher is more similar)
+ */
+function getSimilarityScore(product, candidate) {
+  let score = 0;
+
+  if (candidate.subcategory === product.subcategory) score += 3;
+  if (candidate.category === product.category) score += 1;
+
+  const sharedColors = (candidate.colors || []).filter((color) =>
+    (product.colors || []).includes(color),
+  ).length;
+  score += Math.min(sharedColors, 2);
+
+  // Up to 2 points for a similar price
+  const priceGap =
+    Math.abs(candidate.price - product.price) /
+    Math.max(candidate.price, product.price);
+  score += 2 * (1 - priceGap);
+
+  return score;
+}
+
+/**
+ * Get products similar to a product
+ * @param {Object} product - Reference product
+ * @param {Array} products - All products
+ * @param {Array<number>} excludeIds - Product IDs to leave out
+ * @returns {Array} Similar products, best match first
+ */
+function getSimilarProducts(product, products, excludeIds = []) {
+  return products
+    .filter(
+      (candidate) =>
+        candidate.id !== product.id &&
+        !excludeIds.includes(candidate.id) &&
+        !isSoldOut(candidate),
+    )
+    .map((candidate) => ({
+      product: candidate,
+      score: getSimilarityScore(product, candidate),
+    }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_RECOMMENDATIONS)
+    .map((entry) => entry.product);
+}
+
+/**
+ * Count how often other products were ordered together with the given ones
+ * @param {Array<number>} productIds - Product IDs to look up
+ * @returns {Map<number, number>} productId -> number of shared orders
+ */
+function getBoughtTogetherCounts(productIds) {
+  const counts = new Map();
+
+  getOrders().forEach((order) => {
+    const orderIds = [...new Set(order.items.map((item) => item.id))];
+    if (!orderIds.some((id) => productIds.includes(id))) return;
+
+    orderIds
+      .filter((id) => !productIds.includes(id))
+      .forEach((id) => counts.set(id, (counts.get(id) || 0) + 1));
+  });
+
+  return counts;
+}
+
+/**
+ * Get "complete the look" suggestions for one or more products
+ * Items frequently bought together come first; the rest of the list is
+ * filled with pieces from other subcategories that share a color
+ * @param {Array} baseProducts - Products to build the look around
+ * @param {Array} products - All products
+ * @returns {Array} Suggested products
+ */
+function getCompleteTheLook(baseProducts, products) {
+  const baseIds = baseProducts.map((product) => product.id);
+  const available = products.filter(
+    (product) => !baseIds.includes(product.id) && !isSoldOut(product),
+  );
+
+  const counts = getBoughtTogetherCounts(baseIds);
+  const boughtTogether = available
+    .filter((product) => counts.has(product.id))
+    .sort((a, b) => counts.get(b.id) - counts.get(a.id));
+
+  const baseSubcategories = baseProducts.map((product) => product.subcategory);
+  const baseColors = baseProducts.flatMap((product) => product.colors || []);
+  const complementary = available
+    .filter(
+      (product) =>
+        !counts.has(product.id) &&
+        !baseSubcategories.includes(product.subcategory) &&
+        baseProducts.some(
+          (base) =>
+            base.category === product.category ||
+            product.category === "accessories",
+        ) &&
+        (product.colors || []).some((color) => baseColors.includes(color)),
+    )
+    .sort((a, b) => Number(b.featured) - Number(a.featured));
+
+  return [...boughtTogether, ...complementary].slice(0, MAX_RECOMMENDATIONS);
+}
+
+/**
+ * Add a suggested product in one click
+ * Uses the first size/color combination that is in stock
+ * @param {number} productId - Product ID
+ */
+async function addRecommendedToCart(productId) {
+  const product = await getProductById(productId);
+  if (!product) return;
+
+  const variant = getProductVariants(product).find(
+    (entry) => getAvailableToAdd(product, entry.size, entry.color) > 0,
+  );
+
+  if (variant) {
+    addToCart(product, 1, variant.size, variant.color);
+  } else {
+    addToCart(
+      product,
+      1,
+      product.sizes?.[0] || null,
+      product.colors?.[0] || null,
+    );
+  }
+}
+
+/**
+ * Create a list of suggested products
+ * @param {string} title - List heading
+ * @param {Array} products - Suggested products
+ * @returns {string} HTML string (empty when there is nothing to suggest)
+ */
+function createRecommendationListHTML(title, products) {
+  if (products.length === 0) return "";
+
+  return `
+        <div>
+            <h3 class="text-lg font-semibold text-zinc-900 dark:text-white mb-4">${title}</h3>
+            <div class="grid grid-cols-2 md:grid-cols-4 gap-4">
+                ${products
+                  .map(
+                    (product) => `
+                    <div class="flex flex-col rounded-lg border border-zinc-200 dark:border-zinc-800 overflow-hidden">
+                        <a href="${getProductUrl(product.id)}" class="aspect-square bg-zinc-100 dark:bg-zinc-800">
+                            <img src="${product.image}" alt="${product.name}" class="w-full h-full object-cover" loading="lazy">
+                        </a>
+                        <div class="p-3 flex flex-col flex-1">
+                            <a href="${getProductUrl(product.id)}" class="text-sm font-medium text-zinc-900 dark:text-white line-clamp-1 hover:text-indigo-600 dark:hover:text-indigo-400">${product.name}</a>
+                            <span class="text-sm font-bold text-zinc-900 dark:text-white mt-1">${formatPrice(product.price)}</span>
+                            <button type="button" onclick="addRecommendedToCart(${product.id})"
+                                class="mt-3 w-full px-3 py-2 text-sm bg-indigo-600 text-white rounded-lg font-medium hover:bg-indigo-700 transition-colors">
+                                ${t("product.addToCart")}
+                            </button>
+                        </div>
+                    </div>
+                `,
+                  )
+                  .join("")}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Render suggestions under the product view (modal or product page)
+ * @param {Object} product - Product being viewed
+ */
+async function renderProductRecommendations(product) {
+  const container = document.getElementById("product-recommendations");
+  if (!container) return;
+
+  const products = await getAllProducts();
+  const completeTheLook = getCompleteTheLook([product], products);
+  const similar = getSimilarProducts(
+    product,
+    products,
+    completeTheLook.map((p) => p.id),
+  );
+
+  container.innerHTML = `
+        ${createRecommendationListHTML(t("recommendations.completeTheLook"), completeTheLook)}
+        ${createRecommendationListHTML(t("recommendations.similar"), similar)}
+    `;
+  container.classList.toggle(
+    "hidden",
+    completeTheLook.length === 0 && similar.length === 0,
+  );
+}
+
+/**
+ * Render suggestions for the current cart on the cart page
+ */
+async function renderCartRecommendations() {
+  const container = document.getElementById("cart-recommendations");
+  if (!container) return;
+
+  const cartIds = [...new Set(getCart().map((item) => item.id))];
+  if (cartIds.length === 0) {
+    container.classList.add("hidden");
+    return;
+  }
+
+  const products = await getAllProducts();
+  const cartProducts = products.filter((product) => cartIds.includes(product.id));
+  const suggestions = getCompleteTheLook(cartProducts, products);
+
+  // Top up with items similar to the most recently added product
+  if (suggestions.length < MAX_RECOMMENDATIONS && cartProducts.length) {
+    const lastAdded = cartProducts.find(
+      (product) => product.id === cartIds[cartIds.length - 1],
+    );
+    getSimilarProducts(lastAdded, products, [
+      ...cartIds,
+      ...suggestions.map((p) => p.id),
+    ]).forEach((product) => {
+      if (suggestions.length < MAX_RECOMMENDATIONS) suggestions.push(product);
+    });
+  }
+
+  container.innerHTML = createRecommendationListHTML(
+    t("recommendations.completeTheLook"),
+    suggestions,
+  );
+  container.classList.toggle("hidden", suggestions.length === 0);
+}
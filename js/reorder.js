@@ -0,0 +1,228 @@
+/**
+ * Reorder - Add items from a past order to the cart again
+ * Each line is looked up in the current catalog and added through
+ * addToCart() at today's price, with the same size and color. Lines that
+ * are no longer sold, whose size/color was dropped or that are out of
+ * stock are skipped and reported instead.
+ */
+
+/**
+ * Check whether an order line can be bought again
+ * @param {Object} item - Order line item ({ id, name, size, color, quantity })
+ * @returns {Promise<Object>} { item, product, quantity, problem } - quantity is what can be added now
+ */
+async function getReorderLine(item) {
+  const product = await getProductById(item.id);
+  const variant = formatOrderItemVariant(item);
+  const name = getItemName(item);
+  const label = variant ? `${name} (${variant})` : name;
+
+  if (!product) {
+    return {
+      item,
+      product: null,
+      quantity: 0,
+      problem: t("reorder.noLongerSold", { name: label }),
+    };
+  }
+
+  const sizes = product.sizes || [];
+  const colors = product.colors || [];
+  const variantGone =
+    (item.size && !sizes.includes(item.size)) ||
+    (item.color && !colors.includes(item.color)) ||
+    (!item.size && sizes.length > 0) ||
+    (!item.color && colors.length > 0);
+
+  if (variantGone) {
+    return {
+      item,
+      product,
+      quantity: 0,
+      problem: t("reorder.variantGone", { name: label }),
+    };
+  }
+
+  const available = getAvailableToAdd(product, item.size, item.color);
+  const quantity = Math.min(item.quantity, available);
+
+  if (quantity === 0) {
+    const problem = t(
+      getVariantStock(product, item.size, item.color) > MAX_QUANTITY_PER_ITEM
+        ? "reorder.atMaximum"
+        : "reorder.soldOut",
+      { name: label },
+    );
+    return { item, product, quantity, problem };
+  }
+
+  return {
+    item,
+    product,
+    quantity,
+    problem:
+      quantity < item.quantity
+        ? t("reorder.partial", {
+            count: quantity,
+            total: item.quantity,
+            name: label,
+          })
+        : "",
+  };
+}
+
+/**
+ * Add lines of one of the logged-in user's orders to the cart
+ * @param {string} orderId - Order ID
+ * @param {Array<number>} lines - Indexes in order.items (defaults to every line)
+ * @returns {Promise<Object>} { success, error, added: [{ name, variant, quantity, price }], problems: [string] }
+ */
+async function reorderItems(orderId, lines = null) {
+  const order = getUserOrderById(orderId);
+  if (!order) {
+    return {
+      success: false,
+      error: t("orders.notFound"),
+      added: [],
+      problems: [],
+    };
+  }
+
+  const items = (lines || order.items.map((_, index) => index))
+    .map((line) => order.items[line])
+    .filter(Boolean);
+  if (items.length === 0) {
+    return {
+      success: false,
+      error: t("reorder.selectItems"),
+      added: [],
+      problems: [],
+    };
+  }
+
+  const added = [];
+  const problems = [];
+
+  for (const item of items) {
+    const line = await getReorderLine(item);
+    if (line.problem) problems.push(line.problem);
+
+    if (
+      line.quantity > 0 &&
+      addToCart(line.product, line.quantity, item.size, item.color)
+    ) {
+      added.push({
+        name: line.product.name,
+        variant: formatOrderItemVariant(item),
+        quantity: line.quantity,
+        price: line.product.price,
+      });
+    }
+  }
+
+  return {
+    success: added.length > 0,
+    error: added.length > 0 ? "" : t("reorder.noneAvailable"),
+    added,
+    problems,
+  };
+}
+
+/**
+ * Get the order lines ticked on the order detail page
+ * @returns {Array<number>} Line indexes
+ */
+function getSelectedReorderLines() {
+  return Array.from(
+    document.querySelectorAll(".reorder-line:checked"),
+    (checkbox) => Number(checkbox.value),
+  );
+}
+
+/**
+ * Create the result of a reorder: what was added and what wasn't
+ * @param {Object} result - Result from reorderItems()
+ * @returns {string} HTML string
+ */
+function createReorderReportHTML(result) {
+  return `
+        <div class="mt-6 p-4 rounded-lg bg-zinc-50 dark:bg-zinc-800/50 text-sm space-y-3">
+            ${
+              result.added.length > 0
+                ? `
+            <div>
+                <p class="font-semibold text-green-600 dark:text-green-400 mb-1">${t("reorder.added")}</p>
+                <ul class="space-y-1 text-zinc-600 dark:text-zinc-400">
+                    ${result.added
+                      .map(
+                        (item) => `
+                    <li class="flex justify-between gap-4">
+                        <span>${item.quantity} × ${escapeHTML(item.name)}${item.variant ? ` (${escapeHTML(item.variant)})` : ""}</span>
+                        <span>${formatPrice(item.price * item.quantity)}</span>
+                    </li>
+                    `,
+                      )
+                      .join("")}
+                </ul>
+            </div>
+            `
+                : ""
+            }
+            ${
+              result.problems.length > 0
+                ? `
+            <div>
+                <p class="font-semibold text-red-600 dark:text-red-400 mb-1">${t("reorder.unavailable")}</p>
+                <ul class="list-disc ps-5 space-y-1 text-zinc-600 dark:text-zinc-400">
+                    ${result.problems.map((problem) => `<li>${escapeHTML(problem)}</li>`).join("")}
+                </ul>
+            </div>
+            `
+                : ""
+            }
+            ${
+              result.added.length > 0
+                ? `<a href="cart.html" class="inline-block font-medium text-indigo-600 dark:text-indigo-400 hover:underline">${t("reorder.goToCart")} <span class="inline-block rtl:-scale-x-100">&rarr;</span></a>`
+                : ""
+            }
+        </div>
+    `;
+}
+
+/**
+ * Buy items from a past order again and report the outcome
+ * On the order detail page only the ticked lines are added and the
+ * outcome is listed under the items; elsewhere the whole order is added
+ * @param {string} orderId - Order ID
+ * @param {boolean} selectedOnly - Only add the lines ticked on the page
+ */
+async function handleReorder(orderId, selectedOnly = false) {
+  const result = await reorderItems(
+    orderId,
+    selectedOnly ? getSelectedReorderLines() : null,
+  );
+
+  const report = document.getElementById("reorder-report");
+  if (report && (result.added.length > 0 || result.problems.length > 0)) {
+    report.innerHTML = createReorderReportHTML(result);
+  }
+
+  if (!result.success) {
+    showNotification(result.problems[0] || result.error, "error");
+    return;
+  }
+
+  const count = result.added.reduce((sum, item) => sum + item.quantity, 0);
+  const message = t("reorder.addedCount", { count });
+  if (result.problems.length > 0) {
+    showNotification(
+      t("reorder.addedWithProblems", {
+        message,
+        problems: result.problems.join("; "),
+      }),
+      "error",
+    );
+  } else {
+    showNotification(message);
+  }
+}
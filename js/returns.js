@@ -0,0 +1,531 @@
+/**
+ * Returns - Return and exchange requests for delivered orders
+ * Requests are saved on the order (`order.returns`) and cover chosen line
+ * items. A refund pays back the items' share of what was charged; an
+ * exchange reserves a different size/color of the same product. Requests
+ * move along RETURN_SCHEDULE with the fulfilment clock (see order-status.js).
+ */
+
+// Days after delivery that items can be sent back
+const RETURN_WINDOW_DAYS = 30;
+
+// Reasons a customer can pick, with their label messages
+const RETURN_REASONS = {
+  "doesnt-fit": "returns.reasonDoesntFit",
+  "not-as-described": "returns.reasonNotAsDescribed",
+  damaged: "returns.reasonDamaged",
+  "wrong-item": "returns.reasonWrongItem",
+  "changed-mind": "returns.reasonChangedMind",
+};
+
+// Request statuses with their label message and badge colors
+const RETURN_STATUSES = {
+  requested: {
+    label: "returns.statusRequested",
+    badge: "bg-amber-100 text-amber-700 dark:bg-amber-900/40 dark:text-amber-300",
+  },
+  approved: {
+    label: "returns.statusApproved",
+    badge: "bg-indigo-100 text-indigo-700 dark:bg-indigo-900/40 dark:text-indigo-300",
+  },
+  received: {
+    label: "returns.statusReceived",
+    badge: "bg-blue-100 text-blue-700 dark:bg-blue-900/40 dark:text-blue-300",
+  },
+  refunded: {
+    label: "returns.statusRefunded",
+    badge: "bg-green-100 text-green-700 dark:bg-green-900/40 dark:text-green-300",
+  },
+  exchanged: {
+    label: "returns.statusExchanged",
+    badge: "bg-green-100 text-green-700 dark:bg-green-900/40 dark:text-green-300",
+  },
+};
+
+// Simulated clock for requests: minutes until the next status
+const RETURN_SCHEDULE = {
+  requested: { next: () => "approved", after: 5 },
+  approved: { next: () => "received", after: 30 },
+  received: {
+    next: (request) => (request.type === "exchange" ? "exchanged" : "refunded"),
+    after: 15,
+  },
+};
+
+/**
+ * Get the last day items of an order can be returned
+ * @param {Object} order - Order object
+ * @returns {Date|null} End of the return window, or null if not delivered
+ */
+function getReturnWindowEnd(order) {
+  const delivered = getOrderStatusHistory(order).find(
+    (entry) => entry.status === "delivered",
+  );
+  if (!delivered) return null;
+
+  const end = new Date(delivered.date);
+  end.setDate(end.getDate() + RETURN_WINDOW_DAYS);
+  return end;
+}
+
+/**
+ * Get how many units of an order line can still be returned
+ * @param {Object} order - Order object
+ * @param {number} line - Index of the line in order.items
+ * @returns {number} Units not yet in a return request
+ */
+function getReturnableQuantity(order, line) {
+  const requested = (order.returns || [])
+    .flatMap((request) => request.items)
+    .filter((item) => item.line === line)
+    .reduce((total, item) => total + item.quantity, 0);
+
+  return order.items[line].quantity - requested;
+}
+
+/**
+ * Check whether a return or exchange can be opened for an order
+ * @param {Object} order - Order object
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+function canReturnOrder(order, now = new Date()) {
+  const windowEnd = getReturnWindowEnd(order);
+
+  return (
+    order.status === "delivered" &&
+    windowEnd !== null &&
+    now <= windowEnd &&
+    order.items.some((item, line) => getReturnableQuantity(order, line) > 0)
+  );
+}
+
+/**
+ * Work out the refund for returned lines
+ * Each line gets its share of the discounted subtotal plus added tax;
+ * shipping is not refunded
+ * @param {Object} order - Order object
+ * @param {Array} items - Returned lines ({ line, quantity })
+ * @returns {Object} { amount, displayAmount } in USD and the order currency
+ */
+function calculateRefund(order, items) {
+  const amounts = getOrderAmounts(order);
+  const { currency, rate } = amounts;
+  const inclusive = order.taxBreakdown?.inclusive;
+
+  const baseCharged =
+    order.subtotal - (order.discount || 0) + (inclusive ? 0 : order.tax || 0);
+  const displayCharged =
+    amounts.subtotal - amounts.discount + (inclusive ? 0 : amounts.tax);
+
+  let amount = 0;
+  let displayAmount = 0;
+  items.forEach(({ line, quantity }) => {
+    const item = order.items[line];
+    amount += ((item.price * quantity) / order.subtotal) * baseCharged;
+    displayAmount +=
+      ((convertPrice(item.price, currency, rate) * quantity) /
+        amounts.subtotal) *
+      displayCharged;
+  });
+
+  return {
+    amount: Number(amount.toFixed(2)),
+    displayAmount: Number(displayAmount.toFixed(CURRENCIES[currency].decimals)),
+  };
+}
+
+/**
+ * Add up the refunds paid out on an order
+ * @param {Object} order - Order object
+ * @returns {Object} { amount, displayAmount }
+ */
+function getOrderRefundTotal(order) {
+  return (order.returns || [])
+    .filter((request) => request.status === "refunded")
+    .reduce(
+      (total, request) => ({
+        amount: total.amount + request.refund.amount,
+        displayAmount: total.displayAmount + request.refund.displayAmount,
+      }),
+      { amount: 0, displayAmount: 0 },
+    );
+}
+
+/**
+ * Generate a return request ID
+ * @returns {string} Return ID
+ */
+function generateReturnId() {
+  return "RET-" + Date.now().toString(36).toUpperCase();
+}
+
+/**
+ * Open a return or exchange request on one of the logged-in user's orders
+ * @param {string} orderId - Order ID
+ * @param {Object} request - { type: "refund"|"exchange", reason, items: [ { line, quantity, size, color } ] }
+ * @returns {Promise<Object>} { success, error }
+ */
+async function createReturnRequest(orderId, request) {
+  await syncOrderStatuses();
+
+  const user = getCurrentUser();
+  const orders = getOrders();
+  const order = orders.find(
+    (entry) => entry.id === orderId && isUserOrder(entry, user),
+  );
+
+  if (!order) {
+    return { success: false, error: t("orders.notFound") };
+  }
+
+  if (!canReturnOrder(order)) {
+    return { success: false, error: t("returns.errorClosed") };
+  }
+
+  if (!RETURN_REASONS[request.reason]) {
+    return { success: false, error: t("returns.errorReason") };
+  }
+
+  if (request.items.length === 0) {
+    return { success: false, error: t("returns.errorItems") };
+  }
+
+  for (const item of request.items) {
+    const line = order.items[item.line];
+    if (
+      !line ||
+      item.quantity < 1 ||
+      item.quantity > getReturnableQuantity(order, item.line)
+    ) {
+      return { success: false, error: t("returns.errorQuantity") };
+    }
+  }
+
+  // Exchanges need the new size/color in stock; it is reserved right away
+  let replacements = [];
+  if (request.type === "exchange") {
+    replacements = request.items.map((item) => ({
+      ...order.items[item.line],
+      size: item.size || null,
+      color: item.color || null,
+      quantity: item.quantity,
+    }));
+
+    for (const [index, replacement] of replacements.entries()) {
+      const original = order.items[request.items[index].line];
+      if (
+        replacement.size === (original.size || null) &&
+        replacement.color === (original.color || null)
+      ) {
+        return {
+          success: false,
+          error: t("returns.errorSameVariant", { name: getItemName(original) }),
+        };
+      }
+    }
+
+    const stockProblems = await validateStock(replacements);
+    if (stockProblems.length > 0) {
+      return { success: false, error: stockProblems.join(". ") };
+    }
+  }
+
+  const date = new Date().toISOString();
+  const items = request.items.map(({ line, quantity }) => ({ line, quantity }));
+
+  order.returns = order.returns || [];
+  order.returns.push({
+    id: generateReturnId(),
+    date,
+    type: request.type === "exchange" ? "exchange" : "refund",
+    reason: request.reason,
+    items,
+    replacements,
+    refund:
+      request.type === "exchange"
+        ? { amount: 0, displayAmount: 0 }
+        : calculateRefund(order, items),
+    status: "requested",
+    statusHistory: [{ status: "requested", date }],
+  });
+  saveOrders(orders);
+
+  if (replacements.length > 0) {
+    await recordSale(replacements);
+  }
+
+  return { success: true };
+}
+
+/**
+ * Move an order's return requests along RETURN_SCHEDULE (in place)
+ * Lines of requests that reach "received" are added to `received` so the
+ * caller can put them back into stock; once every item has been refunded
+ * the order itself becomes refunded
+ * @param {Object} order - Order object
+ * @param {Date} now - Current time
+ * @param {Array} received - Collects the returned line items
+ * @returns {boolean} Whether anything changed
+ */
+function advanceReturnStatuses(order, now = new Date(), received = []) {
+  let changed = false;
+
+  (order.returns || []).forEach((request) => {
+    while (RETURN_SCHEDULE[request.status]) {
+      const { next, after } = RETURN_SCHEDULE[request.status];
+      const last = request.statusHistory[request.statusHistory.length - 1];
+      const due = new Date(new Date(last.date).getTime() + after * 60 * 1000);
+      if (due > now) break;
+
+      request.status = next(request);
+      request.statusHistory.push({
+        status: request.status,
+        date: due.toISOString(),
+      });
+      changed = true;
+
+      if (request.status === "received") {
+        request.items.forEach(({ line, quantity }) =>
+          received.push({ ...order.items[line], quantity }),
+        );
+      }
+    }
+  });
+
+  const allRefunded = order.items.every((item, line) =>
+    (order.returns || [])
+      .filter((request) => request.status === "refunded")
+      .flatMap((request) => request.items)
+      .filter((returned) => returned.line === line)
+      .reduce((total, returned) => total + returned.quantity, 0) ===
+      item.quantity,
+  );
+  if (allRefunded && transitionOrder(order, "refunded", now, "All items returned")) {
+    changed = true;
+  }
+
+  return changed;
+}
+
+/**
+ * Create the returns section of the order detail page
+ * Lists the order's requests and, while allowed, a button to open a new one
+ * @param {Object} order - Order object
+ * @returns {string} HTML string
+ */
+function createReturnsSectionHTML(order) {
+  const windowEnd = getReturnWindowEnd(order);
+  const returns = order.returns || [];
+  if (!windowEnd && returns.length === 0) return "";
+
+  const { currency } = getOrderAmounts(order);
+  const dateOptions = { year: "numeric", month: "short", day: "numeric" };
+
+  const requestsHTML = returns
+    .map(
+      (request) => `
+            <div class="p-4 rounded-lg border border-zinc-200 dark:border-zinc-800">
+                <div class="flex flex-wrap items-center justify-between gap-2 mb-2">
+                    <p class="font-medium text-zinc-900 dark:text-white">
+                        ${t(request.type === "exchange" ? "returns.exchangeId" : "returns.returnId", { id: request.id })}
+                        <span class="text-sm font-normal text-zinc-500">· ${formatDate(request.date, dateOptions)}</span>
+                    </p>
+                    <span class="px-3 py-1 text-xs font-semibold rounded-full ${RETURN_STATUSES[request.status].badge}">
+                        ${t(RETURN_STATUSES[request.status].label)}
+                    </span>
+                </div>
+                <ul class="text-sm text-zinc-600 dark:text-zinc-400 space-y-1">
+                    ${request.items
+                      .map((returned, index) => {
+                        const item = order.items[returned.line];
+                        const replacement = request.replacements[index];
+                        return `<li>${returned.quantity} × ${getItemName(item)} (${formatOrderItemVariant(item)})${
+                          replacement
+                            ? ` <span class="inline-block rtl:-scale-x-100">→</span> ${formatOrderItemVariant(replacement)}`
+                            : ""
+                        }</li>`;
+                      })
+                      .join("")}
+                </ul>
+                <p class="text-sm text-zinc-500 mt-2">${t("returns.reason", { reason: t(RETURN_REASONS[request.reason]) })}</p>
+                ${
+                  request.type === "refund"
+                    ? `<p class="text-sm text-zinc-500">${t(
+                        request.status === "refunded"
+                          ? "returns.refundPaid"
+                          : "returns.refund",
+                        {
+                          amount: formatCurrency(
+                            request.refund.displayAmount,
+                            currency,
+                          ),
+                        },
+                      )}</p>`
+                    : ""
+                }
+            </div>
+        `,
+    )
+    .join("");
+
+  let windowHTML = "";
+  if (canReturnOrder(order)) {
+    windowHTML = `
+            <div class="flex flex-wrap items-center justify-between gap-4">
+                <p class="text-sm text-zinc-600 dark:text-zinc-400">${t("returns.windowOpen", { date: formatDate(windowEnd, dateOptions) })}</p>
+                <button onclick="renderReturnForm('${order.id}')" class="px-4 py-2 text-sm font-medium bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors">
+                    ${t("returns.start")}
+                </button>
+            </div>
+        `;
+  } else if (windowEnd && new Date() > windowEnd) {
+    windowHTML = `<p class="text-sm text-zinc-500">${t("returns.windowClosed", { date: formatDate(windowEnd, dateOptions) })}</p>`;
+  }
+
+  return `
+        <div class="p-6 mt-6 bg-white dark:bg-zinc-900 rounded-lg shadow-sm border border-zinc-200 dark:border-zinc-800">
+            <h3 class="text-lg font-semibold text-zinc-900 dark:text-white mb-4">${t("returns.title")}</h3>
+            <div class="space-y-4">
+                ${windowHTML}
+                <div id="return-form"></div>
+                ${requestsHTML}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Show the return/exchange form for an order
+ * @param {string} orderId - Order ID
+ */
+async function renderReturnForm(orderId) {
+  const container = document.getElementById("return-form");
+  const order = getUserOrderById(orderId);
+  if (!container || !order) return;
+
+  const selectClass =
+    "px-3 py-2 text-sm bg-white dark:bg-zinc-800 border border-zinc-300 dark:border-zinc-700 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 text-zinc-900 dark:text-white";
+
+  const createOptions = (values, selected, group = null) =>
+    values
+      .map(
+        (value) =>
+          `<option value="${value}" ${value === selected ? "selected" : ""}>${group ? translateValue(group, value) : value}</option>`,
+      )
+      .join("");
+
+  const lines = await Promise.all(
+    order.items.map(async (item, line) => {
+      const returnable = getReturnableQuantity(order, line);
+      if (returnable === 0) return "";
+
+      const product = await getProductById(item.id);
+      const quantities = Array.from({ length: returnable }, (_, i) => i + 1);
+
+      return `
+            <div class="flex flex-wrap items-center gap-3 p-3 rounded-lg bg-zinc-50 dark:bg-zinc-800/50">
+                <label class="flex items-center gap-2 flex-1 min-w-[12rem] text-zinc-900 dark:text-white">
+                    <input type="checkbox" name="return-line" value="${line}" class="w-4 h-4 text-indigo-600 rounded focus:ring-indigo-500">
+                    ${getItemName(item)}
+                    <span class="text-sm text-zinc-500">${formatOrderItemVariant(item)}</span>
+                </label>
+                <select name="quantity-${line}" aria-label="${t("product.quantity")}" class="${selectClass}">${createOptions(quantities, 1)}</select>
+                ${
+                  product?.sizes?.length
+                    ? `<select name="size-${line}" aria-label="${t("returns.newSize")}" class="exchange-only hidden ${selectClass}">${createOptions(product.sizes, item.size)}</select>`
+                    : ""
+                }
+                ${
+                  product?.colors?.length
+                    ? `<select name="color-${line}" aria-label="${t("returns.newColor")}" class="exchange-only hidden ${selectClass}">${createOptions(product.colors, item.color, "color")}</select>`
+                    : ""
+                }
+            </div>
+        `;
+    }),
+  );
+
+  container.innerHTML = `
+        <form id="return-request-form" class="space-y-4 p-4 rounded-lg border border-indigo-200 dark:border-indigo-900">
+            <div class="space-y-2">${lines.join("")}</div>
+            <div class="flex flex-wrap gap-4">
+                <label class="flex items-center gap-2 text-zinc-900 dark:text-white">
+                    <input type="radio" name="return-type" value="refund" checked class="text-indigo-600 focus:ring-indigo-500">
+                    ${t("returns.typeRefund")}
+                </label>
+                <label class="flex items-center gap-2 text-zinc-900 dark:text-white">
+                    <input type="radio" name="return-type" value="exchange" class="text-indigo-600 focus:ring-indigo-500">
+                    ${t("returns.typeExchange")}
+                </label>
+            </div>
+            <select name="return-reason" aria-label="${t("returns.reasonLabel")}" class="w-full ${selectClass}">
+                <option value="">${t("returns.chooseReason")}</option>
+                ${Object.entries(RETURN_REASONS)
+                  .map(([value, label]) => `<option value="${value}">${t(label)}</option>`)
+                  .join("")}
+            </select>
+            <p id="return-error" class="hidden text-sm text-red-500"></p>
+            <div class="flex gap-3">
+                <button type="submit" class="px-4 py-2 text-sm font-medium bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors">
+                    ${t("returns.submit")}
+                </button>
+                <button type="button" onclick="document.getElementById('return-form').innerHTML = ''" class="px-4 py-2 text-sm font-medium text-zinc-600 dark:text-zinc-400 hover:underline">
+                    ${t("common.cancel")}
+                </button>
+            </div>
+        </form>
+    `;
+
+  const form = document.getElementById("return-request-form");
+  form.querySelectorAll('input[name="return-type"]').forEach((radio) => {
+    radio.addEventListener("change", () => {
+      const isExchange = form.elements["return-type"].value === "exchange";
+      form
+        .querySelectorAll(".exchange-only")
+        .forEach((select) => select.classList.toggle("hidden", !isExchange));
+    });
+  });
+  form.addEventListener("submit", (e) => handleReturnSubmit(e, orderId));
+}
+
+/**
+ * Handle return/exchange form submission
+ * @param {Event} e - Form submit event
+ * @param {string} orderId - Order ID
+ */
+async function handleReturnSubmit(e, orderId) {
+  e.preventDefault();
+
+  const formData = new FormData(e.target);
+  const request = {
+    type: formData.get("return-type"),
+    reason: formData.get("return-reason"),
+    items: formData.getAll("return-line").map((value) => {
+      const line = Number(value);
+      return {
+        line,
+        quantity: Number(formData.get(`quantity-${line}`)),
+        size: formData.get(`size-${line}`),
+        color: formData.get(`color-${line}`),
+      };
+    }),
+  };
+
+  const result = await createReturnRequest(orderId, request);
+  if (!result.success) {
+    const errorElement = document.getElementById("return-error");
+    errorElement.textContent = result.error;
+    errorElement.classList.remove("hidden");
+    return;
+  }
+
+  showNotification(
+    t(
+      request.type === "exchange"
+        ? "returns.exchangeSubmitted"
+        : "returns.returnSubmitted",
+    ),
+  );
+  renderOrderDetailPage();
+}
@@ -0,0 +1,380 @@
+/**
+ * Reviews Manager - Handles product ratings and reviews
+ * Uses localStorage for review data; reviewers must be logged in
+ */
+
+// Storage key
+const REVIEWS_KEY = "fashion-store-reviews";
+
+// Review list state on the product page
+let reviewSort = "newest";
+let reviewRatingFilter = 0;
+
+/**
+ * Get all reviews from localStorage
+ * @returns {Array} Array of review objects
+ */
+function getReviews() {
+  const reviews = localStorage.getItem(REVIEWS_KEY);
+  return reviews ? JSON.parse(reviews) : [];
+}
+
+/**
+ * Save reviews to localStorage
+ * @param {Array} reviews - Array of review objects
+ */
+function saveReviews(reviews) {
+  localStorage.setItem(REVIEWS_KEY, JSON.stringify(reviews));
+}
+
+/**
+ * Get reviews for a product
+ * @param {number} productId - Product ID
+ * @returns {Array} Array of review objects
+ */
+function getProductReviews(productId) {
+  return getReviews().filter((review) => review.productId === productId);
+}
+
+/**
+ * Get rating summary for a product
+ * @param {number} productId - Product ID
+ * @returns {Object} { average, count, distribution: { 1..5: count } }
+ */
+function getReviewSummary(productId) {
+  const reviews = getProductReviews(productId);
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+
+  reviews.forEach((review) => distribution[review.rating]++);
+
+  const total = reviews.reduce((sum, review) => sum + review.rating, 0);
+  return {
+    average: reviews.length ? total / reviews.length : 0,
+    count: reviews.length,
+    distribution,
+  };
+}
+
+/**
+ * Check if a user has ordered a product
+ * Cancelled and refunded orders don't count as a purchase
+ * @param {Object} user - User object from getCurrentUser()
+ * @param {number} productId - Product ID
+ * @returns {boolean}
+ */
+function hasPurchased(user, productId) {
+  return getOrders().some(
+    (order) =>
+      isUserOrder(order, user) &&
+      !["cancelled", "refunded"].includes(order.status) &&
+      order.items.some((item) => item.id === productId),
+  );
+}
+
+/**
+ * Add or update the current user's review of a product
+ * @param {number} productId - Product ID
+ * @param {number} rating - Star rating (1-5)
+ * @param {string} title - Review title
+ * @param {string} body - Review text
+ * @returns {boolean} Success status
+ */
+function addReview(productId, rating, title, body) {
+  const user = getCurrentUser();
+  if (!user) return false;
+
+  const reviews = getReviews().filter(
+    (review) => !(review.productId === productId && review.userId === user.id),
+  );
+
+  reviews.push({
+    id: Date.now().toString(),
+    productId,
+    userId: user.id,
+    userName: user.name,
+    rating,
+    title,
+    body,
+    verified: hasPurchased(user, productId),
+    date: new Date().toISOString(),
+  });
+
+  saveReviews(reviews);
+  return true;
+}
+
+/**
+ * Create star rating HTML
+ * @param {number} rating - Rating (0-5, may be fractional)
+ * @param {string} sizeClass - Tailwind size classes for each star
+ * @returns {string} HTML string
+ */
+function createStarsHTML(rating, sizeClass = "w-4 h-4") {
+  const rounded = Math.round(rating * 2) / 2;
+
+  return `
+        <span class="inline-flex items-center" aria-label="${t("reviews.outOf", { rating: rating.toFixed(1) })}">
+            ${[1, 2, 3, 4, 5]
+              .map((star) => {
+                // Ids repeat when several ratings are shown, so each id
+                // always describes the same gradient
+                const [fill, offset] =
+                  rounded >= star
+                    ? ["full", "100%"]
+                    : rounded >= star - 0.5
+                      ? ["half", "50%"]
+                      : ["empty", "0%"];
+                return `
+                    <svg class="${sizeClass}" viewBox="0 0 20 20" aria-hidden="true">
+                        <defs>
+                            <linearGradient id="star-fill-${star}-${fill}">
+                                <stop offset="${offset}" stop-color="#f59e0b"/>
+                                <stop offset="${offset}" stop-color="#d4d4d8"/>
+                            </linearGradient>
+                        </defs>
+                        <path fill="url(#star-fill-${star}-${fill})" d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z"/>
+                    </svg>
+                `;
+              })
+              .join("")}
+        </span>
+    `;
+}
+
+/**
+ * Create the compact rating line shown on product cards
+ * @param {number} productId - Product ID
+ * @returns {string} HTML string (empty when there are no reviews)
+ */
+function createRatingSummaryHTML(productId) {
+  const { average, count } = getReviewSummary(productId);
+  if (count === 0) return "";
+
+  return `
+        <div class="flex items-center gap-1 mb-2 text-xs text-zinc-500 dark:text-zinc-400">
+            ${createStarsHTML(average)}
+            <span>${average.toFixed(1)} (${count})</span>
+        </div>
+    `;
+}
+
+/**
+ * Render the reviews section on the product page
+ * @param {number} productId - Product ID
+ */
+function renderReviewsSection(productId) {
+  const container = document.getElementById("product-reviews");
+  if (!container) return;
+
+  const { average, count, distribution } = getReviewSummary(productId);
+  const user = getCurrentUser();
+  const ownReview = user
+    ? getProductReviews(productId).find((review) => review.userId === user.id)
+    : null;
+
+  const distributionBars = [5, 4, 3, 2, 1]
+    .map((stars) => {
+      const percent = count ? (distribution[stars] / count) * 100 : 0;
+      return `
+            <button type="button" onclick="setReviewRatingFilter(${productId}, ${stars})"
+                class="w-full flex items-center gap-2 text-sm text-zinc-600 dark:text-zinc-400 hover:text-indigo-600 dark:hover:text-indigo-400 ${reviewRatingFilter === stars ? "font-semibold text-indigo-600 dark:text-indigo-400" : ""}">
+                <span class="w-12 text-start">${t("reviews.stars", { count: stars })}</span>
+                <span class="flex-1 h-2 rounded-full bg-zinc-200 dark:bg-zinc-800 overflow-hidden">
+                    <span class="block h-full bg-amber-500" style="width: ${percent}%"></span>
+                </span>
+                <span class="w-8 text-end">${distribution[stars]}</span>
+            </button>
+        `;
+    })
+    .join("");
+
+  const form = user
+    ? `
+        <form id="review-form" class="space-y-4" onsubmit="handleReviewSubmit(event, ${productId})">
+            <h3 class="font-semibold text-zinc-900 dark:text-white">${t(ownReview ? "reviews.updateTitle" : "reviews.writeTitle")}</h3>
+            <div class="flex gap-1" id="review-rating-input">
+                ${[1, 2, 3, 4, 5]
+                  .map(
+                    (star) => `
+                    <button type="button" data-rating="${star}" aria-label="${t("reviews.stars", { count: star })}"
+                        class="review-star text-3xl leading-none ${ownReview && ownReview.rating >= star ? "text-amber-500" : "text-zinc-300 dark:text-zinc-600"} hover:text-amber-400">★</button>
+                `,
+                  )
+                  .join("")}
+            </div>
+            <input type="hidden" name="rating" value="${ownReview ? ownReview.rating : ""}">
+            <input type="text" name="title" maxlength="80" placeholder="${t("reviews.titlePlaceholder")}" value="${ownReview ? escapeHTML(ownReview.title) : ""}"
+                class="w-full px-4 py-3 bg-white dark:bg-zinc-800 border border-zinc-300 dark:border-zinc-700 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 text-zinc-900 dark:text-white">
+            <textarea name="body" rows="4" maxlength="1000" placeholder="${t("reviews.bodyPlaceholder")}"
+                class="w-full px-4 py-3 bg-white dark:bg-zinc-800 border border-zinc-300 dark:border-zinc-700 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 text-zinc-900 dark:text-white">${ownReview ? escapeHTML(ownReview.body) : ""}</textarea>
+            <p id="review-error" class="hidden text-sm text-red-500"></p>
+            <button type="submit" class="px-6 py-3 bg-indigo-600 text-white rounded-lg font-medium hover:bg-indigo-700 transition-colors">
+                ${t(ownReview ? "reviews.update" : "reviews.submit")}
+            </button>
+        </form>
+    `
+    : `
+        <div class="text-zinc-600 dark:text-zinc-400">
+            ${t("reviews.signIn", {
+              link: `<a href="login.html?redirect=${encodeURIComponent(window.location.href)}" class="text-indigo-600 dark:text-indigo-400 font-medium hover:underline">${t("auth.signInLink")}</a>`,
+            })}
+        </div>
+    `;
+
+  container.innerHTML = `
+        <h2 class="text-2xl font-bold text-zinc-900 dark:text-white mb-6">${t("reviews.title")}</h2>
+        <div class="grid md:grid-cols-3 gap-8">
+            <div class="space-y-6">
+                <div>
+                    <div class="flex items-center gap-3 mb-1">
+                        <span class="text-4xl font-bold text-zinc-900 dark:text-white">${count ? average.toFixed(1) : "–"}</span>
+                        ${createStarsHTML(average, "w-5 h-5")}
+                    </div>
+                    <p class="text-sm text-zinc-500 dark:text-zinc-400">${t("product.reviews", { count })}</p>
+                </div>
+                <div class="space-y-2">${distributionBars}</div>
+                ${form}
+            </div>
+            <div class="md:col-span-2">
+                <div class="flex flex-wrap items-center justify-between gap-3 mb-4">
+                    <select id="review-filter" onchange="setReviewRatingFilter(${productId}, parseInt(this.value))"
+                        class="px-3 py-2 text-sm bg-white dark:bg-zinc-800 border border-zinc-300 dark:border-zinc-700 rounded-lg text-zinc-900 dark:text-white">
+                        <option value="0">${t("reviews.allRatings")}</option>
+                        ${[5, 4, 3, 2, 1].map((stars) => `<option value="${stars}" ${reviewRatingFilter === stars ? "selected" : ""}>${t("reviews.starsOnly", { count: stars })}</option>`).join("")}
+                    </select>
+                    <select id="review-sort" onchange="setReviewSort(${productId}, this.value)"
+                        class="px-3 py-2 text-sm bg-white dark:bg-zinc-800 border border-zinc-300 dark:border-zinc-700 rounded-lg text-zinc-900 dark:text-white">
+                        <option value="newest" ${reviewSort === "newest" ? "selected" : ""}>${t("shop.sortNewest")}</option>
+                        <option value="highest" ${reviewSort === "highest" ? "selected" : ""}>${t("reviews.sortHighest")}</option>
+                        <option value="lowest" ${reviewSort === "lowest" ? "selected" : ""}>${t("reviews.sortLowest")}</option>
+                        <option value="verified" ${reviewSort === "verified" ? "selected" : ""}>${t("reviews.sortVerified")}</option>
+                    </select>
+                </div>
+                <div id="review-list" class="space-y-4">${createReviewListHTML(productId)}</div>
+            </div>
+        </div>
+    `;
+
+  setupReviewForm();
+}
+
+/**
+ * Create the sorted and filtered review list HTML
+ * @param {number} productId - Product ID
+ * @returns {string} HTML string
+ */
+function createReviewListHTML(productId) {
+  const sorters = {
+    newest: (a, b) => new Date(b.date) - new Date(a.date),
+    highest: (a, b) => b.rating - a.rating || new Date(b.date) - new Date(a.date),
+    lowest: (a, b) => a.rating - b.rating || new Date(b.date) - new Date(a.date),
+    verified: (a, b) =>
+      Number(b.verified) - Number(a.verified) || new Date(b.date) - new Date(a.date),
+  };
+
+  const reviews = getProductReviews(productId)
+    .filter((review) => !reviewRatingFilter || review.rating === reviewRatingFilter)
+    .sort(sorters[reviewSort]);
+
+  if (reviews.length === 0) {
+    return `<p class="text-zinc-500 dark:text-zinc-400 py-8 text-center">${
+      reviewRatingFilter ? t("reviews.noneWithRating") : t("reviews.none")
+    }</p>`;
+  }
+
+  return reviews
+    .map(
+      (review) => `
+        <article class="p-4 rounded-xl border border-zinc-200 dark:border-zinc-800">
+            <div class="flex flex-wrap items-center gap-2 mb-2">
+                ${createStarsHTML(review.rating)}
+                <h4 class="font-semibold text-zinc-900 dark:text-white">${escapeHTML(review.title)}</h4>
+            </div>
+            <p class="text-zinc-600 dark:text-zinc-400 mb-3 whitespace-pre-line">${escapeHTML(review.body)}</p>
+            <div class="flex flex-wrap items-center gap-3 text-xs text-zinc-500 dark:text-zinc-400">
+                <span>${escapeHTML(review.userName)}</span>
+                <span>${formatDate(review.date)}</span>
+                ${
+                  review.verified
+                    ? `<span class="px-2 py-0.5 rounded-full bg-green-100 dark:bg-green-900/40 text-green-700 dark:text-green-400 font-medium">${t("reviews.verified")}</span>`
+                    : ""
+                }
+            </div>
+        </article>
+    `,
+    )
+    .join("");
+}
+
+/**
+ * Change the review sort order
+ * @param {number} productId - Product ID
+ * @param {string} sort - "newest", "highest", "lowest" or "verified"
+ */
+function setReviewSort(productId, sort) {
+  reviewSort = sort;
+  const list = document.getElementById("review-list");
+  if (list) list.innerHTML = createReviewListHTML(productId);
+}
+
+/**
+ * Show only reviews with a given rating (clicking the active rating clears it)
+ * @param {number} productId - Product ID
+ * @param {number} rating - Star rating, or 0 for all
+ */
+function setReviewRatingFilter(productId, rating) {
+  reviewRatingFilter = reviewRatingFilter === rating ? 0 : rating;
+  renderReviewsSection(productId);
+}
+
+/**
+ * Setup star picker in the review form
+ */
+function setupReviewForm() {
+  const form = document.getElementById("review-form");
+  if (!form) return;
+
+  const stars = form.querySelectorAll(".review-star");
+  stars.forEach((star) => {
+    star.addEventListener("click", function () {
+      const rating = parseInt(this.dataset.rating);
+      form.elements.rating.value = rating;
+      stars.forEach((s) => {
+        const active = parseInt(s.dataset.rating) <= rating;
+        s.classList.toggle("text-amber-500", active);
+        s.classList.toggle("text-zinc-300", !active);
+        s.classList.toggle("dark:text-zinc-600", !active);
+      });
+    });
+  });
+}
+
+/**
+ * Handle review form submission
+ * @param {Event} e - Form submit event
+ * @param {number} productId - Product ID
+ */
+function handleReviewSubmit(e, productId) {
+  e.preventDefault();
+
+  const form = e.target;
+  const rating = parseInt(form.elements.rating.value);
+  const title = form.elements.title.value.trim();
+  const body = form.elements.body.value.trim();
+  const errorElement = document.getElementById("review-error");
+
+  if (!rating) {
+    showAuthError(errorElement, t("reviews.errorRating"));
+    return;
+  }
+
+  if (!title || !body) {
+    showAuthError(errorElement, t("reviews.errorText"));
+    return;
+  }
+
+  if (addReview(productId, rating, title, body)) {
+    showNotification(t("reviews.thanks"));
+    renderReviewsSection(productId);
+  }
+}
@@ -0,0 +1,641 @@
+/**
+ * Search Manager - Client-side product search index
+ * Tokenizes product fields, ranks matches by field weight and tolerates
+ * typos and plurals. Also provides highlighting and "did you mean" hints.
+ */
+
+// Relevance weight of each indexed field
+const SEARCH_FIELD_WEIGHTS = {
+  name: 10,
+  subcategory: 6,
+  colors: 4,
+  category: 3,
+  description: 1,
+};
+
+// Translated labels indexed next to the catalog values, so a search in
+// the selected language finds them too
+const SEARCH_FIELD_LABELS = {
+  category: (value) => t(`category.${value}`),
+  subcategory: (value) => translateValue("subcategory", value),
+  colors: (value) => translateValue("color", value),
+};
+
+// Match quality multipliers
+const EXACT_MATCH_SCORE = 1;
+const PREFIX_MATCH_SCORE = 0.8;
+const FUZZY_MATCH_SCORE = 0.6;
+
+// Index cache (rebuilt when the product list changes)
+let searchIndexCache = null;
+let searchIndexSource = null;
+
+/**
+ * Split text into lowercase word tokens
+ * Letters and digits of any script count as word characters. Hyphenated
+ * words also produce their joined form ("t-shirt" -> "tshirt")
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Tokens
+ */
+function tokenize(text) {
+  if (!text) return [];
+  const lower = String(text).toLowerCase();
+  const tokens = lower.match(/[\p{L}\p{N}]+/gu) || [];
+
+  const compounds = (
+    lower.match(/[\p{L}\p{N}]+(?:-[\p{L}\p{N}]+)+/gu) || []
+  ).map((word) => word.replace(/-/g, ""));
+
+  return [...tokens, ...compounds];
+}
+
+/**
+ * Reduce a token to a simple singular stem so plurals match
+ * ("dresses" -> "dress", "accessories" -> "accessory", "shirts" -> "shirt")
+ * @param {string} token - Lowercase token
+ * @returns {string} Stemmed token
+ */
+function stemToken(token) {
+  if (token.length > 4 && token.endsWith("ies")) {
+    return token.slice(0, -3) + "y";
+  }
+  if (token.length > 4 && /(s|x|z|ch|sh)es$/.test(token)) {
+    return token.slice(0, -2);
+  }
+  if (token.length > 3 && token.endsWith("s") && !token.endsWith("ss")) {
+    return token.slice(0, -1);
+  }
+  return token;
+}
+
+/**
+ * Levenshtein edit distance with an early exit once it exceeds a maximum
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} max - Largest distance worth computing
+ * @returns {number} Distance (max + 1 when it exceeds max)
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost,
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Number of typos tolerated for a query token of the given length
+ * @param {string} token - Query token
+ * @returns {number} Allowed edit distance
+ */
+function getTypoTolerance(token) {
+  if (token.length <= 3) return 0;
+  if (token.length <= 6) return 1;
+  return 2;
+}
+
+/**
+ * Get the text indexed for one field of a product
+ * Includes translated labels and, for translated products, the English text
+ * @param {Object} product - Product object
+ * @param {string} field - Field name from SEARCH_FIELD_WEIGHTS
+ * @returns {string} Text to tokenize
+ */
+function getSearchFieldText(product, field) {
+  const values = [].concat(product[field] || []);
+  const label = SEARCH_FIELD_LABELS[field];
+
+  return [
+    ...values,
+    ...(label ? values.map(label) : []),
+    product.original?.[field],
+  ]
+    .filter(Boolean)
+    .join(" ");
+}
+
+/**
+ * Build a search index from a list of products
+ * @param {Array} products - Array of product objects
+ * @returns {Object} Index with per-product field tokens, the vocabulary and its stems
+ */
+function buildSearchIndex(products) {
+  const vocabulary = new Set();
+  const stems = new Set();
+
+  const documents = products.map((product) => {
+    const fields = {};
+    Object.keys(SEARCH_FIELD_WEIGHTS).forEach((field) => {
+      const tokens = tokenize(getSearchFieldText(product, field));
+      fields[field] = tokens.map((token) => {
+        const stem = stemToken(token);
+        vocabulary.add(token);
+        stems.add(stem);
+        return { token, stem };
+      });
+    });
+    return { product, fields };
+  });
+
+  return { documents, vocabulary: [...vocabulary], stems };
+}
+
+/**
+ * Get the cached search index, rebuilding it if the products changed
+ * @param {Array} products - Array of product objects
+ * @returns {Object} Search index
+ */
+function getSearchIndex(products) {
+  if (!searchIndexCache || searchIndexSource !== products) {
+    searchIndexCache = buildSearchIndex(products);
+    searchIndexSource = products;
+  }
+  return searchIndexCache;
+}
+
+/**
+ * Score how well a query token matches a single indexed token
+ * @param {string} queryStem - Stemmed query token
+ * @param {Object} entry - Indexed token ({ token, stem })
+ * @param {boolean} allowFuzzy - Whether typo matches are accepted
+ * @returns {number} Match score between 0 and 1
+ */
+function scoreTokenMatch(queryStem, entry, allowFuzzy) {
+  if (entry.stem === queryStem || entry.token === queryStem) {
+    return EXACT_MATCH_SCORE;
+  }
+  if (queryStem.length >= 2 && entry.token.startsWith(queryStem)) {
+    return PREFIX_MATCH_SCORE;
+  }
+
+  const tolerance = allowFuzzy ? getTypoTolerance(queryStem) : 0;
+  if (tolerance === 0) return 0;
+
+  const distance = editDistance(queryStem, entry.stem, tolerance);
+  if (distance <= tolerance) {
+    return FUZZY_MATCH_SCORE - 0.15 * (distance - 1);
+  }
+  return 0;
+}
+
+/**
+ * Search products by relevance
+ * Every query word must match at least one field; results are ranked by
+ * field-weighted match quality, with a bonus when the name contains the
+ * whole phrase. Typo matching only kicks in for words the catalog doesn't
+ * contain, so "skirt" doesn't also match "shirt".
+ * @param {Array} products - Array of product objects
+ * @param {string} query - Search text
+ * @returns {Array<Object>} Ranked results ({ product, score, matches })
+ */
+function searchProducts(products, query) {
+  const queryTokens = [...new Set(tokenize(query))].map(stemToken);
+  if (queryTokens.length === 0) return [];
+
+  const { documents, stems } = getSearchIndex(products);
+  const phrase = query.trim().toLowerCase();
+  const results = [];
+
+  documents.forEach(({ product, fields }) => {
+    let score = 0;
+    const matches = new Set();
+
+    const allMatched = queryTokens.every((queryStem) => {
+      const allowFuzzy = !stems.has(queryStem);
+      let best = 0;
+
+      Object.entries(fields).forEach(([field, entries]) => {
+        entries.forEach((entry) => {
+          const match = scoreTokenMatch(queryStem, entry, allowFuzzy);
+          if (match > 0) {
+            matches.add(entry.token);
+            best = Math.max(best, match * SEARCH_FIELD_WEIGHTS[field]);
+          }
+        });
+      });
+
+      score += best;
+      return best > 0;
+    });
+
+    if (!allMatched) return;
+
+    const names = [product.name, product.original?.name].filter(Boolean);
+    if (names.some((name) => name.toLowerCase().includes(phrase))) {
+      score += SEARCH_FIELD_WEIGHTS.name;
+    }
+
+    results.push({ product, score, matches: [...matches] });
+  });
+
+  return results.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Suggest a corrected query when a search has no results
+ * Each unknown word is replaced with the closest indexed word
+ * @param {Array} products - Array of product objects
+ * @param {string} query - Search text
+ * @returns {string|null} Suggested query or null
+ */
+function getSearchSuggestion(products, query) {
+  const { vocabulary } = getSearchIndex(products);
+  const words = query.toLowerCase().match(/[\p{L}\p{N}-]+/gu) || [];
+  let changed = false;
+
+  const corrected = words.map((word) => {
+    if (vocabulary.includes(word) || vocabulary.includes(stemToken(word))) {
+      return word;
+    }
+
+    const maxDistance = Math.max(1, getTypoTolerance(word) + 1);
+    let bestWord = word;
+    let bestDistance = maxDistance + 1;
+
+    vocabulary.forEach((candidate) => {
+      const distance = editDistance(word, candidate, maxDistance);
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        bestWord = candidate;
+      }
+    });
+
+    if (bestWord !== word) changed = true;
+    return bestWord;
+  });
+
+  return changed ? corrected.join(" ") : null;
+}
+
+/**
+ * Escape text for safe insertion into HTML
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Wrap matched words in <mark> tags
+ * Word boundaries are Unicode-aware so Arabic words are highlighted too
+ * @param {string} text - Plain text
+ * @param {Array<string>} terms - Lowercase words to highlight
+ * @returns {string} HTML string
+ */
+function highlightMatches(text, terms) {
+  const escaped = escapeHTML(text);
+  if (!terms || terms.length === 0) return escaped;
+
+  const pattern = terms
+    .map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+    .sort((a, b) => b.length - a.length)
+    .join("|");
+
+  return escaped.replace(
+    new RegExp(`(?<![\\p{L}\\p{N}])(${pattern})(?![\\p{L}\\p{N}])`, "giu"),
+    '<mark class="bg-yellow-200 dark:bg-yellow-500/40 text-inherit rounded px-0.5">$1</mark>',
+  );
+}
+
+/* ==========================================================================
+   Header search with autocomplete
+   ========================================================================== */
+
+// Storage key and limits
+const RECENT_SEARCHES_KEY = "fashion-store-recent-searches";
+const MAX_RECENT_SEARCHES = 5;
+const MAX_PRODUCT_SUGGESTIONS = 5;
+const MAX_CATEGORY_SUGGESTIONS = 3;
+
+/**
+ * Get recent searches from localStorage
+ * @returns {Array<string>} Most recent first
+ */
+function getRecentSearches() {
+  const searches = localStorage.getItem(RECENT_SEARCHES_KEY);
+  return searches ? JSON.parse(searches) : [];
+}
+
+/**
+ * Add a query to the recent searches list (de-duplicated, bounded)
+ * @param {string} query - Search text
+ */
+function saveRecentSearch(query) {
+  const trimmed = query.trim();
+  if (!trimmed) return;
+
+  const searches = getRecentSearches().filter(
+    (search) => search.toLowerCase() !== trimmed.toLowerCase(),
+  );
+  searches.unshift(trimmed);
+  localStorage.setItem(
+    RECENT_SEARCHES_KEY,
+    JSON.stringify(searches.slice(0, MAX_RECENT_SEARCHES)),
+  );
+}
+
+/**
+ * Clear the recent searches list
+ */
+function clearRecentSearches() {
+  localStorage.removeItem(RECENT_SEARCHES_KEY);
+}
+
+/**
+ * Get the URL of the shop page with optional query parameters
+ * @param {Object} params - Query parameters
+ * @returns {string} Shop URL relative to the current page
+ */
+function getShopUrl(params = {}) {
+  const query = new URLSearchParams(params).toString();
+  return `${getBasePath()}pages/shop.html${query ? `?${query}` : ""}`;
+}
+
+/**
+ * Find categories and subcategories matching a query
+ * Matches the catalog value or its label in the selected language
+ * @param {Array} products - Array of product objects
+ * @param {string} query - Search text
+ * @returns {Array<Object>} Matches ({ label, url })
+ */
+function findCategorySuggestions(products, query) {
+  const queryStem = stemToken(query.trim().toLowerCase());
+  if (!queryStem) return [];
+
+  const entries = new Map();
+  products.forEach((product) => {
+    const category = t(`category.${product.category}`);
+    const subcategory = translateValue("subcategory", product.subcategory);
+
+    entries.set(product.category, {
+      label: category,
+      names: [product.category, category],
+      params: { category: product.category },
+    });
+    entries.set(`${product.category}/${product.subcategory}`, {
+      label: t("search.subcategoryIn", { subcategory, category }),
+      names: [product.subcategory, subcategory],
+      params: { category: product.category, subcategory: product.subcategory },
+    });
+  });
+
+  if (products.some((product) => product.onSale)) {
+    entries.set("sale", {
+      label: t("category.sale"),
+      names: ["sale", t("category.sale")],
+      params: { category: "sale" },
+    });
+  }
+
+  return [...entries.values()]
+    .filter((entry) =>
+      entry.names.some((entryName) => {
+        const name = entryName.toLowerCase();
+        return (
+          name.startsWith(queryStem) ||
+          stemToken(name) === queryStem ||
+          editDistance(queryStem, stemToken(name), getTypoTolerance(queryStem)) <=
+            getTypoTolerance(queryStem)
+        );
+      }),
+    )
+    .slice(0, MAX_CATEGORY_SUGGESTIONS)
+    .map((entry) => ({ label: entry.label, url: getShopUrl(entry.params) }));
+}
+
+/**
+ * Initialize every header search box
+ */
+function initHeaderSearch() {
+  document.querySelectorAll(".header-search").forEach((wrapper) => {
+    if (wrapper.dataset.initialized) return;
+    wrapper.dataset.initialized = "true";
+
+    const input = wrapper.querySelector(".header-search-input");
+    const list = wrapper.querySelector(".header-search-results");
+    if (!input || !list) return;
+
+    input.addEventListener("input", () => renderHeaderSuggestions(input, list));
+    input.addEventListener("focus", () => renderHeaderSuggestions(input, list));
+    input.addEventListener("keydown", (e) =>
+      handleHeaderSearchKeydown(e, input, list),
+    );
+
+    // Keep focus in the input while clicking suggestions
+    list.addEventListener("mousedown", (e) => e.preventDefault());
+    list.addEventListener("click", (e) => {
+      const option = e.target.closest("[role='option']");
+      if (option) selectHeaderSuggestion(option, input);
+
+      if (e.target.closest(".clear-recent-searches")) {
+        clearRecentSearches();
+        renderHeaderSuggestions(input, list);
+      }
+    });
+
+    input.addEventListener("blur", () => closeHeaderSuggestions(input, list));
+  });
+}
+
+/**
+ * Render the suggestions dropdown for the current input value
+ * @param {HTMLInputElement} input - Search input
+ * @param {HTMLElement} list - Dropdown element
+ */
+async function renderHeaderSuggestions(input, list) {
+  const query = input.value.trim();
+  const sections = [];
+  let optionIndex = 0;
+
+  const option = (html, data) => {
+    const id = `${list.id}-option-${optionIndex++}`;
+    const attributes = Object.entries(data)
+      .map(([key, value]) => `data-${key}="${escapeHTML(value)}"`)
+      .join(" ");
+    return `
+            <li id="${id}" role="option" aria-selected="false" ${attributes}
+                class="flex items-center gap-3 px-4 py-2 cursor-pointer text-zinc-700 dark:text-zinc-300 hover:bg-zinc-100 dark:hover:bg-zinc-800 aria-selected:bg-zinc-100 dark:aria-selected:bg-zinc-800">
+                ${html}
+            </li>
+        `;
+  };
+
+  const heading = (label, action = "") => `
+        <li role="presentation" class="flex items-center justify-between px-4 pt-3 pb-1 text-xs font-semibold uppercase tracking-wide text-zinc-500 dark:text-zinc-400">
+            <span>${label}</span>${action}
+        </li>
+    `;
+
+  if (query) {
+    const products = await getAllProducts();
+
+    // Input may have changed while products were loading
+    if (input.value.trim() !== query) return;
+
+    const productMatches = searchProducts(products, query).slice(
+      0,
+      MAX_PRODUCT_SUGGESTIONS,
+    );
+    if (productMatches.length > 0) {
+      sections.push(
+        heading(t("search.products")) +
+          productMatches
+            .map(({ product, matches }) =>
+              option(
+                `
+                    <img src="${product.image}" alt="" class="w-10 h-12 object-cover rounded bg-zinc-100 dark:bg-zinc-800">
+                    <span class="flex-1 min-w-0 truncate">${highlightMatches(product.name, matches)}</span>
+                    <span class="text-sm font-semibold text-zinc-900 dark:text-white">${formatPrice(product.price)}</span>
+                `,
+                { url: getProductUrl(product.id), query },
+              ),
+            )
+            .join(""),
+      );
+    }
+
+    const categoryMatches = findCategorySuggestions(products, query);
+    if (categoryMatches.length > 0) {
+      sections.push(
+        heading(t("search.categories")) +
+          categoryMatches
+            .map((category) =>
+              option(
+                `<span class="capitalize">${escapeHTML(category.label)}</span>`,
+                { url: category.url },
+              ),
+            )
+            .join(""),
+      );
+    }
+
+    sections.push(
+      option(
+        `<span>${t("search.searchFor", { query: `<strong>${escapeHTML(query)}</strong>` })}</span>`,
+        { url: getShopUrl({ q: query }), query },
+      ),
+    );
+  }
+
+  const recentSearches = getRecentSearches().filter(
+    (search) =>
+      !query || search.toLowerCase().startsWith(query.toLowerCase()),
+  );
+  if (recentSearches.length > 0) {
+    sections.push(
+      heading(
+        t("search.recent"),
+        query
+          ? ""
+          : `<button type="button" class="clear-recent-searches normal-case font-normal text-indigo-600 dark:text-indigo-400 hover:underline">${t("common.clear")}</button>`,
+      ) +
+        recentSearches
+          .map((search) =>
+            option(`<span class="truncate">${escapeHTML(search)}</span>`, {
+              url: getShopUrl({ q: search }),
+              query: search,
+            }),
+          )
+          .join(""),
+    );
+  }
+
+  if (sections.length === 0) {
+    closeHeaderSuggestions(input, list);
+    return;
+  }
+
+  list.innerHTML = sections.join("");
+  list.classList.remove("hidden");
+  input.setAttribute("aria-expanded", "true");
+  input.removeAttribute("aria-activedescendant");
+}
+
+/**
+ * Hide the suggestions dropdown
+ * @param {HTMLInputElement} input - Search input
+ * @param {HTMLElement} list - Dropdown element
+ */
+function closeHeaderSuggestions(input, list) {
+  list.classList.add("hidden");
+  input.setAttribute("aria-expanded", "false");
+  input.removeAttribute("aria-activedescendant");
+}
+
+/**
+ * Handle arrow keys, Enter and Escape in the header search input
+ * @param {KeyboardEvent} e - Keydown event
+ * @param {HTMLInputElement} input - Search input
+ * @param {HTMLElement} list - Dropdown element
+ */
+function handleHeaderSearchKeydown(e, input, list) {
+  const options = [...list.querySelectorAll("[role='option']")];
+  const activeIndex = options.findIndex(
+    (option) => option.getAttribute("aria-selected") === "true",
+  );
+
+  if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+    e.preventDefault();
+    if (list.classList.contains("hidden")) {
+      renderHeaderSuggestions(input, list);
+      return;
+    }
+    if (options.length === 0) return;
+
+    const step = e.key === "ArrowDown" ? 1 : -1;
+    const nextIndex = (activeIndex + step + options.length) % options.length;
+
+    options.forEach((option) => option.setAttribute("aria-selected", "false"));
+    options[nextIndex].setAttribute("aria-selected", "true");
+    options[nextIndex].scrollIntoView({ block: "nearest" });
+    input.setAttribute("aria-activedescendant", options[nextIndex].id);
+  } else if (e.key === "Enter") {
+    e.preventDefault();
+    if (activeIndex > -1 && !list.classList.contains("hidden")) {
+      selectHeaderSuggestion(options[activeIndex], input);
+    } else if (input.value.trim()) {
+      saveRecentSearch(input.value);
+      window.location.href = getShopUrl({ q: input.value.trim() });
+    }
+  } else if (e.key === "Escape") {
+    closeHeaderSuggestions(input, list);
+  }
+}
+
+/**
+ * Navigate to a selected suggestion
+ * @param {HTMLElement} option - Selected option element
+ * @param {HTMLInputElement} input - Search input
+ */
+function selectHeaderSuggestion(option, input) {
+  const query = option.dataset.query || input.value;
+  saveRecentSearch(query);
+  window.location.href = option.dataset.url;
+}
+
+// Initialize header search when the header component is loaded
+document.addEventListener("componentLoaded", (e) => {
+  if (e.detail && e.detail.id === "header") {
+    initHeaderSearch();
+  }
+});
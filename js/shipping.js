@@ -0,0 +1,167 @@
+/**
+ * Shipping - Shipping methods, rates and delivery estimates
+ * Rates come from data/shipping.json, grouped into zones by destination
+ * country. A zone listing "*" covers every country without its own zone.
+ */
+
+// Country used for estimates before a destination is chosen (cart page)
+const DEFAULT_SHIPPING_COUNTRY = "US";
+
+// Cached shipping configuration
+let shippingConfigCache = null;
+
+/**
+ * Load shipping configuration from JSON file
+ * @returns {Promise<Object|null>} Shipping config ({ methods, zones })
+ */
+async function getShippingConfig() {
+  if (shippingConfigCache) return shippingConfigCache;
+
+  try {
+    const response = await fetch(`${getBasePath()}data/shipping.json`);
+    if (!response.ok) {
+      throw new Error("Failed to load shipping rates");
+    }
+    shippingConfigCache = await response.json();
+    return shippingConfigCache;
+  } catch (error) {
+    console.error("Error loading shipping rates:", error);
+    return null;
+  }
+}
+
+/**
+ * Find the shipping zone for a country
+ * @param {Object} config - Shipping config
+ * @param {string} country - Country code
+ * @returns {Object|null} Zone, or the "*" zone when the country has none
+ */
+function getShippingZone(config, country) {
+  return (
+    config.zones.find((zone) => zone.countries.includes(country)) ||
+    config.zones.find((zone) => zone.countries.includes("*")) ||
+    null
+  );
+}
+
+/**
+ * Add business days (Monday to Friday) to a date
+ * @param {Date} date - Start date
+ * @param {number} days - Business days to add
+ * @returns {Date} New date
+ */
+function addBusinessDays(date, days) {
+  const result = new Date(date);
+  let added = 0;
+
+  while (added < days) {
+    result.setDate(result.getDate() + 1);
+    const day = result.getDay();
+    if (day !== 0 && day !== 6) added++;
+  }
+
+  return result;
+}
+
+/**
+ * Get the shipping options available for a destination
+ * @param {string} country - Country code
+ * @param {number} subtotal - Order subtotal (after discounts), for free-shipping thresholds
+ * @param {Date} now - Order date
+ * @returns {Promise<Array>} Options ({ id, name, description, price, freeOver, estimatedDelivery })
+ */
+async function getShippingOptions(country, subtotal, now = new Date()) {
+  const config = await getShippingConfig();
+  if (!config) return [];
+
+  const zone = getShippingZone(config, country);
+  if (!zone) return [];
+
+  return zone.rates.map((rate) => {
+    const method = config.methods[rate.method] || {};
+    const isFree = rate.freeOver !== null && subtotal >= rate.freeOver;
+
+    return {
+      id: rate.method,
+      name: method.name || rate.method,
+      description: method.description || "",
+      price: isFree ? 0 : rate.price,
+      freeOver: rate.freeOver,
+      estimatedDelivery: {
+        from: addBusinessDays(now, rate.minDays).toISOString(),
+        to: addBusinessDays(now, rate.maxDays).toISOString(),
+      },
+    };
+  });
+}
+
+/**
+ * Get the name of a shipping method in the selected language
+ * Options and saved orders keep the English name from the data
+ * @param {Object} method - Shipping option or an order's shippingMethod ({ id, name })
+ * @param {string} language - Language code (defaults to the selected one)
+ * @returns {string} e.g. "Express"
+ */
+function getShippingMethodName(method, language) {
+  return translateValue("shippingMethod", method.id, method.name, language);
+}
+
+/**
+ * Format an estimated delivery window
+ * @param {Object} estimatedDelivery - { from, to } ISO dates
+ * @returns {string} e.g. "Thu, Oct 22 – Mon, Oct 26"
+ */
+function formatDeliveryEstimate(estimatedDelivery) {
+  const options = { weekday: "short", month: "short", day: "numeric" };
+  const from = formatDate(estimatedDelivery.from, options);
+  const to = formatDate(estimatedDelivery.to, options);
+
+  return from === to ? from : `${from} – ${to}`;
+}
+
+/**
+ * Render shipping method radio options into #shipping-methods
+ * @param {Array} options - Shipping options from getShippingOptions()
+ * @param {string} selectedId - Selected method ID
+ */
+function renderShippingMethods(options, selectedId) {
+  const container = document.getElementById("shipping-methods");
+  if (!container) return;
+
+  if (options.length === 0) {
+    container.innerHTML = `
+            <p class="text-zinc-400">${t("shipping.unavailable")}</p>
+        `;
+    return;
+  }
+
+  container.innerHTML = options
+    .map(
+      (option) => `
+            <label class="flex items-start gap-3 p-4 rounded-lg border cursor-pointer transition-colors ${
+              option.id === selectedId
+                ? "border-indigo-500 bg-indigo-900/20"
+                : "border-zinc-700 hover:border-zinc-500"
+            }">
+                <input type="radio" name="shipping-method" value="${option.id}" ${option.id === selectedId ? "checked" : ""}
+                    class="mt-1 text-indigo-600 focus:ring-indigo-500">
+                <div class="flex-1">
+                    <div class="flex justify-between gap-4">
+                        <span class="font-medium text-white">${getShippingMethodName(option)}</span>
+                        <span class="font-medium text-white">${option.price > 0 ? formatPrice(option.price) : t("summary.free")}</span>
+                    </div>
+                    <p class="text-sm text-zinc-400">${translateValue("shippingDescription", option.id, option.description)}</p>
+                    <p class="text-sm text-zinc-400 mt-1">
+                        ${t(option.id === "pickup" ? "shipping.ready" : "shipping.arrives", { dates: formatDeliveryEstimate(option.estimatedDelivery) })}
+                    </p>
+                    ${
+                      option.freeOver !== null && option.price > 0
+                        ? `<p class="text-xs text-indigo-400 mt-1">${t("shipping.freeOver", { amount: formatPrice(option.freeOver) })}</p>`
+                        : ""
+                    }
+                </div>
+            </label>
+        `,
+    )
+    .join("");
+}
@@ -0,0 +1,665 @@
+/**
+ * Shop Manager - Handles the shop page product grid
+ * Combines category, search text and faceted filters (subcategory, size,
+ * color, price range), sorts and paginates the results and keeps the full
+ * state in the URL
+ */
+
+// Products per page and scroll position storage key
+const SHOP_PAGE_SIZE = 12;
+const SHOP_SCROLL_KEY = "fashion-store-shop-scroll";
+
+// Multi-value facets, their URL parameter names and heading messages
+// (values are shown through translateValue() when they have a group)
+const SHOP_FACETS = {
+  subcategories: {
+    param: "subcategory",
+    label: "shop.subcategory",
+    field: "subcategory",
+    group: "subcategory",
+  },
+  sizes: { param: "size", label: "product.size", field: "sizes", group: null },
+  colors: {
+    param: "color",
+    label: "product.color",
+    field: "colors",
+    group: "color",
+  },
+};
+
+// Sort modes: value -> comparator (empty value keeps catalog order)
+const SHOP_SORTS = {
+  "": null,
+  featured: (a, b) => Number(b.featured) - Number(a.featured),
+  newest: (a, b) => new Date(b.dateAdded || 0) - new Date(a.dateAdded || 0),
+  "price-asc": (a, b) => a.price - b.price,
+  "price-desc": (a, b) => b.price - a.price,
+  "name-asc": (a, b) => a.name.localeCompare(b.name),
+  discount: (a, b) => getDiscountPercent(b) - getDiscountPercent(a),
+  rating: (a, b) => compareRatings(a, b),
+};
+
+// Minimum average ratings offered in the rating filter
+const SHOP_RATING_OPTIONS = [4, 3, 2, 1];
+
+// Current shop filter state
+let shopState = {
+  category: "all",
+  sort: "",
+  page: 1,
+  search: "",
+  subcategories: [],
+  sizes: [],
+  colors: [],
+  minPrice: null,
+  maxPrice: null,
+  minRating: 0,
+};
+
+// Ranked search results for the current query (productId -> result)
+let shopSearchResults = new Map();
+
+// Guards against double initialization (products.js is also imported by main.js)
+let shopInitialized = false;
+
+/**
+ * Initialize the shop page
+ * Reads filter state from the URL, wires up controls and renders the grid
+ */
+async function initShop() {
+  if (shopInitialized) return;
+  shopInitialized = true;
+
+  readShopStateFromUrl(await getAllProducts());
+
+  const searchInput = document.getElementById("search-input");
+  if (searchInput) {
+    searchInput.value = shopState.search;
+    searchInput.addEventListener("input", function (e) {
+      shopState.search = e.target.value.trim();
+      applyShopFilters();
+    });
+  }
+
+  const sortSelect = document.getElementById("sort-select");
+  if (sortSelect) {
+    sortSelect.value = shopState.sort;
+    sortSelect.addEventListener("change", function (e) {
+      shopState.sort = e.target.value;
+      applyShopFilters();
+    });
+  }
+
+  initCategoryFilters();
+  initFacetHandlers();
+
+  const clearButton = document.getElementById("clear-filters");
+  if (clearButton) {
+    clearButton.addEventListener("click", clearShopFilters);
+  }
+
+  const filtersToggle = document.getElementById("filters-toggle");
+  if (filtersToggle) {
+    filtersToggle.addEventListener("click", () => {
+      document.getElementById("shop-sidebar")?.classList.toggle("hidden");
+    });
+  }
+
+  // Remember where the shopper was when leaving for a product page
+  window.addEventListener("pagehide", saveShopScrollPosition);
+
+  await applyShopFilters({ resetPage: false });
+  restoreShopScrollPosition();
+}
+
+/**
+ * Read shop filter state from the URL query string
+ * Facet values that no product has are dropped
+ * @param {Array} products - All products
+ */
+function readShopStateFromUrl(products) {
+  const urlParams = new URLSearchParams(window.location.search);
+
+  shopState.category = urlParams.get("category") || "all";
+  shopState.search = urlParams.get("q") || "";
+
+  const sort = urlParams.get("sort") || "";
+  shopState.sort = sort in SHOP_SORTS ? sort : "";
+
+  const page = parseInt(urlParams.get("page"));
+  shopState.page = isNaN(page) || page < 1 ? 1 : page;
+
+  Object.entries(SHOP_FACETS).forEach(([key, facet]) => {
+    const value = urlParams.get(facet.param);
+    const known = new Set(
+      products.flatMap((p) => [].concat(p[facet.field] || [])),
+    );
+    shopState[key] = value
+      ? value.split(",").filter((entry) => known.has(entry))
+      : [];
+  });
+
+  const minPrice = parseFloat(urlParams.get("min"));
+  const maxPrice = parseFloat(urlParams.get("max"));
+  shopState.minPrice = isNaN(minPrice) ? null : minPrice;
+  shopState.maxPrice = isNaN(maxPrice) ? null : maxPrice;
+
+  const minRating = parseInt(urlParams.get("rating"));
+  shopState.minRating = SHOP_RATING_OPTIONS.includes(minRating) ? minRating : 0;
+}
+
+/**
+ * Write shop filter state to the URL without reloading
+ */
+function writeShopStateToUrl() {
+  const url = new URL(window.location);
+
+  const setParam = (name, value) => {
+    if (value === null || value === "" || value === undefined) {
+      url.searchParams.delete(name);
+    } else {
+      url.searchParams.set(name, value);
+    }
+  };
+
+  setParam("category", shopState.category === "all" ? null : shopState.category);
+  setParam("q", shopState.search);
+  setParam("sort", shopState.sort);
+
+  Object.entries(SHOP_FACETS).forEach(([key, facet]) => {
+    setParam(facet.param, shopState[key].join(","));
+  });
+
+  setParam("min", shopState.minPrice);
+  setParam("max", shopState.maxPrice);
+  setParam("rating", shopState.minRating || null);
+  setParam("page", shopState.page > 1 ? shopState.page : null);
+
+  window.history.replaceState({}, "", url);
+}
+
+/**
+ * Check if a product belongs to a category
+ * The "sale" category matches every product on sale
+ * @param {Object} product - Product object
+ * @param {string} category - Category name or "all"
+ * @returns {boolean}
+ */
+function matchesCategory(product, category) {
+  if (!category || category === "all") return true;
+  if (category === "sale") return product.onSale === true;
+  return product.category === category;
+}
+
+/**
+ * Check if a product matches the search text
+ * Uses the ranked results computed by applyShopFilters()
+ * @param {Object} product - Product object
+ * @returns {boolean}
+ */
+function matchesSearch(product) {
+  if (!shopState.search) return true;
+  return shopSearchResults.has(product.id);
+}
+
+/**
+ * Check if a product matches the current filter state
+ * @param {Object} product - Product object
+ * @param {string} ignoreFacet - Facet key to skip (used for facet counts)
+ * @returns {boolean}
+ */
+function matchesShopFilters(product, ignoreFacet = null) {
+  if (!matchesCategory(product, shopState.category)) return false;
+  if (!matchesSearch(product)) return false;
+
+  for (const [key, facet] of Object.entries(SHOP_FACETS)) {
+    if (key === ignoreFacet || shopState[key].length === 0) continue;
+
+    const values = [].concat(product[facet.field] || []);
+    if (!shopState[key].some((value) => values.includes(value))) {
+      return false;
+    }
+  }
+
+  // The price range is entered in the display currency
+  if (ignoreFacet !== "price") {
+    const price = convertPrice(product.price);
+    if (shopState.minPrice !== null && price < shopState.minPrice) {
+      return false;
+    }
+    if (shopState.maxPrice !== null && price > shopState.maxPrice) {
+      return false;
+    }
+  }
+
+  if (ignoreFacet !== "rating" && shopState.minRating) {
+    if (getReviewSummary(product.id).average < shopState.minRating) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Compare products by average rating, then by number of reviews
+ * @param {Object} a - Product object
+ * @param {Object} b - Product object
+ * @returns {number} Sort order (highest rated first)
+ */
+function compareRatings(a, b) {
+  const ratingA = getReviewSummary(a.id);
+  const ratingB = getReviewSummary(b.id);
+  return ratingB.average - ratingA.average || ratingB.count - ratingA.count;
+}
+
+/**
+ * Sort products by the selected sort mode
+ * Without a sort mode, search results are ordered by relevance and other
+ * results keep their catalog order. Returns a new array.
+ * @param {Array} products - Products to sort
+ * @param {string} sort - Sort mode key from SHOP_SORTS
+ * @returns {Array} Sorted products
+ */
+function sortProducts(products, sort) {
+  const comparator = SHOP_SORTS[sort];
+  if (comparator) return [...products].sort(comparator);
+
+  if (shopState.search) {
+    return [...products].sort(
+      (a, b) =>
+        shopSearchResults.get(b.id).score - shopSearchResults.get(a.id).score,
+    );
+  }
+
+  return [...products];
+}
+
+/**
+ * Build the empty state shown when nothing matches
+ * Offers a "did you mean" correction when the search text looks misspelled
+ * @param {Array} products - All products
+ * @returns {string|null} HTML string, or null for the default message
+ */
+function createShopEmptyState(products) {
+  if (!shopState.search) return null;
+
+  const suggestion = getSearchSuggestion(products, shopState.search);
+  return `
+        <div class="col-span-full text-center py-12">
+            <p class="text-zinc-500 dark:text-zinc-400 mb-2">${t("shop.noResults", { query: escapeHTML(shopState.search) })}</p>
+            ${
+              suggestion
+                ? `<p class="text-zinc-700 dark:text-zinc-300">${t("shop.didYouMean")}
+                    <button onclick="applySearchSuggestion('${escapeHTML(suggestion)}')" class="font-semibold text-indigo-600 dark:text-indigo-400 hover:underline">${escapeHTML(suggestion)}</button>${t("shop.questionMark")}
+                   </p>`
+                : `<p class="text-sm text-zinc-500 dark:text-zinc-400">${t("shop.tryFewer")}</p>`
+            }
+        </div>
+    `;
+}
+
+/**
+ * Replace the search text with a suggested correction
+ * @param {string} suggestion - Corrected search text
+ */
+function applySearchSuggestion(suggestion) {
+  const searchInput = document.getElementById("search-input");
+  if (searchInput) searchInput.value = suggestion;
+  shopState.search = suggestion;
+  applyShopFilters();
+}
+
+/**
+ * Filter, sort and paginate products, render the grid and facets, and sync the URL
+ * @param {Object} options - Options
+ * @param {boolean} options.resetPage - Go back to page 1 (default: true, for filter changes)
+ */
+async function applyShopFilters({ resetPage = true } = {}) {
+  const products = await getAllProducts();
+  const container = document.getElementById("shop-products-container");
+
+  shopSearchResults = new Map(
+    searchProducts(products, shopState.search).map((result) => [
+      result.product.id,
+      result,
+    ]),
+  );
+
+  const filtered = sortProducts(
+    products.filter((p) => matchesShopFilters(p)),
+    shopState.sort,
+  );
+
+  // Clamp the page to the available range
+  const totalPages = Math.max(1, Math.ceil(filtered.length / SHOP_PAGE_SIZE));
+  if (resetPage) shopState.page = 1;
+  shopState.page = Math.min(shopState.page, totalPages);
+
+  const start = (shopState.page - 1) * SHOP_PAGE_SIZE;
+  renderProductGrid(filtered.slice(start, start + SHOP_PAGE_SIZE), container, {
+    highlights: new Map(
+      [...shopSearchResults.values()].map((result) => [
+        result.product.id,
+        result.matches,
+      ]),
+    ),
+    emptyState: createShopEmptyState(products),
+  });
+  renderPagination(totalPages);
+  renderFacets(products);
+  updateResultsCount(filtered.length);
+  writeShopStateToUrl();
+}
+
+/**
+ * Render numbered page controls below the grid
+ * Long ranges collapse to first, last and the pages around the current one
+ * @param {number} totalPages - Total number of pages
+ */
+function renderPagination(totalPages) {
+  const container = document.getElementById("shop-pagination");
+  if (!container) return;
+
+  if (totalPages <= 1) {
+    container.innerHTML = "";
+    return;
+  }
+
+  const current = shopState.page;
+  const pages = [];
+  for (let page = 1; page <= totalPages; page++) {
+    if (page === 1 || page === totalPages || Math.abs(page - current) <= 1) {
+      pages.push(page);
+    } else if (pages[pages.length - 1] !== "...") {
+      pages.push("...");
+    }
+  }
+
+  const baseClass =
+    "min-w-[2.5rem] h-10 px-3 rounded-lg font-medium transition-colors";
+  const idleClass =
+    "bg-white dark:bg-zinc-900 border border-zinc-200 dark:border-zinc-800 text-zinc-700 dark:text-zinc-300 hover:bg-zinc-100 dark:hover:bg-zinc-800";
+  const disabledClass = "opacity-50 cursor-not-allowed";
+
+  container.innerHTML = `
+        <button onclick="goToShopPage(${current - 1})" class="${baseClass} ${idleClass} ${current === 1 ? disabledClass : ""}"
+            ${current === 1 ? "disabled" : ""} aria-label="${t("shop.previousPage")}"><span class="inline-block rtl:-scale-x-100">&larr;</span></button>
+        ${pages
+          .map((page) =>
+            page === "..."
+              ? `<span class="px-2 text-zinc-400">…</span>`
+              : `<button onclick="goToShopPage(${page})" class="${baseClass} ${
+                  page === current ? "bg-indigo-600 text-white" : idleClass
+                }" ${page === current ? 'aria-current="page"' : ""}>${page}</button>`,
+          )
+          .join("")}
+        <button onclick="goToShopPage(${current + 1})" class="${baseClass} ${idleClass} ${current === totalPages ? disabledClass : ""}"
+            ${current === totalPages ? "disabled" : ""} aria-label="${t("shop.nextPage")}"><span class="inline-block rtl:-scale-x-100">&rarr;</span></button>
+    `;
+}
+
+/**
+ * Go to a page of the shop grid and scroll back to the top of the grid
+ * @param {number} page - Page number
+ */
+async function goToShopPage(page) {
+  if (page < 1) return;
+  shopState.page = page;
+  await applyShopFilters({ resetPage: false });
+
+  document
+    .getElementById("shop-results-count")
+    ?.scrollIntoView({ behavior: "smooth", block: "start" });
+}
+
+/**
+ * Save the scroll position for the current shop URL
+ */
+function saveShopScrollPosition() {
+  sessionStorage.setItem(
+    SHOP_SCROLL_KEY,
+    JSON.stringify({ search: window.location.search, scrollY: window.scrollY }),
+  );
+}
+
+/**
+ * Restore the scroll position when returning to the same shop URL
+ */
+function restoreShopScrollPosition() {
+  const saved = JSON.parse(sessionStorage.getItem(SHOP_SCROLL_KEY) || "null");
+  if (saved && saved.search === window.location.search) {
+    window.scrollTo(0, saved.scrollY);
+  }
+  sessionStorage.removeItem(SHOP_SCROLL_KEY);
+}
+
+/**
+ * Count facet values among products matching every other filter
+ * @param {Array} products - All products
+ * @param {string} key - Facet key
+ * @returns {Map<string, number>} Value to product count
+ */
+function getFacetCounts(products, key) {
+  const counts = new Map();
+  const field = SHOP_FACETS[key].field;
+
+  // Collect every value so options don't disappear when their count is 0
+  products
+    .filter((p) => matchesCategory(p, shopState.category))
+    .forEach((p) => {
+      [].concat(p[field] || []).forEach((value) => {
+        if (!counts.has(value)) counts.set(value, 0);
+      });
+    });
+
+  products
+    .filter((p) => matchesShopFilters(p, key))
+    .forEach((p) => {
+      [].concat(p[field] || []).forEach((value) => {
+        counts.set(value, (counts.get(value) || 0) + 1);
+      });
+    });
+
+  // Keep selected values visible so they can always be unchecked
+  shopState[key].forEach((value) => {
+    if (!counts.has(value)) counts.set(value, 0);
+  });
+
+  return counts;
+}
+
+/**
+ * Render facet options with live counts into the sidebar
+ * @param {Array} products - All products
+ */
+function renderFacets(products) {
+  const container = document.getElementById("shop-facets");
+  if (!container) return;
+
+  const facetSections = Object.entries(SHOP_FACETS)
+    .map(([key, facet]) => {
+      const counts = getFacetCounts(products, key);
+      if (counts.size === 0) return "";
+
+      const options = [...counts.entries()]
+        .map(([value, count]) => {
+          const checked = shopState[key].includes(value);
+          const disabled = count === 0 && !checked;
+          return `
+                <label class="flex items-center justify-between gap-2 py-1 text-sm ${disabled ? "opacity-50" : "cursor-pointer"}">
+                    <span class="flex items-center gap-2">
+                        <input type="checkbox" class="facet-option rounded border-zinc-300 dark:border-zinc-600 text-indigo-600 focus:ring-indigo-500"
+                            data-facet="${key}" value="${escapeHTML(value)}" ${checked ? "checked" : ""} ${disabled ? "disabled" : ""}>
+                        <span class="capitalize text-zinc-700 dark:text-zinc-300">${escapeHTML(facet.group ? translateValue(facet.group, value) : value)}</span>
+                    </span>
+                    <span class="text-xs text-zinc-500 dark:text-zinc-400">${count}</span>
+                </label>
+            `;
+        })
+        .join("");
+
+      return `
+            <div class="border-b border-zinc-200 dark:border-zinc-800 pb-4 mb-4">
+                <h3 class="font-semibold text-zinc-900 dark:text-white mb-2">${t(facet.label)}</h3>
+                <div class="max-h-48 overflow-y-auto pe-1">${options}</div>
+            </div>
+        `;
+    })
+    .join("");
+
+  const priceCount = products.filter((p) => matchesShopFilters(p)).length;
+
+  container.innerHTML = `
+        ${facetSections}
+        ${createRatingFilterHTML(products)}
+        <div>
+            <h3 class="font-semibold text-zinc-900 dark:text-white mb-2">${t("shop.price", { currency: getCurrency() })}</h3>
+            <div class="flex items-center gap-2">
+                <input type="number" min="0" step="1" id="price-min" placeholder="${t("shop.min")}" value="${shopState.minPrice ?? ""}"
+                    class="price-filter w-full px-3 py-2 text-sm bg-white dark:bg-zinc-800 border border-zinc-300 dark:border-zinc-700 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 text-zinc-900 dark:text-white">
+                <span class="text-zinc-400">–</span>
+                <input type="number" min="0" step="1" id="price-max" placeholder="${t("shop.max")}" value="${shopState.maxPrice ?? ""}"
+                    class="price-filter w-full px-3 py-2 text-sm bg-white dark:bg-zinc-800 border border-zinc-300 dark:border-zinc-700 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 text-zinc-900 dark:text-white">
+            </div>
+            <p class="text-xs text-zinc-500 dark:text-zinc-400 mt-2">${t("shop.inRange", { count: priceCount })}</p>
+        </div>
+    `;
+}
+
+/**
+ * Create the minimum rating filter ("4 stars & up", ...) with live counts
+ * @param {Array} products - All products
+ * @returns {string} HTML string
+ */
+function createRatingFilterHTML(products) {
+  const candidates = products.filter((p) => matchesShopFilters(p, "rating"));
+  const averages = candidates.map((p) => getReviewSummary(p.id).average);
+
+  const options = [0, ...SHOP_RATING_OPTIONS]
+    .map((rating) => {
+      const count = rating
+        ? averages.filter((average) => average >= rating).length
+        : candidates.length;
+      const checked = shopState.minRating === rating;
+      return `
+            <label class="flex items-center justify-between gap-2 py-1 text-sm cursor-pointer">
+                <span class="flex items-center gap-2 text-zinc-700 dark:text-zinc-300">
+                    <input type="radio" name="rating-filter" class="rating-filter border-zinc-300 dark:border-zinc-600 text-indigo-600 focus:ring-indigo-500"
+                        value="${rating}" ${checked ? "checked" : ""}>
+                    ${rating ? `${createStarsHTML(rating)} <span>${t("shop.andUp")}</span>` : `<span>${t("shop.anyRating")}</span>`}
+                </span>
+                <span class="text-xs text-zinc-500 dark:text-zinc-400">${count}</span>
+            </label>
+        `;
+    })
+    .join("");
+
+  return `
+        <div class="border-b border-zinc-200 dark:border-zinc-800 pb-4 mb-4">
+            <h3 class="font-semibold text-zinc-900 dark:text-white mb-2">${t("shop.customerRating")}</h3>
+            ${options}
+        </div>
+    `;
+}
+
+/**
+ * Setup delegated handlers for facet checkboxes, rating and price inputs
+ */
+function initFacetHandlers() {
+  const container = document.getElementById("shop-facets");
+  if (!container) return;
+
+  container.addEventListener("change", function (e) {
+    const checkbox = e.target.closest(".facet-option");
+    if (checkbox) {
+      const key = checkbox.dataset.facet;
+      shopState[key] = checkbox.checked
+        ? [...shopState[key], checkbox.value]
+        : shopState[key].filter((value) => value !== checkbox.value);
+      applyShopFilters();
+      return;
+    }
+
+    if (e.target.classList.contains("rating-filter")) {
+      shopState.minRating = parseInt(e.target.value);
+      applyShopFilters();
+      return;
+    }
+
+    if (e.target.classList.contains("price-filter")) {
+      const minPrice = parseFloat(document.getElementById("price-min")?.value);
+      const maxPrice = parseFloat(document.getElementById("price-max")?.value);
+      shopState.minPrice = isNaN(minPrice) ? null : minPrice;
+      shopState.maxPrice = isNaN(maxPrice) ? null : maxPrice;
+      applyShopFilters();
+    }
+  });
+}
+
+/**
+ * Reset facets and search (keeps the selected category)
+ */
+function clearShopFilters() {
+  Object.keys(SHOP_FACETS).forEach((key) => (shopState[key] = []));
+  shopState.minPrice = null;
+  shopState.maxPrice = null;
+  shopState.minRating = 0;
+  shopState.search = "";
+
+  const searchInput = document.getElementById("search-input");
+  if (searchInput) searchInput.value = "";
+
+  applyShopFilters();
+}
+
+/**
+ * Update the results counter above the grid
+ * @param {number} count - Number of matching products
+ */
+function updateResultsCount(count) {
+  const countElement = document.getElementById("shop-results-count");
+  if (countElement) {
+    countElement.textContent = t("shop.productCount", { count });
+  }
+}
+
+/**
+ * Initialize category filters
+ * Highlights the active category and re-filters on click
+ */
+function initCategoryFilters() {
+  const filterButtons = document.querySelectorAll(".category-filter");
+
+  const setActiveButton = () => {
+    filterButtons.forEach((btn) => {
+      if (btn.dataset.category === shopState.category) {
+        btn.classList.remove(
+          "bg-gray-200",
+          "dark:bg-gray-700",
+          "text-gray-700",
+          "dark:text-gray-300",
+        );
+        btn.classList.add("bg-indigo-600", "text-white");
+      } else {
+        btn.classList.remove("bg-indigo-600", "text-white");
+        btn.classList.add(
+          "bg-gray-200",
+          "dark:bg-gray-700",
+          "text-gray-700",
+          "dark:text-gray-300",
+        );
+      }
+    });
+  };
+
+  setActiveButton();
+
+  filterButtons.forEach((button) => {
+    button.addEventListener("click", function () {
+      shopState.category = this.dataset.category;
+      setActiveButton();
+      applyShopFilters();
+    });
+  });
+}
@@ -0,0 +1,218 @@
+/**
+ * Size Guide - Size charts per subcategory and personal fit recommendations
+ * Charts come from data/size-guides.json (ranges in cm); body measurements
+ * are saved on the logged-in user's account from the account page.
+ */
+
+// Cached size guide data
+let sizeGuidesCache = null;
+
+/**
+ * Load size guide data from JSON file
+ * @returns {Promise<Object>} Size guide data ({ unit, measurements, guides, products })
+ */
+async function getSizeGuides() {
+  if (sizeGuidesCache) return sizeGuidesCache;
+
+  try {
+    const response = await fetch(`${getBasePath()}data/size-guides.json`);
+    if (!response.ok) {
+      throw new Error("Failed to load size guides");
+    }
+    sizeGuidesCache = await response.json();
+    return sizeGuidesCache;
+  } catch (error) {
+    console.error("Error loading size guides:", error);
+    return null;
+  }
+}
+
+/**
+ * Get the size guide that applies to a product
+ * @param {Object} product - Product object
+ * @param {Object} data - Size guide data
+ * @returns {Object|null} Guide ({ key, title, measurements, sizes }) or null
+ */
+function getSizeGuideForProduct(product, data) {
+  if (!data || !product.sizes || product.sizes.length === 0) return null;
+
+  const guideKey = data.products[`${product.category}/${product.subcategory}`];
+  return guideKey ? { key: guideKey, ...data.guides[guideKey] } : null;
+}
+
+/**
+ * Get the label of a body measurement in the selected language
+ * @param {string} key - Measurement key, e.g. "chest"
+ * @param {Object} data - Size guide data
+ * @returns {string} Label with unit, e.g. "Chest / bust (cm)"
+ */
+function getMeasurementLabel(key, data) {
+  return `${translateValue("measurement", key, data.measurements[key])} (${data.unit})`;
+}
+
+/**
+ * Get the current user's saved body measurements
+ * @returns {Object} Measurements in cm, e.g. { chest: 98, waist: 84 }
+ */
+function getUserMeasurements() {
+  const user = getCurrentUser();
+  return (user && user.measurements) || {};
+}
+
+/**
+ * Save body measurements on the current user's account
+ * @param {Object} measurements - Measurements in cm
+ * @returns {boolean} Success status
+ */
+function saveUserMeasurements(measurements) {
+  const user = getCurrentUser();
+  if (!user) return false;
+
+  const users = getUsers();
+  const account = users.find((u) => u.id === user.id);
+  if (!account) return false;
+
+  account.measurements = measurements;
+  saveUsers(users);
+  return true;
+}
+
+/**
+ * Recommend a size from body measurements
+ * Each size is scored by how far the measurements fall outside its ranges;
+ * ties go to the size whose range centers are closest
+ * @param {Object} guide - Size guide
+ * @param {Object} measurements - Body measurements in cm
+ * @param {Array<string>} sizes - Sizes the product is offered in
+ * @returns {string|null} Recommended size, or null without usable measurements
+ */
+function recommendSize(guide, measurements, sizes) {
+  const used = guide.measurements.filter((key) => measurements[key] > 0);
+  if (used.length === 0) return null;
+
+  let best = null;
+  sizes
+    .filter((size) => guide.sizes[size])
+    .forEach((size) => {
+      let outside = 0;
+      let fromCenter = 0;
+
+      used.forEach((key) => {
+        const [min, max] = guide.sizes[size][key];
+        const value = measurements[key];
+        outside += Math.max(0, min - value, value - max);
+        fromCenter += Math.abs(value - (min + max) / 2);
+      });
+
+      if (
+        !best ||
+        outside < best.outside ||
+        (outside === best.outside && fromCenter < best.fromCenter)
+      ) {
+        best = { size, outside, fromCenter };
+      }
+    });
+
+  return best ? best.size : null;
+}
+
+/**
+ * Create size chart table HTML
+ * @param {Object} guide - Size guide
+ * @param {Object} data - Size guide data (for unit and measurement labels)
+ * @param {string|null} highlightSize - Size row to highlight
+ * @returns {string} HTML string
+ */
+function createSizeGuideTableHTML(guide, data, highlightSize = null) {
+  const headers = guide.measurements
+    .map(
+      (key) =>
+        `<th class="px-3 py-2 text-start font-semibold">${getMeasurementLabel(key, data)}</th>`,
+    )
+    .join("");
+
+  const rows = Object.entries(guide.sizes)
+    .map(
+      ([size, ranges]) => `
+            <tr class="border-t border-zinc-200 dark:border-zinc-700 ${size === highlightSize ? "bg-indigo-50 dark:bg-indigo-900/30 font-semibold" : ""}">
+                <td class="px-3 py-2">${size}</td>
+                ${guide.measurements.map((key) => `<td class="px-3 py-2">${ranges[key][0]}–${ranges[key][1]}</td>`).join("")}
+            </tr>
+        `,
+    )
+    .join("");
+
+  return `
+        <h4 class="font-semibold text-zinc-900 dark:text-white mb-2">${translateValue("sizeGuide", guide.key, guide.title)}</h4>
+        <div class="overflow-x-auto">
+            <table class="w-full text-sm text-zinc-700 dark:text-zinc-300">
+                <thead><tr><th class="px-3 py-2 text-start font-semibold">${t("product.size")}</th>${headers}</tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * Show or hide the size chart in the product view
+ */
+function toggleSizeGuide() {
+  const panel = document.getElementById("size-guide");
+  const toggle = document.getElementById("size-guide-toggle");
+  if (!panel) return;
+
+  panel.classList.toggle("hidden");
+  toggle?.setAttribute("aria-expanded", !panel.classList.contains("hidden"));
+}
+
+/**
+ * Setup the size chart and fit hint for the product view
+ * Preselects the recommended size when it is in stock and nothing is selected
+ * @param {Object} product - Product object
+ */
+async function initSizeGuide(product) {
+  const toggle = document.getElementById("size-guide-toggle");
+  const panel = document.getElementById("size-guide");
+  const hint = document.getElementById("fit-hint");
+  if (!panel) return;
+
+  const data = await getSizeGuides();
+  const guide = getSizeGuideForProduct(product, data);
+
+  // The view may have changed to another product while loading
+  if (!guide || currentDetailProduct?.id !== product.id) return;
+
+  const user = getCurrentUser();
+  const recommended = recommendSize(guide, getUserMeasurements(), product.sizes);
+
+  panel.innerHTML = createSizeGuideTableHTML(guide, data, recommended);
+  toggle?.classList.remove("hidden");
+
+  if (!hint) return;
+
+  const accountUrl = `${getBasePath()}pages/account.html`;
+
+  if (recommended) {
+    const button = document.querySelector(
+      `.size-option[data-size="${recommended}"]`,
+    );
+    const soldOut = !button || button.disabled;
+
+    hint.innerHTML = `${t(soldOut ? "sizeGuide.recommendSoldOut" : "sizeGuide.recommend", {
+      size: `<strong>${recommended}</strong>`,
+    })} <a href="${accountUrl}" class="underline">${t("sizeGuide.update")}</a>`;
+
+    if (!soldOut && !document.querySelector(".size-option.bg-indigo-600")) {
+      button.click();
+    }
+  } else if (user) {
+    hint.innerHTML = t("sizeGuide.addMeasurements", {
+      link: `<a href="${accountUrl}" class="underline">${t("sizeGuide.addLink")}</a>`,
+    });
+  } else {
+    hint.innerHTML = t("sizeGuide.signIn", {
+      link: `<a href="${getBasePath()}pages/login.html?redirect=${encodeURIComponent(window.location.href)}" class="underline">${t("auth.signInLink")}</a>`,
+    });
+  }
+  hint.classList.remove("hidden");
+}
@@ -0,0 +1,106 @@
+/**
+ * Tax - Region-aware tax calculation
+ * Rate tables come from data/tax-rates.json. A country has its own taxes,
+ * which a state / province entry replaces when one matches the address.
+ * In tax-inclusive regions (e.g. the EU, UK, Egypt) prices already contain
+ * the tax, so it is shown as "included" rather than added to the total.
+ */
+
+// Cached tax rate tables
+let taxRatesCache = null;
+
+/**
+ * Load tax rate tables from JSON file
+ * @returns {Promise<Object|null>} Tax rates ({ countries })
+ */
+async function getTaxRates() {
+  if (taxRatesCache) return taxRatesCache;
+
+  try {
+    const response = await fetch(`${getBasePath()}data/tax-rates.json`);
+    if (!response.ok) {
+      throw new Error("Failed to load tax rates");
+    }
+    taxRatesCache = await response.json();
+    return taxRatesCache;
+  } catch (error) {
+    console.error("Error loading tax rates:", error);
+    return null;
+  }
+}
+
+/**
+ * Find the tax rules for an address
+ * The state matches by code or name, ignoring case
+ * @param {Object} rates - Tax rates
+ * @param {string} country - Country code
+ * @param {string} state - State / province as entered
+ * @returns {Object} { region, inclusive, taxes, exemptCategories }
+ */
+function getTaxRegion(rates, country, state) {
+  const countryRates = rates?.countries[country];
+  if (!countryRates) {
+    return { region: country, inclusive: false, taxes: [], exemptCategories: [] };
+  }
+
+  const query = (state || "").trim().toLowerCase();
+  const stateEntry = Object.entries(countryRates.states || {}).find(
+    ([code, entry]) =>
+      query && (code.toLowerCase() === query || entry.name.toLowerCase() === query),
+  );
+  const stateRates = stateEntry ? stateEntry[1] : null;
+
+  return {
+    region: stateRates ? `${stateRates.name}, ${countryRates.name}` : countryRates.name,
+    inclusive: countryRates.inclusive,
+    taxes: stateRates ? stateRates.taxes : countryRates.taxes,
+    exemptCategories: (stateRates || countryRates).exemptCategories || [],
+  };
+}
+
+/**
+ * Calculate the tax on a set of items
+ * The order discount is spread over the items in proportion to their price,
+ * so exempt items also take their share of it
+ * @param {Array} items - Order line items ({ id, price, quantity })
+ * @param {number} discount - Order discount
+ * @param {string} country - Country code
+ * @param {string} state - State / province as entered
+ * @returns {Promise<Object>} { region, inclusive, taxableAmount, lines: [{ label, rate, amount }], amount }
+ */
+async function calculateTax(items, discount, country, state) {
+  const { region, inclusive, taxes, exemptCategories } = getTaxRegion(
+    await getTaxRates(),
+    country,
+    state,
+  );
+
+  const subtotal = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+  let taxableSubtotal = 0;
+  for (const item of items) {
+    const product = await getProductById(item.id);
+    if (!product || !exemptCategories.includes(product.category)) {
+      taxableSubtotal += item.price * item.quantity;
+    }
+  }
+
+  const taxableAmount =
+    subtotal > 0 ? taxableSubtotal * (1 - discount / subtotal) : 0;
+  const totalRate = taxes.reduce((sum, tax) => sum + tax.rate, 0);
+
+  // Inclusive prices contain every tax, so each is worked out from the gross amount
+  const lines = taxes.map((tax) => {
+    const amount = inclusive
+      ? (taxableAmount * tax.rate) / (100 + totalRate)
+      : (taxableAmount * tax.rate) / 100;
+    return { label: tax.label, rate: tax.rate, amount: Math.round(amount * 100) / 100 };
+  });
+
+  return {
+    region,
+    inclusive,
+    taxableAmount: Math.round(taxableAmount * 100) / 100,
+    lines,
+    amount: lines.reduce((sum, line) => sum + line.amount, 0),
+  };
+}
@@ -0,0 +1,323 @@
+/**
+ * Wishlist Manager - Handles saved products per user account
+ * Uses localStorage, keyed by user ID, so each account has its own list
+ */
+
+// Storage key
+const WISHLIST_KEY = "fashion-store-wishlist";
+
+/**
+ * Get all wishlists from localStorage
+ * @returns {Object} { userId: [ { id, size, color, addedAt } ] }
+ */
+function getAllWishlists() {
+  const wishlists = localStorage.getItem(WISHLIST_KEY);
+  return wishlists ? JSON.parse(wishlists) : {};
+}
+
+/**
+ * Get the current user's wishlist
+ * @returns {Array} Array of wishlist items (empty for guests)
+ */
+function getWishlist() {
+  const user = getCurrentUser();
+  if (!user) return [];
+  return getAllWishlists()[user.id] || [];
+}
+
+/**
+ * Save the current user's wishlist
+ * @param {Array} items - Array of wishlist items
+ */
+function saveWishlist(items) {
+  const user = getCurrentUser();
+  if (!user) return;
+
+  const wishlists = getAllWishlists();
+  wishlists[user.id] = items;
+  localStorage.setItem(WISHLIST_KEY, JSON.stringify(wishlists));
+  updateWishlistBadge();
+  updateWishlistButtons();
+}
+
+/**
+ * Check if a product is in the current user's wishlist
+ * @param {number} productId - Product ID
+ * @returns {boolean}
+ */
+function isInWishlist(productId) {
+  return getWishlist().some((item) => item.id === productId);
+}
+
+/**
+ * Ask a guest to sign in before saving items
+ * Redirects to the login page (and back here afterwards) when confirmed
+ */
+function promptWishlistSignIn() {
+  if (confirm(t("wishlist.signInConfirm"))) {
+    const redirect = encodeURIComponent(window.location.href);
+    window.location.href = `${getBasePath()}pages/login.html?redirect=${redirect}`;
+  }
+}
+
+/**
+ * Add or remove a product from the wishlist
+ * In the product detail view the selected size/color are saved with it
+ * @param {number} productId - Product ID
+ */
+function toggleWishlist(productId) {
+  if (!getCurrentUser()) {
+    promptWishlistSignIn();
+    return;
+  }
+
+  const wishlist = getWishlist();
+
+  if (wishlist.some((item) => item.id === productId)) {
+    saveWishlist(wishlist.filter((item) => item.id !== productId));
+    showNotification(t("wishlist.removed"));
+    return;
+  }
+
+  const inDetailView = currentDetailProduct && currentDetailProduct.id === productId;
+  const { size, color } = inDetailView
+    ? getSelectedOptions()
+    : { size: null, color: null };
+
+  wishlist.push({ id: productId, size, color, addedAt: new Date().toISOString() });
+  saveWishlist(wishlist);
+  showNotification(t("wishlist.saved"));
+}
+
+/**
+ * Create the heart toggle button HTML
+ * @param {number} productId - Product ID
+ * @param {string} className - Extra classes for positioning and size
+ * @returns {string} HTML string
+ */
+function createWishlistButtonHTML(productId, className = "") {
+  const saved = isInWishlist(productId);
+
+  return `
+        <button type="button" onclick="toggleWishlist(${productId})" data-wishlist-id="${productId}"
+            aria-pressed="${saved}" aria-label="${t(saved ? "wishlist.remove" : "wishlist.save")}" title="${t(saved ? "wishlist.remove" : "wishlist.save")}"
+            class="wishlist-toggle flex items-center justify-center transition-colors ${saved ? "text-red-500" : "text-zinc-500 dark:text-zinc-400 hover:text-red-500"} ${className}">
+            <svg class="w-5 h-5" fill="${saved ? "currentColor" : "none"}" stroke="currentColor" viewBox="0 0 24 24">
+                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z"/>
+            </svg>
+        </button>
+    `;
+}
+
+/**
+ * Sync every heart button on the page with the wishlist
+ */
+function updateWishlistButtons() {
+  const savedIds = getWishlist().map((item) => item.id);
+
+  document.querySelectorAll(".wishlist-toggle").forEach((button) => {
+    const saved = savedIds.includes(parseInt(button.dataset.wishlistId));
+    const label = t(saved ? "wishlist.remove" : "wishlist.save");
+
+    button.setAttribute("aria-pressed", saved);
+    button.setAttribute("aria-label", label);
+    button.title = label;
+    button.classList.toggle("text-red-500", saved);
+    button.classList.toggle("text-zinc-500", !saved);
+    button.classList.toggle("dark:text-zinc-400", !saved);
+    button.querySelector("svg")?.setAttribute("fill", saved ? "currentColor" : "none");
+  });
+}
+
+/**
+ * Update wishlist badge in navbar
+ */
+function updateWishlistBadge() {
+  const badgeElements = document.querySelectorAll(".wishlist-badge");
+  const count = getWishlist().length;
+
+  badgeElements.forEach((badge) => {
+    badge.textContent = count;
+
+    // Show/hide badge based on count
+    if (count > 0) {
+      badge.classList.remove("hidden");
+    } else {
+      badge.classList.add("hidden");
+    }
+  });
+}
+
+/**
+ * Update the saved size/color of a wishlist item
+ * @param {number} productId - Product ID
+ * @param {string} option - "size" or "color"
+ * @param {string} value - Selected value (empty to clear)
+ */
+function updateWishlistItemOption(productId, option, value) {
+  const wishlist = getWishlist();
+  const item = wishlist.find((entry) => entry.id === productId);
+  if (!item) return;
+
+  item[option] = value || null;
+  saveWishlist(wishlist);
+}
+
+/**
+ * Remove an item on the wishlist page
+ * @param {number} productId - Product ID
+ */
+function removeFromWishlist(productId) {
+  saveWishlist(getWishlist().filter((item) => item.id !== productId));
+  renderWishlistPage();
+}
+
+/**
+ * Move a wishlist item to the cart using its saved size/color
+ * @param {number} productId - Product ID
+ */
+async function moveWishlistItemToCart(productId) {
+  const item = getWishlist().find((entry) => entry.id === productId);
+  const product = await getProductById(productId);
+  if (!item || !product) return;
+
+  if (product.sizes && product.sizes.length && !item.size) {
+    showNotification(t("wishlist.selectSize"), "error");
+    return;
+  }
+  if (product.colors && product.colors.length && !item.color) {
+    showNotification(t("wishlist.selectColor"), "error");
+    return;
+  }
+
+  if (addToCart(product, 1, item.size, item.color)) {
+    removeFromWishlist(productId);
+  }
+}
+
+/**
+ * Render the wishlist page
+ */
+async function renderWishlistPage() {
+  const container = document.getElementById("wishlist-container");
+  if (!container) return;
+
+  if (!getCurrentUser()) {
+    const redirect = encodeURIComponent(window.location.href);
+    container.innerHTML = `
+            <div class="text-center py-16">
+                <h2 class="text-2xl font-bold text-zinc-900 dark:text-white mb-4">${t("wishlist.signInTitle")}</h2>
+                <p class="text-zinc-600 dark:text-zinc-400 mb-8">${t("wishlist.signInText")}</p>
+                <a href="login.html?redirect=${redirect}" class="inline-flex items-center gap-2 px-8 py-4 bg-indigo-600 text-white rounded-xl font-semibold hover:bg-indigo-700 transition-colors">
+                    ${t("auth.signIn")}
+                </a>
+            </div>
+        `;
+    return;
+  }
+
+  const wishlist = getWishlist();
+
+  if (wishlist.length === 0) {
+    container.innerHTML = `
+            <div class="text-center py-16">
+                <h2 class="text-2xl font-bold text-zinc-900 dark:text-white mb-4">${t("wishlist.emptyTitle")}</h2>
+                <p class="text-zinc-600 dark:text-zinc-400 mb-8">${t("wishlist.emptyText")}</p>
+                <a href="shop.html" class="inline-flex items-center gap-2 px-8 py-4 bg-indigo-600 text-white rounded-xl font-semibold hover:bg-indigo-700 transition-colors">
+                    ${t("wishlist.browse")}
+                </a>
+            </div>
+        `;
+    return;
+  }
+
+  const rows = await Promise.all(
+    wishlist.map(async (item) => {
+      const product = await getProductById(item.id);
+      return product ? createWishlistItemHTML(product, item) : "";
+    }),
+  );
+
+  container.innerHTML = `<div class="space-y-4">${rows.join("")}</div>`;
+}
+
+/**
+ * Create a wishlist row with size/color selects and actions
+ * @param {Object} product - Product object
+ * @param {Object} item - Wishlist item ({ id, size, color })
+ * @returns {string} HTML string
+ */
+function createWishlistItemHTML(product, item) {
+  const selectClass =
+    "px-3 py-2 text-sm bg-white dark:bg-zinc-800 border border-zinc-300 dark:border-zinc-700 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 text-zinc-900 dark:text-white";
+
+  const createSelect = (option, label, values) =>
+    values && values.length
+      ? `
+            <select onchange="updateWishlistItemOption(${product.id}, '${option}', this.value); renderWishlistPage()" aria-label="${label}" class="${selectClass}">
+                <option value="">${label}</option>
+                ${values
+                  .map((value) => {
+                    const stock =
+                      option === "size"
+                        ? getVariantStock(product, value, item.color)
+                        : getVariantStock(product, item.size, value);
+                    return `<option value="${value}" ${item[option] === value ? "selected" : ""} ${stock === 0 ? "disabled" : ""}>${option === "color" ? translateValue("color", value) : value}${stock === 0 ? ` (${t("product.stockSoldOut")})` : ""}</option>`;
+                  })
+                  .join("")}
+            </select>
+        `
+      : "";
+
+  const stock = getVariantStock(product, item.size, item.color);
+
+  return `
+        <div class="flex flex-col sm:flex-row gap-4 p-4 bg-white dark:bg-zinc-900 rounded-lg shadow-sm border border-zinc-200 dark:border-zinc-800">
+            <a href="${getProductUrl(product.id)}" class="w-full sm:w-24 h-24 flex-shrink-0 bg-zinc-100 dark:bg-zinc-800 rounded-md overflow-hidden">
+                <img src="${product.image}" alt="${product.name}" class="w-full h-full object-cover ${stock === 0 ? "opacity-50 grayscale" : ""}">
+            </a>
+
+            <div class="flex-1 min-w-0">
+                <h3 class="text-lg font-semibold text-zinc-900 dark:text-white truncate">
+                    <a href="${getProductUrl(product.id)}" class="hover:text-indigo-600 dark:hover:text-indigo-400">${product.name}</a>
+                </h3>
+                <div class="mt-1 text-lg font-bold text-zinc-900 dark:text-white">${formatPrice(product.price)}</div>
+                <div class="mt-3 flex flex-wrap gap-2">
+                    ${createSelect("size", t("product.size"), product.sizes)}
+                    ${createSelect("color", t("product.color"), product.colors)}
+                </div>
+                ${
+                  stock === 0
+                    ? `<p class="mt-2 text-sm font-medium text-red-500">${t("product.stockSoldOut")}</p>`
+                    : isLowStock(stock)
+                      ? `<p class="mt-2 text-sm font-medium text-amber-600 dark:text-amber-400">${t("product.stockLow", { count: stock })}</p>`
+                      : ""
+                }
+            </div>
+
+            <div class="flex sm:flex-col items-end justify-between gap-2 min-w-[140px]">
+                <button onclick="moveWishlistItemToCart(${product.id})" ${stock === 0 ? "disabled" : ""}
+                    class="px-4 py-2 bg-indigo-600 text-white rounded-lg font-medium hover:bg-indigo-700 transition-colors disabled:bg-zinc-400 disabled:cursor-not-allowed">
+                    ${t("wishlist.moveToCart")}
+                </button>
+                <button onclick="removeFromWishlist(${product.id})"
+                    class="text-red-500 hover:text-red-600 dark:hover:text-red-400 text-sm transition-colors">
+                    ${t("cart.remove")}
+                </button>
+            </div>
+        </div>
+    `;
+}
+
+// Initialize wishlist badge and page when DOM is ready
+document.addEventListener("DOMContentLoaded", () => {
+  updateWishlistBadge();
+  renderWishlistPage();
+});
+
+// Re-initialize wishlist badge when header component is dynamically loaded
+document.addEventListener("componentLoaded", (e) => {
+  if (e.detail && e.detail.id === "header") {
+    updateWishlistBadge();
+  }
+});